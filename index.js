@@ -7,6 +7,44 @@ const cors = require('cors');
 const authRoutes = require('./src/routes/authRoutes');
 const taskRoutes = require('./src/routes/taskRoutes');
 const folderRoutes = require('./src/routes/folderRoutes');
+const searchRoutes = require('./src/routes/searchRoutes');
+const reminderRoutes = require('./src/routes/reminderRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const tagRoutes = require('./src/routes/tagRoutes');
+const trashRoutes = require('./src/routes/trashRoutes');
+const importExportRoutes = require('./src/routes/importExportRoutes');
+const calendarRoutes = require('./src/routes/calendarRoutes');
+const statsRoutes = require('./src/routes/statsRoutes');
+const eventStreamRoutes = require('./src/routes/eventStreamRoutes');
+
+// Background jobs
+const { startReminderScheduler } = require('./src/services/reminderScheduler');
+const { startWebhookDispatcher } = require('./src/services/webhookDispatcher');
+const { startActivityLog } = require('./src/services/activityLog');
+const { startEventStream } = require('./src/services/eventStream');
+const { MAX_ATTACHMENT_BYTES, ALLOWED_TYPES } = require('./src/services/attachments');
+const { startTrashPurger } = require('./src/services/trash');
+const { EVENT_TYPES } = require('./src/services/events');
+const { TRASH_RETENTION_DAYS } = require('./src/models/plugins/softDelete');
+const { CSV_COLUMNS, MAX_IMPORT_ROWS } = require('./src/services/importExport');
+const { apiRateLimit, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_SECONDS } = require('./src/middleware/rateLimitMiddleware');
+const { MAX_ATTEMPTS, MAX_ATTEMPTS_PER_IP } = require('./src/services/loginGuard');
+const { mailConfigured } = require('./src/services/mailer');
+const { errorFormat, notFound, errorHandler } = require('./src/middleware/errorMiddleware');
+const { openApiOf } = require('./src/utils/validation');
+const { PAGE_HEADERS, DEFAULT_LIMIT, MAX_LIMIT } = require('./src/utils/taskQuery');
+const authSchemas = require('./src/schemas/auth');
+const taskSchemas = require('./src/schemas/tasks');
+const folderSchemas = require('./src/schemas/folders');
+const trashSchemas = require('./src/schemas/trash');
+const reminderSchemas = require('./src/schemas/reminders');
+const tagSchemas = require('./src/schemas/tags');
+const statsSchemas = require('./src/schemas/stats');
+const searchSchemas = require('./src/schemas/search');
+const webhookSchemas = require('./src/schemas/webhooks');
+const calendarSchemas = require('./src/schemas/calendar');
+const eventSchemas = require('./src/schemas/events');
+const importExportSchemas = require('./src/schemas/importExport');
 
 // Swagger
 const swaggerUi = require('swagger-ui-express');
@@ -14,29 +52,83 @@ const swaggerJSDoc = require('swagger-jsdoc');
 
 const app = express();
 
+// behind a reverse proxy, take the client IP (used by the rate limits) from
+// X-Forwarded-For: TRUST_PROXY is a number of proxies, or addresses/subnets
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // allow only BASE_URL in production
 if (process.env.NODE_ENV === 'production' && process.env.BASE_URL) {
-    app.use(cors({ origin: process.env.BASE_URL }));
+    app.use(cors({ origin: process.env.BASE_URL, exposedHeaders: PAGE_HEADERS }));
 } else {
-    app.use(cors());
+    app.use(cors({ exposedHeaders: PAGE_HEADERS }));
 }
+// every error answers { code, message, details } (see src/utils/apiError.js)
+app.use(errorFormat);
+// RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_SECONDS and client IP
+app.use('/api/v1', apiRateLimit);
+// imports read their own (larger) body, so they go before the JSON parser
+app.use('/api/v1', importExportRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // parses form data
 // API routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/task', taskRoutes);
 app.use('/api/v1/folders', folderRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/reminders', reminderRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
+app.use('/api/v1/stats', statsRoutes);
+app.use('/api/v1/events', eventStreamRoutes);
 
 // Use BASE_URL (no trailing slash) or localhost for swagger servers
 const apiUrl = process.env.BASE_URL ? process.env.BASE_URL.replace(/\/$/, '') : ('http://localhost:' + (process.env.PORT || 3000));
 
+// Parameters and request bodies come from the route schemas (openApiOf, see
+// src/schemas); headers are shared through components.parameters
+const paramRefs = (names) => names.map((name) => ({ $ref: '#/components/parameters/' + name }));
+// bare-array task listings (see setPageHeaders in src/utils/taskQuery.js)
+const taskPage = (description) => ({
+  description,
+  headers: {
+    'X-Total-Count': { description: 'Number of matching tasks', schema: { type: 'integer' } },
+    'X-Page': { description: 'This page', schema: { type: 'integer' } },
+    'X-Limit': { description: 'Tasks per page', schema: { type: 'integer' } },
+    'X-Total-Pages': { description: 'Number of pages', schema: { type: 'integer' } },
+    Link: { description: 'URLs of the first, previous, next and last pages', schema: { type: 'string' } }
+  },
+  content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Task' } } } }
+});
+// conditional requests on tasks and folders (see src/utils/conditional.js)
+const notModified = { description: 'Not modified: the If-None-Match ETag is current' };
+const preconditionFailed = { description: 'The If-Match ETag is out of date: the item changed since it was loaded' };
+const etagHeader = { ETag: { description: 'Current version of the item', schema: { type: 'string' } } };
+// 400 of the routes checked against their schema (see src/schemas), `also`
+// naming what else the route refuses with a 400
+const validationError = (also) => ({
+  description: `Invalid request${also ? ', or ' + also : ''}. Invalid fields have code VALIDATION_ERROR and one entry each in details`,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+// rate limits and login lockouts (see src/middleware/rateLimitMiddleware.js)
+const tooManyRequests = { description: 'Rate limited or locked out', headers: { 'Retry-After': { description: 'Seconds to wait before trying again', schema: { type: 'integer' } } } };
+
 const swaggerOptions = {
   definition: {
     openapi: '3.0.0',
     info: {
       title: 'TASK LIST API',
       version: '1.0.0',
-      description: 'Members: Jervonnie Corpuz, Peter John Delos Reyes, Jerome Cordova',
+      description: 'Members: Jervonnie Corpuz, Peter John Delos Reyes, Jerome Cordova\n\n'
+        + `Each client IP may make ${RATE_LIMIT_MAX || 'unlimited'} requests every ${RATE_LIMIT_WINDOW_SECONDS} seconds (RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_SECONDS). `
+        + 'Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers; over the limit the API answers 429 with a Retry-After header.\n\n'
+        + `Task listings (GET /task, /task/nofolder, /task/folder/{folderId}, ...) are paged: without ?limit they return the first ${DEFAULT_LIMIT} tasks (?limit goes up to ${MAX_LIMIT}), `
+        + 'with the total in X-Total-Count and the other pages in the Link header. Clients that read a whole folder at once must follow the pages.\n\n'
+        + 'Errors all have the same body (see the Error schema): a machine-readable code, a message and, for invalid requests, the problem with each field.',
       contact: { name: 'Your Team', email: 'team@example.com' } 
     },
     servers: [{ url: apiUrl, description: 'API server' }],
@@ -44,30 +136,316 @@ const swaggerOptions = {
       securitySchemes: {
         bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
       },
+      parameters: {
+        IfMatch: { name: 'If-Match', in: 'header', description: 'ETag of the copy the change is based on: the change is refused (412) if the item changed since', schema: { type: 'string' } },
+        IfNoneMatch: { name: 'If-None-Match', in: 'header', description: 'ETag of the cached copy: 304 without a body if it is still current', schema: { type: 'string' } }
+      },
       schemas: {
+        Error: {
+          type: 'object',
+          description: 'Body of every error response',
+          properties: {
+            code: { type: 'string', example: 'VALIDATION_ERROR', description: 'NOT_FOUND, FORBIDDEN, PRECONDITION_FAILED, TOO_MANY_REQUESTS... (see src/utils/apiError.js)' },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              description: 'What is wrong with each field, empty for other errors',
+              items: { type: 'object', properties: { in: { type: 'string', enum: ['params', 'query', 'body'] }, field: { type: 'string' }, message: { type: 'string', example: 'must not be empty' } } }
+            },
+            error: { type: 'string', description: 'Same as message, for older clients' }
+          }
+        },
         User: { type: 'object', properties: { _id: { type: 'string' }, username: { type: 'string' } } },
+        AuthTokens: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            token: { type: 'string', description: 'Access token (JWT), send as Bearer' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'string', example: '15m' }
+          }
+        },
         Task: {
           type: 'object',
           properties: {
             _id: { type: 'string' },
             title: { type: 'string' },
             dueDate: { type: 'string', format: 'date-time' },
-            status: { type: 'string', enum: ['Pending', 'Completed'] },
+            status: { type: 'string', description: 'A status of the folder\'s workflow (Pending, Working, Completed by default)' },
+            done: { type: 'boolean', readOnly: true, description: 'Whether the status is the workflow\'s done status' },
+            priority: { type: 'string', enum: ['none', 'low', 'medium', 'high', 'urgent'] },
+            position: { type: 'number', description: 'Manual order within the task\'s folder (or among tasks without a folder)' },
+            folder: { type: 'string', nullable: true },
+            user: { type: 'string' },
+            checklist: { type: 'array', items: { $ref: '#/components/schemas/ChecklistItem' } },
+            autoComplete: { type: 'boolean', description: 'Complete the task once every checklist item is done' },
+            tags: { type: 'array', items: { $ref: '#/components/schemas/Tag' } },
+            recurrence: { $ref: '#/components/schemas/Recurrence' },
+            series: { type: 'string', nullable: true, description: 'First task of the recurring series' },
+            nextOccurrence: { type: 'string', nullable: true },
+            progress: { type: 'object', readOnly: true, properties: { done: { type: 'integer' }, total: { type: 'integer' }, percent: { type: 'integer' } } },
+            commentCount: { type: 'integer', readOnly: true, description: 'Comments on the task, replies included' },
+            version: { type: 'integer', readOnly: true, description: 'Goes up with every change; the ETag is built from it' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Recurrence: {
+          type: 'object',
+          nullable: true,
+          description: 'Either the fields below or an rrule (FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT)',
+          properties: {
+            frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+            interval: { type: 'integer', minimum: 1, description: 'Every N days/weeks/months' },
+            weekdays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, description: 'Weekly only, 0 = Sunday' },
+            monthDay: { type: 'integer', minimum: 1, maximum: 31, description: 'Monthly only, clamped to the last day of shorter months' },
+            until: { type: 'string', format: 'date-time' },
+            count: { type: 'integer', minimum: 1, description: 'Total number of occurrences' },
+            rrule: { type: 'string', writeOnly: true, example: 'FREQ=WEEKLY;BYDAY=MO,FR' },
+            occurrence: { type: 'integer', readOnly: true }
+          }
+        },
+        ReminderRule: {
+          type: 'object',
+          description: 'Either before, or at (+ optional daysBefore and timeZone)',
+          properties: {
+            before: { type: 'integer', minimum: 0, description: 'Minutes before the due date', example: 60 },
+            at: { type: 'string', description: 'Time of day on the due day', example: '09:00' },
+            daysBefore: { type: 'integer', minimum: 0, default: 0 },
+            timeZone: { type: 'string', default: 'UTC', example: 'Asia/Manila' }
+          }
+        },
+        Activity: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            task: { type: 'string' },
             folder: { type: 'string', nullable: true },
-            user: { type: 'string' }
+            actor: { allOf: [{ $ref: '#/components/schemas/User' }], nullable: true, description: 'null for changes made by the server (e.g. recurring tasks)' },
+            action: { type: 'string', enum: ['created', 'updated', 'status_changed', 'moved', 'deleted', 'restored'] },
+            changes: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } } },
+            title: { type: 'string', description: 'Task title at the time' },
+            createdAt: { type: 'string', format: 'date-time' }
           }
         },
+        Comment: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            task: { type: 'string' },
+            user: { $ref: '#/components/schemas/User' },
+            body: { type: 'string', description: 'Empty for a deleted comment kept as a placeholder for its replies' },
+            parent: { type: 'string', nullable: true, description: 'Comment this one answers' },
+            thread: { type: 'string', nullable: true, description: 'Top-level comment of the thread; null for top-level comments' },
+            editedAt: { type: 'string', format: 'date-time', nullable: true },
+            deletedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            replies: { type: 'array', items: { $ref: '#/components/schemas/Comment' }, description: 'Top-level comments only: every reply of the thread, oldest first' }
+          }
+        },
+        BulkResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            ok: { type: 'boolean' },
+            status: { type: 'integer', description: 'HTTP-like status of a failed item' },
+            error: { type: 'string' }
+          }
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            task: { type: 'string' },
+            user: { $ref: '#/components/schemas/User' },
+            filename: { type: 'string' },
+            mimeType: { type: 'string' },
+            size: { type: 'integer', description: 'Bytes' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        CalendarFeed: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            folder: { type: 'object', nullable: true, description: 'Only this folder (null: every task you can see)', properties: { _id: { type: 'string' }, name: { type: 'string' } } },
+            name: { type: 'string' },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            url: { type: 'string', description: 'Only returned when the feed is created' }
+          }
+        },
+        Reminder: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            task: { type: 'string' },
+            user: { type: 'string' },
+            rule: { $ref: '#/components/schemas/ReminderRule' },
+            fireAt: { type: 'string', format: 'date-time', nullable: true },
+            status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+            attempts: { type: 'integer' },
+            sentAt: { type: 'string', format: 'date-time', nullable: true },
+            lastError: { type: 'string', nullable: true }
+          }
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string', enum: ['*', ...EVENT_TYPES] } },
+            description: { type: 'string' },
+            active: { type: 'boolean' },
+            secret: { type: 'string', description: 'Only returned when the webhook is created' }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            webhook: { type: 'string' },
+            event: { type: 'string' },
+            payload: { type: 'object' },
+            status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+            attempts: { type: 'integer' },
+            nextAttemptAt: { type: 'string', format: 'date-time' },
+            responseStatus: { type: 'integer', nullable: true },
+            lastError: { type: 'string', nullable: true },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        Tag: {
+          type: 'object',
+          properties: { _id: { type: 'string' }, name: { type: 'string' }, color: { type: 'string', example: '#ff8800' }, taskCount: { type: 'integer', readOnly: true } }
+        },
+        ChecklistItem: {
+          type: 'object',
+          properties: { _id: { type: 'string' }, title: { type: 'string' }, done: { type: 'boolean' }, doneAt: { type: 'string', format: 'date-time', nullable: true } }
+        },
         Folder: {
           type: 'object',
-          properties: { _id: { type: 'string' }, name: { type: 'string' }, user: { type: 'string' }, tasks: { type: 'array', items: { type: 'string' } } }
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string' },
+            user: { type: 'string' },
+            parent: { type: 'string', nullable: true, description: 'Enclosing folder, null at the top level' },
+            ancestors: { type: 'array', items: { type: 'string' }, description: 'Path from the top-level folder down to the parent' },
+            tasks: { type: 'array', items: { type: 'string' } },
+            workflow: { allOf: [{ $ref: '#/components/schemas/Workflow' }], nullable: true, description: 'null for the default workflow' },
+            members: { type: 'array', items: { type: 'object', properties: { user: { type: 'string' }, role: { type: 'string', enum: ['viewer', 'editor', 'owner'] }, addedAt: { type: 'string', format: 'date-time' } } } },
+            version: { type: 'integer', readOnly: true, description: 'Goes up with every change; the ETag is built from it' }
+          }
+        },
+        Workflow: {
+          type: 'object',
+          properties: {
+            statuses: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, done: { type: 'boolean' } } }, description: 'Board columns in order, exactly one of them done; tasks start in the first' },
+            transitions: { type: 'array', items: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' } } }, description: 'Allowed status changes, any change when empty' },
+            remap: { type: 'object', writeOnly: true, additionalProperties: { type: 'string' }, description: 'Where tasks in removed statuses go, e.g. { "Review": "Working" }' }
+          }
         },
+        BoardColumn: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            done: { type: 'boolean' },
+            count: { type: 'integer', description: 'Tasks in this status' },
+            tasks: { type: 'array', items: { $ref: '#/components/schemas/Task' }, description: 'The first ones in manual order' }
+          }
+        },
+        Progress: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            done: { type: 'integer' },
+            percent: { type: 'integer', description: 'done / total, rounded' },
+            overdue: { type: 'integer', description: 'Past their due date and not done' },
+            averageCompletionHours: { type: 'number', nullable: true, description: 'Average time from creation to completion of the done tasks' }
+          }
+        },
+        Stats: {
+          allOf: [
+            { $ref: '#/components/schemas/Progress' },
+            {
+              type: 'object',
+              properties: {
+                completedPerDay: { type: 'array', items: { type: 'object', properties: { date: { type: 'string', example: '2024-05-13' }, count: { type: 'integer' } } } },
+                completedPerWeek: { type: 'array', items: { type: 'object', properties: { weekStart: { type: 'string', example: '2024-05-13' }, count: { type: 'integer' } } } }
+              }
+            }
+          ]
+        },
+        FolderNode: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string' },
+            parent: { type: 'string', nullable: true },
+            role: { type: 'string', enum: ['viewer', 'editor', 'owner'] },
+            taskCount: { type: 'integer' },
+            completedCount: { type: 'integer' },
+            totalTaskCount: { type: 'integer', description: 'Tasks in the folder and all its subfolders' },
+            children: { type: 'array', items: { $ref: '#/components/schemas/FolderNode' } }
+          }
+        },
+        FolderMember: {
+          type: 'object',
+          properties: {
+            user: { $ref: '#/components/schemas/User' },
+            role: { type: 'string', enum: ['viewer', 'editor', 'owner'] },
+            creator: { type: 'boolean' },
+            addedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        SearchResults: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            count: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['task', 'folder'] },
+                  score: { type: 'number', description: 'MongoDB text score: higher is more relevant, comparable between tasks and folders' },
+                  highlight: { type: 'string', example: 'Weekly <mark>report</mark>' },
+                  data: { oneOf: [{ $ref: '#/components/schemas/Task' }, { $ref: '#/components/schemas/Folder' }] }
+                }
+              }
+            }
+          }
+        },
+        Pagination: { type: 'object', properties: { page: { type: 'integer' }, limit: { type: 'integer' }, total: { type: 'integer' }, totalPages: { type: 'integer' } } },
         ApiError: { type: 'object', properties: { error: { type: 'string' } } }
       }
     },
     tags: [
-      { name: 'Auth', description: 'Authentication endpoints' },
+      {
+        name: 'Auth',
+        description: 'Authentication endpoints, with a tighter rate limit (AUTH_RATE_LIMIT_MAX). '
+          + `After ${MAX_ATTEMPTS} failed logins to an account, or ${MAX_ATTEMPTS_PER_IP} from an IP, logins to it or from it are locked for a while, twice as long with each further failure`
+      },
       { name: 'Tasks', description: 'Task management endpoints' },
-      { name: 'Folders', description: 'Folder management endpoints' }
+      { name: 'Folders', description: 'Folder management endpoints. Shared folders grant viewer (read), editor (+ change tasks) or owner (+ rename, delete, manage members) roles. Folders can be nested; a new subfolder starts out shared like its parent' },
+      { name: 'Search', description: 'Full-text search endpoints' },
+      { name: 'Tags', description: 'Personal, colored tags to label and filter tasks' },
+      { name: 'Trash', description: `Deleted tasks and folders, kept for ${TRASH_RETENTION_DAYS} days (TRASH_RETENTION_DAYS) before they are removed for good with their comments, reminders and attached files` },
+      { name: 'Import/Export', description: 'Back up your folders and tasks, or bring them in from another tool' },
+      { name: 'Calendar', description: 'iCalendar feeds of dated tasks, for calendar apps. Each feed URL carries its own revocable token instead of a JWT' },
+      { name: 'Reminders', description: 'Due-date reminders, delivered by the background scheduler' },
+      { name: 'Stats', description: 'Completion and productivity numbers, computed from when tasks reach the done status of their workflow' },
+      {
+        name: 'Events',
+        description: 'Live changes over Server-Sent Events, the same events as webhooks: each carries the task, folder or comment as it is after the change, '
+          + 'so clients can update their state without fetching it again. Only events about what you can see are sent'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outgoing webhooks. Events are POSTed as JSON with X-Webhook-Event, X-Webhook-Id, X-Webhook-Timestamp and '
+          + 'X-Webhook-Signature ("sha256=" + HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret). Failed deliveries are retried with backoff.'
+      }
     ],
     paths: {
       // Auth
@@ -75,16 +453,65 @@ const swaggerOptions = {
         post: {
           tags: ['Auth'],
           summary: 'Logs the user in',
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { username: { type: 'string' }, password: { type: 'string' } }, required: ['username','password'] } } } },
-          responses: { '200': { description: 'Login successful' }, '401': { description: 'Invalid credentials' } }
+          ...openApiOf(authSchemas.login),
+          responses: { '200': { description: 'Login successful', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthTokens' } } } }, '400': validationError(), '401': { description: 'Invalid username or password (the same answer for both)' }, '429': tooManyRequests }
+        }
+      },
+      '/api/v1/auth/refresh': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Exchanges a refresh token for a new access/refresh token pair (the old refresh token is revoked)',
+          ...openApiOf(authSchemas.refresh),
+          responses: { '200': { description: 'Tokens refreshed', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthTokens' } } } }, '400': validationError(), '401': { description: 'Invalid, expired or revoked refresh token; presenting an already used one revokes its session' }, '429': tooManyRequests }
+        }
+      },
+      '/api/v1/auth/logout': {
+        post: {
+          tags: ['Auth'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Logs out the current session',
+          responses: { '200': { description: 'Logged out' } }
+        }
+      },
+      '/api/v1/auth/logout-all': {
+        post: {
+          tags: ['Auth'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Logs out every session of the user',
+          responses: { '200': { description: 'Logged out everywhere' } }
+        }
+      },
+      '/api/v1/auth/password': {
+        post: {
+          tags: ['Auth'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Changes the password (revokes all sessions, returns tokens for a new one)',
+          ...openApiOf(authSchemas.changePassword),
+          responses: { '200': { description: 'Password changed', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthTokens' } } } }, '400': validationError('a wrong current password'), '429': { ...tooManyRequests, description: 'Locked out after too many wrong current passwords, like logins' } }
+        }
+      },
+      '/api/v1/auth/password/forgot': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Mails a single-use password reset link to the account email',
+          ...openApiOf(authSchemas.forgotPassword),
+          responses: { '200': { description: 'Same response whether or not the account exists' }, '400': validationError(), '429': tooManyRequests, '503': { description: 'No mail transport is configured (production without MAIL_TRANSPORT)' } }
+        }
+      },
+      '/api/v1/auth/password/reset': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Sets a new password using a reset token (revokes all sessions)',
+          ...openApiOf(authSchemas.resetPassword),
+          responses: { '200': { description: 'Password reset' }, '400': validationError('an invalid or expired reset token'), '429': tooManyRequests }
         }
       },
       '/api/v1/auth/register': {
         post: {
           tags: ['Auth'],
           summary: 'Registers a new user',
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { username: { type: 'string' }, password: { type: 'string' } }, required: ['username','password'] } } } },
-          responses: { '201': { description: 'User created' }, '400': { description: 'Validation error' } }
+          ...openApiOf(authSchemas.register),
+          responses: { '201': { description: 'User created' }, '400': validationError('a username or email already in use'), '429': tooManyRequests }
         }
       },
 
@@ -93,50 +520,276 @@ const swaggerOptions = {
         get: {
           tags: ['Tasks'],
           security: [{ bearerAuth: [] }],
-          summary: 'Retrieve all task  and folder for the user',
-          responses: { '200': { description: 'List of tasks and folders' } }
+          summary: 'Retrieve the tasks the user can see, shared folders included (folders: GET /folders/tree)',
+          ...openApiOf(taskSchemas.listTasks),
+          responses: { '200': taskPage('Page of tasks'), '400': validationError('done=true together with overdue') }
         },
         post: {
           tags: ['Tasks'],
           security: [{ bearerAuth: [] }],
           summary: 'Create a new task or folder',
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { type: { type: 'string', enum: ['task','folder'] }, title: { type: 'string' }, dueDate: { type: 'string', format: 'date-time' }, status: { type: 'string' }, folder: { type: 'string' } }, required: ['type','title'] } } } },
-          responses: { '201': { description: 'Created' }, '400': { description: 'Validation error' } }
+          ...openApiOf(taskSchemas.createTask),
+          responses: { '201': { description: 'Created' }, '400': validationError('a status the workflow does not allow or an invalid recurrence') }
+        }
+      },
+      '/api/v1/task/bulk': {
+        post: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Applies one action (setStatus, setDueDate, move, delete, addTag) to up to 500 tasks, with a result per task',
+          description: 'Tasks you cannot edit are skipped and reported. With atomic: true nothing is changed unless every task can be. Folder task lists are kept in sync; deleted tasks go to the trash.',
+          ...openApiOf(taskSchemas.bulkUpdate),
+          responses: {
+            '200': { description: 'Per-task results', content: { 'application/json': { schema: { type: 'object', properties: { succeeded: { type: 'integer' }, failed: { type: 'integer' }, results: { type: 'array', items: { $ref: '#/components/schemas/BulkResult' } } } } } } },
+            '400': validationError('an action without its argument'),
+            '404': { description: 'Target folder or tag not found' },
+            '422': { description: 'Atomic and some tasks cannot be changed; nothing was changed', content: { 'application/json': { schema: { type: 'object', properties: { error: { type: 'string' }, results: { type: 'array', items: { $ref: '#/components/schemas/BulkResult' } } } } } } }
+          }
         }
       },
-      '/api/v1/task/{id}': {
+      '/api/v1/task/folder/{folderId}': {
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Retrieve the tasks inside a folder',
+          ...openApiOf(taskSchemas.listFolderTasks),
+          responses: { '200': taskPage('Page of tasks in the folder'), '400': validationError('done=true together with overdue') }
+        }
+      },
+      '/api/v1/task/nofolder': {
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Retrieve the tasks that are not in any folder',
+          ...openApiOf(taskSchemas.listTasksWithoutFolder),
+          responses: { '200': taskPage('Page of tasks without a folder'), '400': validationError('done=true together with overdue') }
+        }
+      },
+      '/api/v1/task/{taskId}': {
         get: {
           tags: ['Tasks'],
           security: [{ bearerAuth: [] }],
           summary: 'Retrieve a single task or a folder with its id',
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Task or folder retrieved' }, '404': { description: 'Not found' } }
+          ...openApiOf(taskSchemas.getTask, paramRefs(['IfNoneMatch'])),
+          responses: { '200': { description: 'Task or folder retrieved', headers: etagHeader }, '304': notModified, '400': validationError(), '404': { description: 'Not found' } }
+        },
+        patch: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Update or rename a task or folder (completing a recurring task creates its next occurrence)',
+          ...openApiOf(taskSchemas.updateTask, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Updated', headers: etagHeader }, '400': validationError('a status the workflow does not allow'), '412': preconditionFailed }
+        },
+        delete: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Move a folder and its tasks (or a task by id) to the trash',
+          ...openApiOf(taskSchemas.deleteById, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Deleted successfully' }, '400': validationError(), '404': { description: 'Not found' }, '412': preconditionFailed }
+        }
+      },
+      '/api/v1/task/{taskId}/checklist': {
+        post: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Adds a checklist item to a task (at the end or at position)',
+          ...openApiOf(taskSchemas.addChecklistItem),
+          responses: { '201': { description: 'Item added, returns the task' }, '400': validationError('a blank title'), '404': { description: 'Not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/checklist/reorder': {
+        post: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Reorders the checklist; order lists every item id in the new order',
+          ...openApiOf(taskSchemas.reorderChecklist),
+          responses: { '200': { description: 'Checklist reordered' }, '400': validationError('an order that does not list every item once') }
+        }
+      },
+      '/api/v1/task/{taskId}/checklist/{itemId}': {
+        patch: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Renames or toggles a checklist item (may auto-complete the task)',
+          ...openApiOf(taskSchemas.updateChecklistItem),
+          responses: { '200': { description: 'Item updated' }, '400': validationError('a blank title'), '404': { description: 'Not found' } }
+        },
+        delete: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Removes a checklist item',
+          ...openApiOf(taskSchemas.deleteChecklistItem),
+          responses: { '200': { description: 'Item removed' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/position': {
+        patch: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Moves a task right before or after another task of the same list (folder, or tasks without a folder)',
+          ...openApiOf(taskSchemas.moveTask, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Task moved', headers: etagHeader }, '400': validationError('neither or both of before/after, or the other task is in another list'), '412': preconditionFailed }
+        }
+      },
+      '/api/v1/task/{taskId}/recurrence': {
+        put: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Makes a task recurring or changes the rule of its series (set it on the latest occurrence)',
+          ...openApiOf(taskSchemas.setRecurrence),
+          responses: { '200': { description: 'Recurrence updated' }, '400': validationError('an invalid rule') }
+        },
+        delete: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Stops a recurring series (existing occurrences are kept)',
+          ...openApiOf(taskSchemas.stopRecurrence),
+          responses: { '200': { description: 'Series stopped' }, '400': validationError('a task that is not recurring') }
+        }
+      },
+      '/api/v1/task/{taskId}/reminders': {
+        post: {
+          tags: ['Reminders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Adds a reminder to a task (minutes before, or a time of day on the due day)',
+          ...openApiOf(taskSchemas.createReminder),
+          responses: { '201': { description: 'Reminder created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Reminder' } } } }, '400': validationError('an invalid rule or a task without a due date') }
+        },
+        get: {
+          tags: ['Reminders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists your reminders on a task',
+          ...openApiOf(taskSchemas.getReminders),
+          responses: { '200': { description: 'Reminders', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Reminder' } } } } }, '400': validationError() }
+        }
+      },
+      '/api/v1/task/{taskId}/activity': {
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'History of a task (create, update, status change, move, delete, restore) with before/after values, newest first',
+          ...openApiOf(taskSchemas.getActivity),
+          responses: { '200': { description: 'Activity entries and pagination info', content: { 'application/json': { schema: { type: 'object', properties: { activity: { type: 'array', items: { $ref: '#/components/schemas/Activity' } }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } }, '400': validationError(), '404': { description: 'Task not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/comments': {
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Comments on a task: a page of threads, oldest first, each with all its replies',
+          ...openApiOf(taskSchemas.getComments),
+          responses: { '200': { description: 'Threads, total comment count and pagination info', content: { 'application/json': { schema: { type: 'object', properties: { comments: { type: 'array', items: { $ref: '#/components/schemas/Comment' } }, commentCount: { type: 'integer' }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } }, '400': validationError(), '404': { description: 'Task not found' } }
         },
+        post: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Comments on a task, or replies to a comment with parent (editor access)',
+          ...openApiOf(taskSchemas.createComment),
+          responses: { '201': { description: 'Comment added', content: { 'application/json': { schema: { $ref: '#/components/schemas/Comment' } } } }, '400': validationError('a blank body or a parent not on this task'), '403': { description: 'Requires editor access' }, '404': { description: 'Task not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/comments/{commentId}': {
         patch: {
           tags: ['Tasks'],
           security: [{ bearerAuth: [] }],
-          summary: 'Update or rename a task or folder',
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, status: { type: 'string', enum: ['Pending','Completed'] }, dueDate: { type: 'string', format: 'date-time' } } } } } },
-          responses: { '200': { description: 'Updated' }, '400': { description: 'Validation error' } }
+          summary: 'Edits a comment (author only)',
+          ...openApiOf(taskSchemas.updateComment),
+          responses: { '200': { description: 'Comment updated' }, '400': validationError('a blank body'), '403': { description: 'Not the author' }, '404': { description: 'Comment not found' } }
         },
         delete: {
           tags: ['Tasks'],
           security: [{ bearerAuth: [] }],
-          summary: 'Delete a folder and its tasks (or delete a task by id)',
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Deleted successfully' }, '404': { description: 'Not found' } }
+          summary: 'Deletes a comment (author or folder owner); a comment with replies is kept as an empty placeholder',
+          ...openApiOf(taskSchemas.deleteComment),
+          responses: { '200': { description: 'Comment deleted' }, '400': validationError(), '403': { description: 'Neither the author nor an owner' }, '404': { description: 'Comment not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/attachments': {
+        post: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Attaches a file to a task (editor access)',
+          description: `Send the file itself as the request body with its Content-Type. Max ${MAX_ATTACHMENT_BYTES} bytes; allowed types: ${ALLOWED_TYPES.join(', ')}.`,
+          ...openApiOf(taskSchemas.uploadAttachment),
+          // the file itself is the body
+          requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          responses: { '201': { description: 'File attached', content: { 'application/json': { schema: { $ref: '#/components/schemas/Attachment' } } } }, '400': validationError('an empty body'), '403': { description: 'Requires editor access' }, '404': { description: 'Task not found' }, '413': { description: 'File too large' }, '415': { description: 'File type not allowed' } }
+        },
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists the files attached to a task, newest first',
+          ...openApiOf(taskSchemas.getAttachments),
+          responses: { '200': { description: 'Attachments', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Attachment' } } } } }, '400': validationError(), '404': { description: 'Task not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/attachments/{attachmentId}': {
+        get: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Downloads an attached file',
+          ...openApiOf(taskSchemas.attachment),
+          responses: { '200': { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } }, '400': validationError(), '404': { description: 'Task or attachment not found' } }
+        },
+        delete: {
+          tags: ['Tasks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Deletes an attached file (editor access)',
+          ...openApiOf(taskSchemas.attachment),
+          responses: { '200': { description: 'Attachment deleted' }, '400': validationError(), '403': { description: 'Requires editor access' }, '404': { description: 'Task or attachment not found' } }
+        }
+      },
+      '/api/v1/task/{taskId}/tags/{tagId}': {
+        post: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Tags a task',
+          ...openApiOf(taskSchemas.taskTag),
+          responses: { '200': { description: 'Tag added' }, '400': validationError(), '404': { description: 'Task or tag not found' } }
+        },
+        delete: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Removes a tag from a task',
+          ...openApiOf(taskSchemas.taskTag),
+          responses: { '200': { description: 'Tag removed' }, '400': validationError(), '404': { description: 'Task or tag not found' } }
         }
       },
 
       // Folders (green)
+      '/api/v1/folders': {
+        post: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Creates a folder, optionally inside another one (needs editor access on the parent)',
+          ...openApiOf(folderSchemas.createFolder),
+          responses: { '201': { description: 'Folder created' }, '400': validationError() }
+        }
+      },
+      '/api/v1/folders/tree': {
+        get: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Returns the folders you can see as a tree with task counts',
+          responses: { '200': { description: 'Top-level folders with nested children', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/FolderNode' } } } } } }
+        }
+      },
+      '/api/v1/folders/{id}/parent': {
+        patch: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Moves a folder and its subfolders under another folder, or to the top level with null',
+          ...openApiOf(folderSchemas.setParent, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Folder moved' }, '400': validationError('a move that would put the folder inside itself'), '403': { description: 'Not an owner of the folder' }, '412': preconditionFailed }
+        }
+      },
       '/api/v1/folders/{id}': {
         get: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
-          summary: 'Returns details of one folder, including tasks and progress',
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Folder details' }, '404': { description: 'Not found' } }
+          summary: 'Returns details of one folder, including tasks and progress (the ETag changes with the folder and any of its tasks)',
+          ...openApiOf(folderSchemas.getFolder, paramRefs(['IfNoneMatch'])),
+          responses: { '200': { description: 'Folder details', headers: etagHeader, content: { 'application/json': { schema: { allOf: [{ $ref: '#/components/schemas/Folder' }, { type: 'object', properties: { progress: { $ref: '#/components/schemas/Progress' } } }] } } } }, '304': notModified, '400': validationError(), '404': { description: 'Not found' } }
         }
       },
       '/api/v1/folders/{folderId}/tasks': {
@@ -144,16 +797,15 @@ const swaggerOptions = {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
           summary: 'Returns all tasks in a folder',
-          parameters: [{ name: 'folderId', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'List of tasks in folder' } }
+          ...openApiOf(folderSchemas.listTasks),
+          responses: { '200': taskPage('Page of tasks in the folder'), '400': validationError('done=true together with overdue') }
         },
         post: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
           summary: 'Adds a new task to a folder',
-          parameters: [{ name: 'folderId', in: 'path', required: true, schema: { type: 'string' } }],
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, dueDate: { type: 'string', format: 'date-time' }, status: { type: 'string' } }, required: ['title'] } } } },
-          responses: { '201': { description: 'Task added to folder' }, '400': { description: 'Validation error' } }
+          ...openApiOf(folderSchemas.addTask),
+          responses: { '201': { description: 'Task added to folder' }, '400': validationError() }
         }
       },
       '/api/v1/folders/{folderId}/tasks/{taskId}': {
@@ -161,53 +813,389 @@ const swaggerOptions = {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
           summary: 'Updates task details (title, due date, etc.)',
-          parameters: [
-            { name: 'folderId', in: 'path', required: true, schema: { type: 'string' } },
-            { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }
-          ],
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, dueDate: { type: 'string', format: 'date-time' }, status: { type: 'string' } } } } } },
-          responses: { '200': { description: 'Task updated' }, '404': { description: 'Not found' } }
+          ...openApiOf(folderSchemas.updateTask, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Task updated', headers: etagHeader }, '400': validationError('a status the workflow does not allow, or a null dueDate on a recurring task'), '404': { description: 'Not found' }, '412': preconditionFailed }
         },
         delete: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
-          summary: 'Deletes a task (completed or not)',
-          parameters: [
-            { name: 'folderId', in: 'path', required: true, schema: { type: 'string' } },
-            { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }
-          ],
-          responses: { '200': { description: 'Task deleted' }, '404': { description: 'Not found' } }
+          summary: 'Moves a task (completed or not) to the trash',
+          ...openApiOf(folderSchemas.deleteTask, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Task deleted' }, '400': validationError(), '404': { description: 'Not found' }, '412': preconditionFailed }
         }
       },
       '/api/v1/folders/{folderId}/tasks/{taskId}/status': {
         patch: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
-          summary: 'Marks a task as completed or pending',
-          parameters: [
-            { name: 'folderId', in: 'path', required: true, schema: { type: 'string' } },
-            { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }
-          ],
-          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { status: { type: 'string', enum: ['Pending','Completed'] } }, required: ['status'] } } } },
-          responses: { '200': { description: 'Task status updated' }, '400': { description: 'Invalid status' } }
+          summary: 'Moves a task to another status of the folder\'s workflow',
+          ...openApiOf(folderSchemas.setTaskStatus, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Task status updated', headers: etagHeader }, '400': validationError('not a status of the workflow, or a transition it does not allow'), '412': preconditionFailed }
         }
       },
       '/api/v1/folders/{id}/progress/reset': {
         patch: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
-          summary: "Set a tasks' statuses to 'Pending' for the folder",
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Progress reset' } }
+          summary: "Set the folder's tasks back to the first status of its workflow",
+          ...openApiOf(folderSchemas.resetProgress, paramRefs(['IfMatch'])),
+          responses: { '200': { description: 'Progress reset' }, '400': validationError(), '412': preconditionFailed }
         }
       },
-      '/api/v1/folders/{id}/ClearTasks': {
+      '/api/v1/folders/{id}/workflow': {
+        get: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Statuses and allowed transitions of the folder',
+          ...openApiOf(folderSchemas.getWorkflow),
+          responses: { '200': { description: 'The workflow, custom: false when it is the default one', content: { 'application/json': { schema: { type: 'object', properties: { workflow: { $ref: '#/components/schemas/Workflow' }, custom: { type: 'boolean' } } } } } }, '400': validationError() }
+        },
+        put: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Replace the folder\'s workflow (owner only); tasks in removed statuses go to remap[status], the done status or the first one',
+          ...openApiOf(folderSchemas.setWorkflow),
+          responses: { '200': { description: 'Workflow updated' }, '400': validationError('duplicate statuses, transitions or a remap naming unknown statuses'), '403': { description: 'Not the owner' } }
+        },
         delete: {
           tags: ['Folders'],
           security: [{ bearerAuth: [] }],
-          summary: 'Clears tasks in folder (deletes all tasks inside folder)',
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Folder Cleared' } }
+          summary: 'Go back to the default workflow (owner only)',
+          ...openApiOf(folderSchemas.resetWorkflow),
+          responses: { '200': { description: 'Workflow reset' }, '400': validationError(), '403': { description: 'Not the owner' } }
+        }
+      },
+      '/api/v1/folders/{id}/board': {
+        get: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Kanban board: the folder\'s tasks grouped by status, one column per status of its workflow',
+          ...openApiOf(folderSchemas.getBoard),
+          responses: { '200': { description: 'Columns in order', content: { 'application/json': { schema: { type: 'object', properties: { folder: { type: 'object' }, transitions: { type: 'array', items: { type: 'object' } }, columns: { type: 'array', items: { $ref: '#/components/schemas/BoardColumn' } } } } } } }, '400': validationError() }
+        }
+      },
+      '/api/v1/folders/{id}/stats': {
+        get: {
+          tags: ['Folders', 'Stats'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Completion, overdue count, completions per day and week and average time to complete of a folder',
+          ...openApiOf(folderSchemas.getStats),
+          responses: { '200': { description: 'Folder stats', content: { 'application/json': { schema: { $ref: '#/components/schemas/Stats' } } } }, '400': validationError('an unknown time zone') }
+        }
+      },
+      '/api/v1/folders/{id}/burndown': {
+        get: {
+          tags: ['Folders', 'Stats'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Open tasks of a folder at the end of each of the last days, with those created and completed that day',
+          ...openApiOf(folderSchemas.getBurndown),
+          responses: { '200': { description: 'series: [{ date, remaining, created, completed }], oldest first' }, '400': validationError('an unknown time zone') }
+        }
+      },
+      '/api/v1/folders/{id}/clearTasks': {
+        delete: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Clears tasks in folder (moves all tasks inside folder to the trash)',
+          ...openApiOf(folderSchemas.clearTasks),
+          responses: { '200': { description: 'Folder Cleared' }, '400': validationError('a folder with subfolders and no children mode') }
+        }
+      },
+      '/api/v1/folders/{id}/activity': {
+        get: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: "Activity feed of the folder's tasks, newest first",
+          ...openApiOf(folderSchemas.getActivity),
+          responses: { '200': { description: 'Activity entries and pagination info' }, '400': validationError(), '404': { description: 'Folder not found' } }
+        }
+      },
+      '/api/v1/folders/{id}/members': {
+        get: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists the users the folder is shared with and their roles',
+          ...openApiOf(folderSchemas.getMembers),
+          responses: { '200': { description: 'Folder members', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/FolderMember' } } } } }, '400': validationError(), '404': { description: 'Not found' } }
+        },
+        post: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: "Shares the folder with a user or changes a member's role (owners only)",
+          ...openApiOf(folderSchemas.addMember),
+          responses: { '201': { description: 'Member added' }, '200': { description: 'Member role updated' }, '400': validationError('the folder\'s creator as username'), '403': { description: 'Not an owner' }, '404': { description: 'Folder or user not found' } }
+        }
+      },
+      '/api/v1/folders/{id}/members/{userId}': {
+        delete: {
+          tags: ['Folders'],
+          security: [{ bearerAuth: [] }],
+          summary: "Revokes a member's access (owners, or the member leaving)",
+          ...openApiOf(folderSchemas.removeMember),
+          responses: { '200': { description: 'Member removed' }, '400': validationError('the folder\'s creator as userId'), '403': { description: 'Not an owner' }, '404': { description: 'Folder or member not found' } }
+        }
+      },
+
+      // Tags
+      '/api/v1/tags': {
+        get: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists your tags with the number of tasks using each',
+          responses: { '200': { description: 'Tags', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Tag' } } } } } }
+        },
+        post: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Creates a tag',
+          ...openApiOf(tagSchemas.createTag),
+          responses: { '201': { description: 'Tag created' }, '400': validationError('a blank or duplicate name') }
+        }
+      },
+      '/api/v1/tags/{id}': {
+        patch: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Renames or recolors a tag (every tagged task shows the change)',
+          ...openApiOf(tagSchemas.updateTag),
+          responses: { '200': { description: 'Tag updated' }, '400': validationError('a blank or duplicate name'), '404': { description: 'Not found' } }
+        },
+        delete: {
+          tags: ['Tags'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Deletes a tag and removes it from every task',
+          ...openApiOf(tagSchemas.deleteTag),
+          responses: { '200': { description: 'Tag deleted' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+
+      // Trash
+      '/api/v1/trash': {
+        get: {
+          tags: ['Trash'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists what you deleted: a page of tasks (latest first) and every folder, with their expiry date',
+          ...openApiOf(trashSchemas.getTrash),
+          responses: { '200': { description: 'Trashed tasks, folders and pagination info' }, '400': validationError('done=true together with overdue') }
+        },
+        delete: {
+          tags: ['Trash'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Empties your trash',
+          responses: { '200': { description: 'Trash emptied' } }
+        }
+      },
+      '/api/v1/trash/{id}/restore': {
+        post: {
+          tags: ['Trash'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Restores a task (back into its folder) or a folder (with the tasks and subfolders deleted along with it)',
+          ...openApiOf(trashSchemas.restoreItem),
+          responses: { '200': { description: 'Restored' }, '400': validationError(), '404': { description: 'Not in your trash' }, '409': { description: "The task's folder is in the trash too" } }
+        }
+      },
+      '/api/v1/trash/{id}': {
+        delete: {
+          tags: ['Trash'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Permanently deletes a task or folder from the trash',
+          ...openApiOf(trashSchemas.purgeItem),
+          responses: { '200': { description: 'Permanently deleted' }, '400': validationError(), '404': { description: 'Not in your trash' } }
+        }
+      },
+
+      // Import/Export
+      '/api/v1/export': {
+        get: {
+          tags: ['Import/Export'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Downloads your folders (with their subfolders and every task in them) and your tasks without a folder',
+          description: `JSON: { version, exportedAt, folders: [{ id, name, parent, workflow }], tasks: [{ title, folder, status, priority, dueDate, tags, autoComplete, checklist, recurrence, createdAt }] }, tasks pointing at the id of their folder. CSV columns: ${CSV_COLUMNS.join(', ')}, one row per folder then per task, folders given by their path ("Work / Project", with any "/" or "\\" inside a name escaped by a backslash).`,
+          ...openApiOf(importExportSchemas.exportTasks),
+          responses: { '200': { description: 'The export file', content: { 'application/json': { schema: { type: 'object' } }, 'text/csv': { schema: { type: 'string' } } } }, '400': validationError() }
+        }
+      },
+      '/api/v1/import': {
+        post: {
+          tags: ['Import/Export'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Imports an export file, or tasks from any CSV file with a header row',
+          description: `Every row is validated like POST /api/v1/task before anything is written; if one fails, nothing is imported and every invalid row is reported. Folders are matched by path with your own folders and created when missing; tags are matched by name likewise. At most ${MAX_IMPORT_ROWS} rows.`,
+          ...openApiOf(importExportSchemas.importTasks),
+          // the export file itself is the body
+          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } }, 'text/csv': { schema: { type: 'string' } } } },
+          responses: {
+            '201': { description: 'Imported', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' }, data: { type: 'object', properties: { folders: { type: 'integer' }, tasks: { type: 'integer' }, tags: { type: 'integer' } } } } } } } },
+            '400': validationError('an unreadable file or mapping'),
+            '413': { description: 'File too large' },
+            '422': { description: 'Invalid rows, nothing imported', content: { 'application/json': { schema: { type: 'object', properties: { error: { type: 'string' }, errors: { type: 'array', items: { type: 'object', properties: { row: { oneOf: [{ type: 'integer' }, { type: 'string' }], description: 'CSV row number (the header is row 1), or e.g. "tasks[3]"' }, error: { type: 'string' } } } } } } } } }
+          }
+        }
+      },
+
+      // Calendar
+      '/api/v1/calendar/feeds': {
+        post: {
+          tags: ['Calendar'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Creates an iCalendar feed of your dated tasks, or of one folder; the URL (with its token) is only returned here',
+          ...openApiOf(calendarSchemas.createFeed),
+          responses: { '201': { description: 'Feed created', content: { 'application/json': { schema: { $ref: '#/components/schemas/CalendarFeed' } } } }, '400': validationError(), '404': { description: 'Folder not found' } }
+        },
+        get: {
+          tags: ['Calendar'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists your calendar feeds',
+          responses: { '200': { description: 'Feeds', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/CalendarFeed' } } } } } }
+        }
+      },
+      '/api/v1/calendar/feeds/{id}': {
+        delete: {
+          tags: ['Calendar'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Revokes a calendar feed; its URL stops working',
+          ...openApiOf(calendarSchemas.deleteFeed),
+          responses: { '200': { description: 'Feed revoked' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+      '/api/v1/calendar/feed/{token}.ics': {
+        get: {
+          tags: ['Calendar'],
+          summary: 'The feed itself, authenticated by its token: each dated task as a VEVENT (default) or a VTODO with its status',
+          ...openApiOf(calendarSchemas.getFeed),
+          responses: { '200': { description: 'The calendar', content: { 'text/calendar': { schema: { type: 'string' } } } }, '400': validationError(), '404': { description: 'Unknown or revoked token' } }
+        }
+      },
+
+      // Reminders
+      '/api/v1/reminders': {
+        get: {
+          tags: ['Reminders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists your upcoming reminders, soonest first',
+          ...openApiOf(reminderSchemas.getUpcoming),
+          responses: { '200': { description: 'Pending reminders with their task', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Reminder' } } } } }, '400': validationError() }
+        }
+      },
+      '/api/v1/reminders/{id}/snooze': {
+        post: {
+          tags: ['Reminders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Snoozes a reminder for the given number of minutes',
+          ...openApiOf(reminderSchemas.snooze),
+          responses: { '200': { description: 'Reminder snoozed' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+      '/api/v1/reminders/{id}': {
+        delete: {
+          tags: ['Reminders'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Deletes a reminder',
+          ...openApiOf(reminderSchemas.deleteReminder),
+          responses: { '200': { description: 'Reminder deleted' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+
+      // Events
+      '/api/v1/events/tickets': {
+        post: {
+          tags: ['Events'],
+          security: [{ bearerAuth: [] }],
+          summary: 'One-time ticket (valid for a minute) to open the stream where no Authorization header can be sent, e.g. with EventSource',
+          responses: { '201': { description: 'Ticket', content: { 'application/json': { schema: { type: 'object', properties: { ticket: { type: 'string' }, expiresIn: { type: 'integer', description: 'Seconds' } } } } } } }
+        }
+      },
+      '/api/v1/events/stream': {
+        get: {
+          tags: ['Events'],
+          security: [{ bearerAuth: [] }],
+          summary: 'text/event-stream of changes; each SSE event is named after its type and its data is the event JSON { id, type, createdAt, actor, data }',
+          description: `Event types: ${EVENT_TYPES.join(', ')}. Reconnecting with Last-Event-ID replays missed events, or sends a "resync" event when they are no longer kept. The stream ends when the session is logged out.`,
+          ...openApiOf(eventSchemas.stream),
+          responses: { '200': { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, '400': validationError(), '401': { description: 'Missing or invalid token or ticket' }, '429': { description: 'Too many open streams' } }
+        }
+      },
+      // Webhooks
+      '/api/v1/webhooks': {
+        post: {
+          tags: ['Webhooks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Registers a webhook (the response holds the signing secret, shown only once)',
+          ...openApiOf(webhookSchemas.createWebhook),
+          responses: { '201': { description: 'Webhook created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Webhook' } } } }, '400': validationError('a url that is not a public http(s) address') }
+        },
+        get: {
+          tags: ['Webhooks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Lists your webhooks and the available event types',
+          responses: { '200': { description: 'Webhooks' } }
+        }
+      },
+      '/api/v1/webhooks/{id}': {
+        patch: {
+          tags: ['Webhooks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Updates url, events, description or active flag',
+          ...openApiOf(webhookSchemas.updateWebhook),
+          responses: { '200': { description: 'Webhook updated' }, '400': validationError('a url that is not a public http(s) address'), '404': { description: 'Not found' } }
+        },
+        delete: {
+          tags: ['Webhooks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Deletes a webhook and its delivery log',
+          ...openApiOf(webhookSchemas.deleteWebhook),
+          responses: { '200': { description: 'Webhook deleted' }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+      '/api/v1/webhooks/{id}/deliveries': {
+        get: {
+          tags: ['Webhooks'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Delivery log of a webhook, newest first',
+          ...openApiOf(webhookSchemas.getDeliveries),
+          responses: { '200': { description: 'Deliveries and pagination info', content: { 'application/json': { schema: { type: 'object', properties: { deliveries: { type: 'array', items: { $ref: '#/components/schemas/WebhookDelivery' } }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } }, '400': validationError(), '404': { description: 'Not found' } }
+        }
+      },
+
+      // Stats
+      '/api/v1/stats': {
+        get: {
+          tags: ['Stats'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Stats over every task you can see, plus the completion of each folder and of the tasks without one',
+          ...openApiOf(statsSchemas.getStats),
+          responses: {
+            '200': {
+              description: 'Stats',
+              content: {
+                'application/json': {
+                  schema: {
+                    allOf: [
+                      { $ref: '#/components/schemas/Stats' },
+                      {
+                        type: 'object',
+                        properties: {
+                          folders: { type: 'array', items: { allOf: [{ $ref: '#/components/schemas/Progress' }, { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, parent: { type: 'string', nullable: true } } }] } },
+                          noFolder: { $ref: '#/components/schemas/Progress' }
+                        }
+                      }
+                    ]
+                  }
+                }
+              }
+            },
+            '400': validationError('an unknown time zone')
+          }
+        }
+      },
+      // Search
+      '/api/v1/search': {
+        get: {
+          tags: ['Search'],
+          security: [{ bearerAuth: [] }],
+          summary: 'Search task titles and folder names, ranked with highlighted matches',
+          ...openApiOf(searchSchemas.search),
+          responses: { '200': { description: 'Ranked search results', content: { 'application/json': { schema: { $ref: '#/components/schemas/SearchResults' } } } }, '400': validationError('a blank q') }
         }
       }
     }
@@ -218,12 +1206,25 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJSDoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, { explorer: true }));
 
-// MongoDB connection
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(() => {
-    console.log('✅ MongoDB connected');
-    const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
-  })
-  .catch((err) => console.error('❌ DB connection error:', err));
\ No newline at end of file
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// MongoDB connection; the tests require the app without starting it
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => {
+      console.log('✅ MongoDB connected');
+      startReminderScheduler();
+      startWebhookDispatcher();
+      startActivityLog();
+      startTrashPurger();
+      startEventStream();
+      if (!mailConfigured()) console.warn('⚠️  No MAIL_TRANSPORT set: password reset mails are disabled');
+      const PORT = process.env.PORT || 3000;
+      app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+    })
+    .catch((err) => console.error('❌ DB connection error:', err));
+}
+
+module.exports = app;
\ No newline at end of file
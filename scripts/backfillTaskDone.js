@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Tasks from before folder workflows have no `done` field: set it from the
+// status (only "Completed" was a done state then), and give done tasks a
+// `completedAt`. Trashed tasks included.
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { dbName: 'test' });
+    console.log('Connected');
+    const coll = mongoose.connection.collection('tasks');
+    const done = await coll.updateMany({ done: { $exists: false }, status: 'Completed' }, { $set: { done: true } });
+    const notDone = await coll.updateMany({ done: { $exists: false } }, { $set: { done: false } });
+    console.log(`Backfilled done on ${done.modifiedCount + notDone.modifiedCount} task(s)`);
+    // best guess for when done tasks were completed, used by the stats
+    const completedAt = await coll.updateMany(
+      { done: true, completedAt: { $exists: false } },
+      [{ $set: { completedAt: { $ifNull: ['$updatedAt', '$createdAt'] } } }]
+    );
+    await coll.updateMany({ completedAt: { $exists: false } }, { $set: { completedAt: null } });
+    console.log(`Backfilled completedAt on ${completedAt.modifiedCount} task(s)`);
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+run();
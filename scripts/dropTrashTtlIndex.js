@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// The trash used to expire through a TTL index on deletedAt, which left the
+// reminders, comments and files of expired tasks behind. The app now purges
+// the trash itself and wants a plain index there, which can't be created while
+// the TTL one exists: drop it, the app builds the new one on its next start.
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { dbName: 'test' });
+    console.log('Connected');
+    for (const name of ['tasks', 'folders']) {
+      const coll = mongoose.connection.collection(name);
+      const ttl = (await coll.indexes()).find((index) => index.key.deletedAt === 1 && index.expireAfterSeconds !== undefined);
+      if (!ttl) {
+        console.log(`No TTL index on ${name}.deletedAt`);
+        continue;
+      }
+      await coll.dropIndex(ttl.name);
+      console.log(`Dropped index ${ttl.name} of ${name}`);
+    }
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+run();
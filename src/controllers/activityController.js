@@ -0,0 +1,60 @@
+const Activity = require('../models/activity');
+const { parsePagination, findPage } = require('../utils/taskQuery');
+const { loadTask, loadFolder } = require('../utils/folderAccess');
+
+const ACTOR_POPULATE = { path: 'actor', select: 'username' };
+
+// newest first
+const activityPage = (filter, pagination) =>
+    findPage(Activity, { filter, sort: { createdAt: -1, _id: -1 }, ...pagination }, { populate: ACTOR_POPULATE });
+
+// -------------------------------------------
+// History of one task
+// -------------------------------------------
+const getTaskActivity = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const pagination = parsePagination(req.query);
+
+        const { status, error } = await loadTask(taskId, req.user.id, 'viewer');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const { items: activity, pagination: page } = await activityPage({ task: taskId }, pagination);
+
+        res.status(200).json({ activity, pagination: page });
+
+    } catch (error) {
+        console.error("Error fetching task activity:", error);
+        res.status(500).json({ error: "Server error while fetching task activity." });
+    }
+};
+
+// -------------------------------------------
+// Activity feed of a folder: what happened to its tasks, including deleted ones
+// -------------------------------------------
+const getFolderActivity = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pagination = parsePagination(req.query);
+
+        const { status, error } = await loadFolder(id, req.user.id, 'viewer');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const filter = { folder: id };
+        if (req.query.actor !== undefined) filter.actor = req.query.actor;
+
+        const { items: activity, pagination: page } = await activityPage(filter, pagination);
+
+        res.status(200).json({ activity, pagination: page });
+
+    } catch (error) {
+        console.error("Error fetching folder activity:", error);
+        res.status(500).json({ error: "Server error while fetching folder activity." });
+    }
+};
+
+module.exports = { getTaskActivity, getFolderActivity };
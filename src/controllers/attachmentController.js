@@ -0,0 +1,143 @@
+const { pipeline } = require('stream/promises');
+const Attachment = require('../models/attachment');
+const { loadTaskFor } = require('../utils/folderAccess');
+const {
+    ALLOWED_TYPES,
+    mimeTypeOf,
+    cleanFilename,
+    saveAttachment,
+    openAttachment,
+    deleteAttachments
+} = require('../services/attachments');
+
+const UPLOADER_POPULATE = { path: 'user', select: 'username' };
+
+// Load the task with the role needed for the action, and the attachment when
+// attachmentId is given. Sends the error response itself and resolves to null on failure.
+const loadAttachmentTask = async (req, res, minRole, { withAttachment = false } = {}) => {
+    const access = await loadTaskFor(req, res, minRole);
+    if (!access) return null;
+    const { task } = access;
+
+    if (!withAttachment) return { task };
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: task._id });
+    if (!attachment) {
+        res.status(404).json({ error: "Attachment not found." });
+        return null;
+    }
+    return { task, attachment };
+};
+
+// -------------------------------------------
+// Upload a file: the request body is the file itself, its Content-Type the
+// file's type, and the name comes from ?filename= (or the X-Filename header)
+// -------------------------------------------
+const uploadAttachment = async (req, res) => {
+    try {
+        const data = req.body;
+        if (!Buffer.isBuffer(data) || !data.length) {
+            return res.status(400).json({ error: "Send the file as the raw request body." });
+        }
+
+        const mimeType = mimeTypeOf(req.headers['content-type']);
+        if (!ALLOWED_TYPES.includes(mimeType)) {
+            return res.status(415).json({ error: `Unsupported file type. Allowed: ${ALLOWED_TYPES.join(', ')}.` });
+        }
+
+        const loaded = await loadAttachmentTask(req, res, 'editor');
+        if (!loaded) return;
+
+        const attachment = await saveAttachment({
+            task: loaded.task,
+            user: req.user.id,
+            filename: cleanFilename(req.query.filename || req.headers['x-filename']),
+            mimeType,
+            data
+        });
+        await attachment.populate(UPLOADER_POPULATE);
+
+        res.status(201).json({ message: "File attached.", data: attachment });
+
+    } catch (error) {
+        console.error("Error uploading attachment:", error);
+        res.status(500).json({ error: "Server error while uploading attachment." });
+    }
+};
+
+// -------------------------------------------
+// List the task's attachments, newest first
+// -------------------------------------------
+const getAttachments = async (req, res) => {
+    try {
+        const loaded = await loadAttachmentTask(req, res, 'viewer');
+        if (!loaded) return;
+
+        const attachments = await Attachment.find({ task: loaded.task._id })
+            .sort({ createdAt: -1 })
+            .populate(UPLOADER_POPULATE);
+
+        res.status(200).json(attachments);
+
+    } catch (error) {
+        console.error("Error fetching attachments:", error);
+        res.status(500).json({ error: "Server error while fetching attachments." });
+    }
+};
+
+// -------------------------------------------
+// Download a file
+// -------------------------------------------
+const downloadAttachment = async (req, res) => {
+    try {
+        const loaded = await loadAttachmentTask(req, res, 'viewer', { withAttachment: true });
+        if (!loaded) return;
+        const { attachment } = loaded;
+
+        let stream;
+        try {
+            stream = await openAttachment(attachment);
+        } catch (err) {
+            console.error("Attachment file missing:", err);
+            return res.status(404).json({ error: "Attachment file not found." });
+        }
+
+        // always a download, never rendered by the browser
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': attachment.size,
+            'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        await pipeline(stream, res);
+
+    } catch (error) {
+        console.error("Error downloading attachment:", error);
+        if (!res.headersSent) res.status(500).json({ error: "Server error while downloading attachment." });
+    }
+};
+
+// -------------------------------------------
+// Delete an attachment and its file
+// -------------------------------------------
+const deleteAttachment = async (req, res) => {
+    try {
+        const loaded = await loadAttachmentTask(req, res, 'editor', { withAttachment: true });
+        if (!loaded) return;
+
+        await deleteAttachments({ _id: loaded.attachment._id });
+
+        res.status(200).json({ message: "Attachment deleted." });
+
+    } catch (error) {
+        console.error("Error deleting attachment:", error);
+        res.status(500).json({ error: "Server error while deleting attachment." });
+    }
+};
+
+module.exports = {
+    uploadAttachment,
+    getAttachments,
+    downloadAttachment,
+    deleteAttachment
+};
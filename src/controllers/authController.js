@@ -1,17 +1,31 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/user');
+const Session = require('../models/session');
+const PasswordResetToken = require('../models/passwordResetToken');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { hashToken, parseRefreshToken, rotateTokens, createSession, revokeAllSessions } = require('../utils/tokens');
+const { sendMail, mailConfigured } = require('../services/mailer');
+const { loginLockout, recordLoginFailure, recordLoginSuccess } = require('../services/loginGuard');
+const { tooManyRequests } = require('../middleware/rateLimitMiddleware');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30;
+// compared against when the user doesn't exist, so that takes as long as a wrong password
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 const register = async (req, res) => {
     try {
-        const { username, password } = req.body;
-        if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+        const { username, password, email } = req.body;
 
         const existingUser = await User.findOne({ username });
         if (existingUser) return res.status(400).json({ error: 'Username already taken' });
 
+        if (email && await User.exists({ email: email.toLowerCase() })) {
+            return res.status(400).json({ error: 'Email already in use' });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
-        const user = await User.create({ username, password: hashedPassword });
+        const user = await User.create({ username, password: hashedPassword, email });
 
         res.status(201).json({ message: 'User registered', userId: user._id });
     } catch (err) {
@@ -22,20 +36,174 @@ const register = async (req, res) => {
 const login = async (req, res) => {
     try {
         const { username, password } = req.body;
-        if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
 
+        const lockout = await loginLockout(req.ip, username);
+        if (lockout) return tooManyRequests(res, lockout.resetAt, 'Too many failed login attempts, try again later');
+
+        // same answer whether the user doesn't exist or the password is wrong
         const user = await User.findOne({ username });
-        if (!user) return res.status(400).json({ error: 'User not found' });
+        const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+        if (!user || !isMatch) {
+            await recordLoginFailure(req.ip, username);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        await recordLoginSuccess(username);
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ error: 'Invalid password' });
+        const tokens = await createSession(user._id, req);
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
+        res.json({ message: 'Login successful', ...tokens });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
 
-        res.json({ message: 'Login successful', token });
+// Exchange a refresh token for a new access + refresh token pair.
+// Presenting a refresh token that is no longer the session's current one (it
+// was rotated already, or is being used twice at once) revokes the whole
+// session, since it means the token was copied.
+const refresh = async (req, res) => {
+    try {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (!parsed || !mongoose.isValidObjectId(parsed.sessionId)) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const tokens = await rotateTokens(parsed.sessionId, parsed.secret);
+        if (!tokens) {
+            await Session.updateOne({ _id: parsed.sessionId, revokedAt: null }, { revokedAt: new Date() });
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        res.json({ message: 'Token refreshed', ...tokens });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
 
-module.exports = { register, login };
+// Revoke the current session (the one the access token belongs to)
+const logout = async (req, res) => {
+    try {
+        await Session.updateOne(
+            { _id: req.user.sessionId, user: req.user.id },
+            { revokedAt: new Date() }
+        );
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Revoke every session of the user, on every device
+const logoutAll = async (req, res) => {
+    try {
+        const result = await revokeAllSessions(req.user.id);
+        res.json({ message: 'Logged out everywhere', sessionsRevoked: result.modifiedCount });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Change password while logged in. Every session is revoked, then a fresh
+// one is returned so the current device stays logged in.
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        // a stolen access token must not allow guessing the password either:
+        // failures count towards the same lockout as logins
+        const lockout = await loginLockout(req.ip, user.username);
+        if (lockout) return tooManyRequests(res, lockout.resetAt, 'Too many failed password attempts, try again later');
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+            await recordLoginFailure(req.ip, user.username);
+            return res.status(400).json({ error: 'Invalid password' });
+        }
+        await recordLoginSuccess(user.username);
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+        await revokeAllSessions(user._id);
+
+        const tokens = await createSession(user._id, req);
+        res.json({ message: 'Password changed', ...tokens });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Start the reset flow. Always answers the same way so it can't be used to
+// find out which accounts exist.
+const forgotPassword = async (req, res) => {
+    try {
+        // checked before the lookup so the answer doesn't depend on the account
+        if (!mailConfigured()) return res.status(503).json({ error: 'Password reset by mail is not available' });
+
+        const { username, email } = req.body;
+
+        const user = await User.findOne(email ? { email: String(email).toLowerCase() } : { username: String(username) });
+
+        if (user && user.email) {
+            const token = crypto.randomBytes(32).toString('hex');
+            await PasswordResetToken.create({
+                user: user._id,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+            });
+
+            const baseUrl = (process.env.BASE_URL || 'http://localhost:' + (process.env.PORT || 3000)).replace(/\/$/, '');
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your password',
+                text: `Use this link to choose a new password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes):\n`
+                    + `${baseUrl}/reset-password?token=${token}\n\n`
+                    + 'If you did not ask for this, you can ignore this mail.'
+            });
+        }
+
+        res.json({ message: 'If the account exists, a reset link has been sent' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Finish the reset flow with the token from the mail
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        // mark used atomically so a token can't be redeemed twice
+        const resetToken = await PasswordResetToken.findOneAndUpdate(
+            { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+            { usedAt: new Date() },
+            { new: true }
+        );
+        if (!resetToken) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const user = await User.findByIdAndUpdate(resetToken.user, { password: hashedPassword });
+        if (!user) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+        // other outstanding reset links and all sessions stop working
+        await PasswordResetToken.updateMany({ user: user._id, usedAt: null }, { usedAt: new Date() });
+        await revokeAllSessions(user._id);
+
+        res.json({ message: 'Password reset, please log in again' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    changePassword,
+    forgotPassword,
+    resetPassword
+};
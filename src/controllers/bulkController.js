@@ -0,0 +1,258 @@
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { positionBetween } = require('../utils/taskOrder');
+const { loadFolder, roleOf, hasRole } = require('../utils/folderAccess');
+const { trashedBy } = require('../services/trash');
+const { createNextOccurrence } = require('../services/recurringTasks');
+const { rescheduleTaskReminders } = require('../services/reminderScheduler');
+const { emitTaskEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
+const { workflowOf, statusFields, checkTransition, mapStatus } = require('../utils/workflow');
+
+const failure = (status, error) => ({ status, error });
+
+// Check the action has its argument (the route schema checks its type), and return how to change one task:
+// plan(task, folder) resolves to { update } (fields to set, empty for a no-op) or { status, error }.
+// Resolves to { plan, target } or { status, error }.
+const prepareAction = async (action, body, userId) => {
+    switch (action) {
+        case 'setStatus': {
+            if (body.status === undefined) return failure(400, "setStatus needs a status.");
+            // each task is checked against its own folder's workflow
+            const plan = async (task, folder) => {
+                if (task.status === body.status) return { update: {} };
+                const workflow = workflowOf(folder);
+                const invalid = checkTransition(workflow, task.status, body.status);
+                return invalid ? failure(400, invalid) : { update: statusFields(workflow, body.status, task) };
+            };
+            return { plan };
+        }
+
+        case 'setDueDate': {
+            if (body.dueDate === undefined) return failure(400, "setDueDate needs a dueDate, or null to clear it.");
+            const dueDate = body.dueDate === null ? null : new Date(body.dueDate);
+            return {
+                plan: async (task) => (task.recurrence && !dueDate
+                    ? failure(400, "A recurring task needs a due date.")
+                    : { update: { dueDate } })
+            };
+        }
+
+        case 'move': {
+            // folder: the target folder, or null for the task creator's own list
+            if (body.folder === undefined) return failure(400, "move needs a folder, or null.");
+            let target = null;
+            if (body.folder !== null) {
+                const access = await loadFolder(body.folder, userId, 'editor');
+                if (access.error) return access;
+                target = access.folder;
+            }
+
+            // moved tasks go to the end of their new list, in the order given
+            const lastPosition = new Map();
+            const nextPosition = async (list) => {
+                const key = JSON.stringify(list);
+                if (!lastPosition.has(key)) {
+                    const last = await Task.findOne({ ...list, position: { $ne: null } }).sort({ position: -1 }).select('position');
+                    lastPosition.set(key, last && last.position);
+                }
+                const position = positionBetween(lastPosition.get(key), null);
+                lastPosition.set(key, position);
+                return position;
+            };
+
+            const plan = async (task) => {
+                if (String(task.folder) === String(target && target._id)) return { update: {} };
+                if (!target && String(task.user) !== String(userId)) {
+                    return failure(403, "Only its creator can take a task out of a shared folder.");
+                }
+                const list = target ? { folder: target._id } : { user: task.user, folder: null };
+                const update = { folder: target ? target._id : null, position: await nextPosition(list) };
+                // a status the new folder's workflow doesn't have is mapped onto it
+                const workflow = workflowOf(target);
+                const status = mapStatus(workflow, task.status, task.done);
+                if (status !== task.status) Object.assign(update, statusFields(workflow, status, task));
+                return { update };
+            };
+            return { plan, target };
+        }
+
+        case 'delete':
+            return { plan: async () => ({ update: trashedBy(userId) }) };
+
+        case 'addTag': {
+            if (body.tag === undefined) return failure(400, "addTag needs a tag.");
+            const tag = await Tag.findOne({ _id: body.tag, user: userId });
+            if (!tag) return failure(404, "Tag not found.");
+            return {
+                plan: async (task) => ({
+                    update: task.tags.some((id) => id.equals(tag._id)) ? {} : { tags: [...task.tags, tag._id] }
+                })
+            };
+        }
+    }
+};
+
+// Load the tasks with their folder, and check the user may edit each one.
+// Resolves to a map id -> { task, folder } or { status, error }.
+const loadEditableTasks = async (ids, userId) => {
+    const tasks = await Task.find({ _id: { $in: ids } });
+    const folders = await Folder.find({ _id: { $in: tasks.map((t) => t.folder).filter(Boolean) } });
+    const folderById = new Map(folders.map((f) => [String(f._id), f]));
+
+    const loaded = new Map();
+    for (const task of tasks) {
+        const folder = task.folder ? folderById.get(String(task.folder)) : null;
+        const role = folder ? roleOf(folder, userId) : (String(task.user) === String(userId) ? 'owner' : null);
+        if (!role) continue;
+        loaded.set(String(task._id), hasRole(role, 'editor')
+            ? { task, folder }
+            : failure(403, "Requires editor access to the folder"));
+    }
+    return loaded;
+};
+
+// Writes the planned changes, keeping Folder.tasks in sync. If anything
+// fails, what was already written is put back before rethrowing.
+const applyPlanned = async (planned, action, target) => {
+    const changed = planned.filter(({ update }) => Object.keys(update).length);
+
+    // tasks leave their folder when moved elsewhere or deleted, and join the target
+    const leaving = new Map();
+    const joining = [];
+    if (action === 'move' || action === 'delete') {
+        for (const { task } of changed) {
+            if (task.folder) leaving.set(String(task.folder), [...(leaving.get(String(task.folder)) || []), task._id]);
+            if (target) joining.push(task._id);
+        }
+    }
+
+    const restore = changed.map(({ task, update }) => ({
+        updateOne: {
+            filter: { _id: task._id },
+            update: { $set: Object.fromEntries(Object.keys(update).map((field) => [field, task.get(field)])) }
+        }
+    }));
+
+    try {
+        if (changed.length) {
+            await Task.bulkWrite(changed.map(({ task, update }) => ({
+                updateOne: { filter: { _id: task._id }, update: { $set: update } }
+            })));
+        }
+        for (const [folderId, ids] of leaving) {
+            await Folder.updateOne({ _id: folderId }, { $pullAll: { tasks: ids } });
+        }
+        if (joining.length) {
+            await Folder.updateOne({ _id: target._id }, { $addToSet: { tasks: { $each: joining } } });
+        }
+    } catch (err) {
+        if (restore.length) await Task.bulkWrite(restore);
+        for (const [folderId, ids] of leaving) {
+            await Folder.updateOne({ _id: folderId }, { $addToSet: { tasks: { $each: ids } } });
+        }
+        if (joining.length) await Folder.updateOne({ _id: target._id }, { $pullAll: { tasks: joining } });
+        throw err;
+    }
+};
+
+// Events and follow-ups of each change, once everything is written
+const afterApply = async (planned, action, target, userId) => {
+    for (const { task, folder, update } of planned) {
+        if (!Object.keys(update).length) continue;
+
+        const before = snapshotTask(task);
+        const wasDone = task.done;
+        task.set(update);
+
+        if (action === 'delete') {
+            emitTaskEvent('task.deleted', task, folder, { actor: userId });
+            continue;
+        }
+        // a moved task is told to the members of the folder it left as well
+        const moved = action === 'move';
+        emitTaskEvent('task.updated', task, moved ? target : folder, { actor: userId, before, from: moved ? folder : null });
+
+        try {
+            if (action === 'setDueDate') await rescheduleTaskReminders(task);
+            if (action === 'setStatus' && !wasDone && task.done) {
+                emitTaskEvent('task.completed', task, folder, { actor: userId });
+                await createNextOccurrence(task);
+            }
+        } catch (err) {
+            console.error(`Error after bulk ${action} of task ${task._id}:`, err);
+        }
+    }
+};
+
+// -------------------------------------------
+// Apply one action to many tasks: body { ids, action, ...argument, atomic }.
+//   setStatus { status } | setDueDate { dueDate } | move { folder } | delete | addTag { tag }
+// Tasks the user can't edit are reported and skipped; with atomic: true
+// nothing is changed unless every task can be.
+// -------------------------------------------
+const bulkUpdateTasks = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { ids, action, atomic } = req.body;
+
+        const prepared = await prepareAction(action, req.body, userId);
+        if (prepared.error) {
+            return res.status(prepared.status).json({ error: prepared.error });
+        }
+
+        const uniqueIds = [...new Set(ids)];
+        const loaded = await loadEditableTasks(uniqueIds, userId);
+
+        const results = new Map();
+        const planned = [];
+        for (const id of uniqueIds) {
+            const item = loaded.get(id);
+            if (!item) {
+                results.set(id, failure(404, "Task not found"));
+                continue;
+            }
+            if (item.error) {
+                results.set(id, item);
+                continue;
+            }
+            const plan = await prepared.plan(item.task, item.folder);
+            if (plan.error) {
+                results.set(id, plan);
+                continue;
+            }
+            planned.push({ ...item, update: plan.update });
+        }
+
+        const format = () => uniqueIds.map((id) => {
+            const result = results.get(id);
+            return result ? { id, ok: false, ...result } : { id, ok: true };
+        });
+
+        const failed = uniqueIds.length - planned.length;
+        if (atomic && failed) {
+            planned.forEach(({ task }) => results.set(String(task._id), failure(409, "Not changed: other tasks failed.")));
+            return res.status(422).json({
+                error: `${failed} task(s) can't be changed; nothing was changed.`,
+                results: format()
+            });
+        }
+
+        await applyPlanned(planned, action, prepared.target);
+        await afterApply(planned, action, prepared.target, userId);
+
+        res.status(200).json({
+            message: `${planned.length} task(s) updated.`,
+            succeeded: planned.length,
+            failed,
+            results: format()
+        });
+
+    } catch (error) {
+        console.error("Error applying bulk action:", error);
+        res.status(500).json({ error: "Server error while applying bulk action; nothing was changed." });
+    }
+};
+
+module.exports = { bulkUpdateTasks };
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const Task = require('../models/task');
+const CalendarFeed = require('../models/calendarFeed');
+const { hashToken } = require('../utils/tokens');
+const { loadFolder, taskAccessFilter } = require('../utils/folderAccess');
+const { escapeText, formatDateTime, dateProperty, buildCalendar } = require('../utils/ical');
+const { workflowOf, initialStatus } = require('../utils/workflow');
+
+const MAX_FEED_TASKS = 5000;
+
+// iCalendar PRIORITY: 1 is the highest, 9 the lowest, 0 undefined
+const ICAL_PRIORITY = { none: 0, low: 9, medium: 5, high: 3, urgent: 1 };
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/v1/calendar/feed/${token}.ics`;
+
+// The workflow's done state is COMPLETED, its first status NEEDS-ACTION and
+// anything in between IN-PROCESS. `task.folder` is populated with its workflow.
+const todoStatus = (task) => {
+    if (task.done) return 'COMPLETED';
+    return task.status === initialStatus(workflowOf(task.folder)) ? 'NEEDS-ACTION' : 'IN-PROCESS';
+};
+
+// A dated task as a VTODO (due date, status, completion) or as a VEVENT on its
+// due date for calendars that don't show to-dos; completed events get a check mark.
+const toComponent = (task, as) => {
+    const { done } = task;
+    const properties = [
+        `UID:${task._id}@tasklist`,
+        `DTSTAMP:${formatDateTime(task.updatedAt || new Date())}`,
+        `LAST-MODIFIED:${formatDateTime(task.updatedAt || new Date())}`
+    ];
+    const description = [];
+    if (task.folder) description.push(`Folder: ${task.folder.name}`);
+    if (task.checklist.length) {
+        description.push(`Checklist: ${task.checklist.filter((item) => item.done).length}/${task.checklist.length}`);
+    }
+    if (description.length) properties.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+    if (task.tags.length) properties.push(`CATEGORIES:${task.tags.map((tag) => escapeText(tag.name)).join(',')}`);
+    if (ICAL_PRIORITY[task.priority]) properties.push(`PRIORITY:${ICAL_PRIORITY[task.priority]}`);
+
+    if (as === 'todo') {
+        properties.push(
+            `SUMMARY:${escapeText(task.title)}`,
+            dateProperty('DUE', task.dueDate),
+            `STATUS:${todoStatus(task)}`
+        );
+        if (done) {
+            properties.push(`COMPLETED:${formatDateTime(task.completedAt || task.updatedAt)}`, 'PERCENT-COMPLETE:100');
+        }
+        return { type: 'VTODO', properties };
+    }
+
+    properties.push(
+        `SUMMARY:${escapeText(done ? `✓ ${task.title}` : task.title)}`,
+        dateProperty('DTSTART', task.dueDate),
+        'STATUS:CONFIRMED',
+        'TRANSP:TRANSPARENT'
+    );
+    return { type: 'VEVENT', properties };
+};
+
+// -------------------------------------------
+// Create a feed (of every task the user can see, or of one folder).
+// The token is only returned here, inside the feed URL.
+// -------------------------------------------
+const createFeed = async (req, res) => {
+    try {
+        const { folder, name } = req.body;
+
+        if (folder) {
+            const access = await loadFolder(folder, req.user.id, 'viewer');
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const feed = await CalendarFeed.create({
+            user: req.user.id,
+            folder: folder || null,
+            name,
+            tokenHash: hashToken(token)
+        });
+
+        res.status(201).json({
+            message: "Calendar feed created. Store the URL, it won't be shown again.",
+            data: { ...feed.toJSON(), url: feedUrl(req, token) }
+        });
+
+    } catch (error) {
+        console.error("Error creating calendar feed:", error);
+        res.status(500).json({ error: "Server error while creating calendar feed." });
+    }
+};
+
+// -------------------------------------------
+// List the user's feeds
+// -------------------------------------------
+const getFeeds = async (req, res) => {
+    try {
+        const feeds = await CalendarFeed.find({ user: req.user.id })
+            .sort({ createdAt: -1 })
+            .populate({ path: 'folder', select: 'name workflow' });
+        res.status(200).json(feeds);
+    } catch (error) {
+        console.error("Error fetching calendar feeds:", error);
+        res.status(500).json({ error: "Server error while fetching calendar feeds." });
+    }
+};
+
+// -------------------------------------------
+// Revoke a feed: its URL stops working at once
+// -------------------------------------------
+const deleteFeed = async (req, res) => {
+    try {
+        const deleted = await CalendarFeed.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+        if (!deleted) {
+            return res.status(404).json({ error: "Calendar feed not found." });
+        }
+
+        res.status(200).json({ message: "Calendar feed revoked." });
+
+    } catch (error) {
+        console.error("Error revoking calendar feed:", error);
+        res.status(500).json({ error: "Server error while revoking calendar feed." });
+    }
+};
+
+// -------------------------------------------
+// The feed itself (no JWT: the token in the URL is the credential).
+// ?as=event (default, shown by every calendar) or ?as=todo for VTODOs.
+// -------------------------------------------
+const getFeed = async (req, res) => {
+    try {
+        const feed = await CalendarFeed.findOne({ tokenHash: hashToken(req.params.token) });
+        if (!feed) {
+            return res.status(404).json({ error: "Calendar feed not found." });
+        }
+
+        // access is checked on every fetch, so leaving a shared folder ends its feed
+        let filter;
+        let name = 'Tasks';
+        if (feed.folder) {
+            const access = await loadFolder(feed.folder, feed.user, 'viewer');
+            if (access.error) {
+                return res.status(404).json({ error: "Calendar feed not found." });
+            }
+            filter = { folder: feed.folder };
+            name = access.folder.name;
+        } else {
+            filter = await taskAccessFilter(feed.user);
+        }
+
+        const tasks = await Task.find({ ...filter, dueDate: { $ne: null } })
+            // the latest ones when there are too many
+            .sort({ dueDate: -1 })
+            .limit(MAX_FEED_TASKS)
+            .populate({ path: 'tags', select: 'name' })
+            .populate({ path: 'folder', select: 'name workflow' });
+
+        await CalendarFeed.updateOne({ _id: feed._id }, { lastUsedAt: new Date() });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.status(200).send(buildCalendar({
+            name: feed.name || name,
+            components: tasks.map((task) => toComponent(task, req.query.as))
+        }));
+
+    } catch (error) {
+        console.error("Error building calendar feed:", error);
+        res.status(500).json({ error: "Server error while building calendar feed." });
+    }
+};
+
+module.exports = {
+    createFeed,
+    getFeeds,
+    deleteFeed,
+    getFeed
+};
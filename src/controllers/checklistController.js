@@ -0,0 +1,160 @@
+const { loadTask } = require('../utils/folderAccess');
+const { createNextOccurrence } = require('../services/recurringTasks');
+const { emitTaskEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
+const { workflowOf, doneStatus, statusFields } = require('../utils/workflow');
+
+// Load the task the checklist belongs to, with editor access, and the item when itemId is given,
+// plus a snapshot of the task for the change log. Sends the error response itself and
+// resolves to null on failure.
+const loadChecklist = async (req, res, { withItem = false } = {}) => {
+    const { taskId, itemId } = req.params;
+
+    const { task, folder, status, error } = await loadTask(taskId, req.user.id, 'editor');
+    if (error) {
+        res.status(status).json({ error });
+        return null;
+    }
+
+    const before = snapshotTask(task);
+    if (!withItem) return { task, folder, before };
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+        res.status(404).json({ error: "Checklist item not found." });
+        return null;
+    }
+    return { task, folder, before, item };
+};
+
+// Save the task and publish the change made by `actor`. When the task opted in to
+// autoComplete and every item is done, the task moves to its workflow's done state.
+const saveChecklist = async ({ task, folder, before }, actor) => {
+    const wasDone = task.done;
+    if (!task.done && task.autoComplete && task.checklist.length && task.checklist.every((item) => item.done)) {
+        task.set(statusFields(workflowOf(folder), doneStatus(workflowOf(folder)), task));
+    }
+    await task.save();
+
+    emitTaskEvent('task.updated', task, folder, { actor, before });
+    if (!wasDone && task.done) {
+        emitTaskEvent('task.completed', task, folder, { actor });
+        await createNextOccurrence(task);
+    }
+};
+
+// -------------------------------------------
+// Add an item (at the end, or at `position`)
+// -------------------------------------------
+const addChecklistItem = async (req, res) => {
+    try {
+        const { title, position } = req.body;
+        if (!title.trim()) {
+            return res.status(400).json({ error: "Title cannot be empty." });
+        }
+
+        const loaded = await loadChecklist(req, res);
+        if (!loaded) return;
+        const { task } = loaded;
+
+        const index = position === undefined ? task.checklist.length : position;
+        if (index > task.checklist.length) {
+            return res.status(400).json({ error: "Invalid position." });
+        }
+
+        task.checklist.splice(index, 0, { title: title.trim() });
+        await saveChecklist(loaded, req.user.id);
+
+        res.status(201).json({ message: "Checklist item added.", data: task });
+
+    } catch (error) {
+        console.error("Error adding checklist item:", error);
+        res.status(500).json({ error: "Server error while adding checklist item." });
+    }
+};
+
+// -------------------------------------------
+// Rename and/or toggle an item
+// -------------------------------------------
+const updateChecklistItem = async (req, res) => {
+    try {
+        const { title, done } = req.body;
+        if (title !== undefined && !title.trim()) {
+            return res.status(400).json({ error: "Title cannot be empty." });
+        }
+
+        const loaded = await loadChecklist(req, res, { withItem: true });
+        if (!loaded) return;
+        const { task, item } = loaded;
+
+        if (title !== undefined) item.title = title.trim();
+        if (done !== undefined && done !== item.done) {
+            item.done = done;
+            item.doneAt = done ? new Date() : null;
+        }
+        await saveChecklist(loaded, req.user.id);
+
+        res.status(200).json({ message: "Checklist item updated.", data: task });
+
+    } catch (error) {
+        console.error("Error updating checklist item:", error);
+        res.status(500).json({ error: "Server error while updating checklist item." });
+    }
+};
+
+// -------------------------------------------
+// Reorder items: body.order lists every item id in the new order
+// -------------------------------------------
+const reorderChecklist = async (req, res) => {
+    try {
+        const loaded = await loadChecklist(req, res);
+        if (!loaded) return;
+        const { task } = loaded;
+
+        const ids = req.body.order;
+        const current = task.checklist.map((item) => String(item._id));
+        const isPermutation = ids.length === current.length
+            && new Set(ids).size === ids.length
+            && ids.every((id) => current.includes(id));
+        if (!isPermutation) {
+            return res.status(400).json({ error: "order must contain every checklist item id exactly once." });
+        }
+
+        const byId = new Map(task.checklist.map((item) => [String(item._id), item.toObject()]));
+        task.checklist = ids.map((id) => byId.get(id));
+        await saveChecklist(loaded, req.user.id);
+
+        res.status(200).json({ message: "Checklist reordered.", data: task });
+
+    } catch (error) {
+        console.error("Error reordering checklist:", error);
+        res.status(500).json({ error: "Server error while reordering checklist." });
+    }
+};
+
+// -------------------------------------------
+// Remove an item
+// -------------------------------------------
+const deleteChecklistItem = async (req, res) => {
+    try {
+        const loaded = await loadChecklist(req, res, { withItem: true });
+        if (!loaded) return;
+        const { task, item } = loaded;
+
+        item.deleteOne();
+        await saveChecklist(loaded, req.user.id);
+
+        res.status(200).json({ message: "Checklist item deleted.", data: task });
+
+    } catch (error) {
+        console.error("Error deleting checklist item:", error);
+        res.status(500).json({ error: "Server error while deleting checklist item." });
+    }
+};
+
+module.exports = {
+    addChecklistItem,
+    updateChecklistItem,
+    reorderChecklist,
+    deleteChecklistItem
+};
@@ -0,0 +1,181 @@
+const Comment = require('../models/comment');
+const { parsePagination } = require('../utils/taskQuery');
+const { loadTaskFor } = require('../utils/folderAccess');
+const { emitCommentEvent } = require('../services/events');
+
+const AUTHOR_POPULATE = { path: 'user', select: 'username' };
+
+// Load the task with the role needed for the action, and the comment when
+// commentId is given. Comments follow the access rules of their task: viewers
+// read, editors write. Sends the error response itself and resolves to null on failure.
+const loadCommentTask = async (req, res, minRole, { withComment = false } = {}) => {
+    const access = await loadTaskFor(req, res, minRole);
+    if (!access) return null;
+    const { task, folder, role } = access;
+
+    if (!withComment) return { task, folder, role };
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id, deletedAt: null });
+    if (!comment) {
+        res.status(404).json({ error: "Comment not found." });
+        return null;
+    }
+    return { task, folder, role, comment };
+};
+
+// -------------------------------------------
+// List comments: a page of threads, oldest first, each with all its replies
+// -------------------------------------------
+const getComments = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const loaded = await loadCommentTask(req, res, 'viewer');
+        if (!loaded) return;
+        const { task } = loaded;
+
+        const filter = { task: task._id, thread: null };
+        const [threads, total, commentCount] = await Promise.all([
+            Comment.find(filter)
+                .sort({ createdAt: 1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate(AUTHOR_POPULATE),
+            Comment.countDocuments(filter),
+            Comment.countDocuments({ task: task._id, deletedAt: null })
+        ]);
+
+        const replies = await Comment.find({ thread: { $in: threads.map((c) => c._id) } })
+            .sort({ createdAt: 1, _id: 1 })
+            .populate(AUTHOR_POPULATE);
+
+        const comments = threads.map((thread) => ({
+            ...thread.toJSON(),
+            replies: replies.filter((reply) => reply.thread.equals(thread._id))
+        }));
+
+        res.status(200).json({
+            comments,
+            commentCount,
+            pagination: {
+                page: pagination.page,
+                limit: pagination.limit,
+                total,
+                totalPages: Math.ceil(total / pagination.limit)
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching comments:", error);
+        res.status(500).json({ error: "Server error while fetching comments." });
+    }
+};
+
+// -------------------------------------------
+// Comment on a task, or reply to a comment with `parent`
+// -------------------------------------------
+const createComment = async (req, res) => {
+    try {
+        const { body, parent } = req.body;
+        if (!body.trim()) {
+            return res.status(400).json({ error: "Comment body is required." });
+        }
+
+        const loaded = await loadCommentTask(req, res, 'editor');
+        if (!loaded) return;
+        const { task, folder } = loaded;
+
+        let parentComment = null;
+        if (parent) {
+            parentComment = await Comment.findOne({ _id: parent, task: task._id });
+            if (!parentComment) {
+                return res.status(400).json({ error: "Parent comment not found on this task." });
+            }
+        }
+
+        const comment = await Comment.create({
+            task: task._id,
+            user: req.user.id,
+            body: body.trim(),
+            parent: parentComment ? parentComment._id : null,
+            thread: parentComment ? (parentComment.thread || parentComment._id) : null
+        });
+        await comment.populate(AUTHOR_POPULATE);
+        emitCommentEvent('comment.created', comment, task, folder, { actor: req.user.id });
+
+        res.status(201).json({ message: "Comment added.", data: comment });
+
+    } catch (error) {
+        console.error("Error creating comment:", error);
+        res.status(500).json({ error: "Server error while creating comment." });
+    }
+};
+
+// -------------------------------------------
+// Edit a comment (author only)
+// -------------------------------------------
+const updateComment = async (req, res) => {
+    try {
+        if (!req.body.body.trim()) {
+            return res.status(400).json({ error: "Comment body is required." });
+        }
+
+        const loaded = await loadCommentTask(req, res, 'viewer', { withComment: true });
+        if (!loaded) return;
+        const { task, folder, comment } = loaded;
+
+        if (!comment.user.equals(req.user.id)) {
+            return res.status(403).json({ error: "Only the author can edit a comment." });
+        }
+
+        comment.body = req.body.body.trim();
+        comment.editedAt = new Date();
+        await comment.save();
+        await comment.populate(AUTHOR_POPULATE);
+        emitCommentEvent('comment.updated', comment, task, folder, { actor: req.user.id });
+
+        res.status(200).json({ message: "Comment updated.", data: comment });
+
+    } catch (error) {
+        console.error("Error updating comment:", error);
+        res.status(500).json({ error: "Server error while updating comment." });
+    }
+};
+
+// -------------------------------------------
+// Delete a comment (its author, or an owner of the task's folder).
+// A comment with replies is blanked instead, so the thread stays readable.
+// -------------------------------------------
+const deleteComment = async (req, res) => {
+    try {
+        const loaded = await loadCommentTask(req, res, 'viewer', { withComment: true });
+        if (!loaded) return;
+        const { task, folder, role, comment } = loaded;
+
+        if (!comment.user.equals(req.user.id) && role !== 'owner') {
+            return res.status(403).json({ error: "Only the author or an owner can delete a comment." });
+        }
+
+        const hasReplies = await Comment.exists({ parent: comment._id });
+        if (hasReplies) {
+            comment.body = '';
+            comment.deletedAt = new Date();
+            await comment.save();
+        } else {
+            await Comment.deleteOne({ _id: comment._id });
+        }
+        emitCommentEvent('comment.deleted', comment, task, folder, { actor: req.user.id });
+
+        res.status(200).json({ message: "Comment deleted." });
+
+    } catch (error) {
+        console.error("Error deleting comment:", error);
+        res.status(500).json({ error: "Server error while deleting comment." });
+    }
+};
+
+module.exports = {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment
+};
@@ -0,0 +1,49 @@
+const { loadFolder } = require('../utils/folderAccess');
+const { MAX_CLIENTS_PER_USER, issueTicket, clientCount, openStream } = require('../services/eventStream');
+
+// -------------------------------------------
+// One-time ticket to open the stream from a browser (valid for a minute)
+// -------------------------------------------
+const createTicket = async (req, res) => {
+    try {
+        res.status(201).json(issueTicket(req.user.id, req.user.sessionId));
+
+    } catch (error) {
+        console.error("Error creating stream ticket:", error);
+        res.status(500).json({ error: "Server error while creating stream ticket." });
+    }
+};
+
+// -------------------------------------------
+// Server-Sent Events stream of the changes the user can see, optionally
+// only those of ?folders=id1,id2
+// -------------------------------------------
+const streamEvents = async (req, res) => {
+    try {
+        let folders = null;
+        if (req.query.folders !== undefined) {
+            folders = [...new Set(req.query.folders.split(',').map((id) => id.trim()))];
+            for (const id of folders) {
+                const { status, error } = await loadFolder(id, req.user.id, 'viewer');
+                if (error) {
+                    return res.status(status).json({ error });
+                }
+            }
+        }
+
+        if (clientCount(req.user.id) >= MAX_CLIENTS_PER_USER) {
+            return res.status(429).json({ error: `Too many open streams (max ${MAX_CLIENTS_PER_USER}).` });
+        }
+
+        openStream(req, res, { userId: req.user.id, sessionId: req.user.sessionId, folders });
+
+    } catch (error) {
+        console.error("Error opening event stream:", error);
+        if (!res.headersSent) res.status(500).json({ error: "Server error while opening event stream." });
+    }
+};
+
+module.exports = {
+    createTicket,
+    streamEvents
+};
@@ -1,22 +1,50 @@
-const mongoose = require('mongoose');
 const Folder = require('../models/folder');
 const Task = require('../models/task');
+const User = require('../models/user');
+const { parseTaskQuery, findPage, setPageHeaders, LIST_POPULATE } = require('../utils/taskQuery');
+const { loadFolder, folderAccessFilter } = require('../utils/folderAccess');
+const {
+    CHILD_MODES,
+    descendantsOf,
+    checkRoleOnAll,
+    subfolderFields,
+    moveFolder,
+    buildTree
+} = require('../utils/folderTree');
+const { createNextOccurrence } = require('../services/recurringTasks');
+const { rescheduleTaskReminders } = require('../services/reminderScheduler');
+const { trashTasks } = require('../services/trash');
+const { summarize } = require('../services/taskStats');
+const { emitTaskEvent, emitTaskUpdates, emitFolderEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
+const { workflowOf, initialStatus, statusFields, checkTransition } = require('../utils/workflow');
+const {
+    etagOf,
+    folderEtag,
+    matches,
+    folderMatches,
+    versionFilter,
+    guardSave,
+    isConflict,
+    sendNotModified,
+    preconditionFailed
+} = require('../utils/conditional');
 
-const sanitize = (val) => {
-    if (val == null) return null;
-    return String(val).trim();
-};
-const isValidId = (id) => mongoose.Types.ObjectId.isValid(sanitize(id));
+// Ids and bodies are checked by the routes against src/schemas/folders.js
 
 // Get single folder details including tasks
 const getFolderById = async (req, res) => {
     try {
-        const id = sanitize(req.params.id);
-        if (!isValidId(id)) return res.status(400).json({ error: 'Invalid folder id' });
+        const { id } = req.params;
 
-        const folder = await Folder.findOne({ _id: id, user: req.user.id }).populate('tasks');
-        if (!folder) return res.status(404).json({ error: 'Folder not found' });
-        res.json(folder);
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'viewer');
+        if (error) return res.status(status).json({ error });
+
+        await folder.populate({ path: 'tasks', options: { sort: { position: 1, _id: 1 } } });
+        if (sendNotModified(req, res, await folderEtag(folder, folder.tasks))) return;
+
+        const progress = await summarize({ folder: folder._id });
+        res.json({ ...folder.toJSON(), progress });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -25,10 +53,16 @@ const getFolderById = async (req, res) => {
 // Get tasks in folder
 const getTasksInFolder = async (req, res) => {
     try {
-        const folderId = sanitize(req.params.folderId);
-        if (!isValidId(folderId)) return res.status(400).json({ error: 'Invalid folder id' });
+        const { folderId } = req.params;
+
+        const { status, error } = await loadFolder(folderId, req.user.id, 'viewer');
+        if (error) return res.status(status).json({ error });
+
+        const query = parseTaskQuery(req.query, { folder: folderId });
+        if (query.error) return res.status(400).json({ error: query.error });
 
-        const tasks = await Task.find({ folder: folderId, user: req.user.id });
+        const { items: tasks, pagination } = await findPage(Task, query, { populate: LIST_POPULATE });
+        setPageHeaders(req, res, pagination);
         res.json(tasks);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -38,26 +72,28 @@ const getTasksInFolder = async (req, res) => {
 // Add task to folder
 const addTaskToFolder = async (req, res) => {
     try {
-        const folderId = sanitize(req.params.folderId);
-        if (!isValidId(folderId)) return res.status(400).json({ error: 'Invalid folder id' });
+        const { folderId } = req.params;
 
-        const folder = await Folder.findOne({ _id: folderId, user: req.user.id });
-        if (!folder) return res.status(404).json({ error: 'Folder not found' });
+        const { folder, status: accessStatus, error } = await loadFolder(folderId, req.user.id, 'editor');
+        if (error) return res.status(accessStatus).json({ error });
 
-        const allowedStatuses = ["Pending", "Completed"];
-        const status = allowedStatuses.includes(req.body.status)
-            ? req.body.status
-            : "Pending";
+        const workflow = workflowOf(folder);
+        const status = req.body.status === undefined ? initialStatus(workflow) : req.body.status;
+        const invalid = checkTransition(workflow, status, status);
+        if (invalid) return res.status(400).json({ error: invalid });
 
         const task = await Task.create({
             title: req.body.title,
-            dueDate: req.body.dueDate || null, status, 
+            dueDate: req.body.dueDate || null,
+            ...statusFields(workflow, status),
+            priority: req.body.priority || 'none',
             folder: folder._id,
             user: req.user.id
         });
 
         folder.tasks.push(task._id);
         await folder.save();
+        emitTaskEvent('task.created', task, folder, { actor: req.user.id });
 
         res.status(201).json(task);
     } catch (err) {
@@ -68,18 +104,46 @@ const addTaskToFolder = async (req, res) => {
 // Update a task inside folder
 const updateTaskInFolder = async (req, res) => {
     try {
-        const folderId = sanitize(req.params.folderId);
-        const taskId = sanitize(req.params.taskId);
-        if (!isValidId(folderId) || !isValidId(taskId)) return res.status(400).json({ error: 'Invalid id(s)' });
-
-        const task = await Task.findOneAndUpdate(
-            { _id: taskId, folder: folderId, user: req.user.id },
-            req.body,
-            { new: true }
-        );
+        const { folderId, taskId } = req.params;
+
+        const { folder, status, error } = await loadFolder(folderId, req.user.id, 'editor');
+        if (error) return res.status(status).json({ error });
+
+        // the body only has the task fields of the route schema: `user` and
+        // `folder` can't be changed through here
+        const update = { ...req.body };
+
+        const task = await Task.findOne({ _id: taskId, folder: folderId });
         if (!task) return res.status(404).json({ error: 'Task not found' });
-        res.json(task);
+        if (!matches(req, etagOf(task))) return preconditionFailed(res, 'task');
+
+        // without a due date the series would silently stop: that is DELETE /task/{id}/recurrence
+        if (update.dueDate === null && task.recurrence) {
+            return res.status(400).json({ error: "A recurring task needs a due date." });
+        }
+
+        if (update.status !== undefined) {
+            const invalid = checkTransition(workflowOf(folder), task.status, update.status);
+            if (invalid) return res.status(400).json({ error: invalid });
+            Object.assign(update, statusFields(workflowOf(folder), update.status, task));
+        }
+
+        const before = snapshotTask(task);
+        const wasDone = task.done;
+        task.set(update);
+        guardSave(req, task);
+        await task.save();
+
+        if (update.dueDate !== undefined) await rescheduleTaskReminders(task);
+        emitTaskEvent('task.updated', task, folder, { actor: req.user.id, before });
+        if (!wasDone && task.done) {
+            emitTaskEvent('task.completed', task, folder, { actor: req.user.id });
+            await createNextOccurrence(task);
+        }
+
+        res.set('ETag', etagOf(task)).json(task);
     } catch (err) {
+        if (isConflict(err)) return preconditionFailed(res, 'task');
         res.status(400).json({ error: err.message });
     }
 };
@@ -87,23 +151,36 @@ const updateTaskInFolder = async (req, res) => {
 // Update task status
 const updateTaskStatus = async (req, res) => {
     try {
-        const folderId = sanitize(req.params.folderId);
-        const taskId = sanitize(req.params.taskId);
-        if (!isValidId(folderId) || !isValidId(taskId)) return res.status(400).json({ error: 'Invalid id(s)' });
+        const { folderId, taskId } = req.params;
 
-        const allowedStatuses = ["Pending", "Completed"];
-        if (!allowedStatuses.includes(req.body.status)) {
-        return res.status(400).json({ error: "Invalid status value" });
-        }
+        const { folder, status, error } = await loadFolder(folderId, req.user.id, 'editor');
+        if (error) return res.status(status).json({ error });
 
-        const task = await Task.findOneAndUpdate(
-            { _id: taskId, folder: folderId, user: req.user.id },
-            { status: req.body.status },
-            { new: true }
-        );
+        const task = await Task.findOne({ _id: taskId, folder: folderId });
         if (!task) return res.status(404).json({ error: 'Task not found' });
-        res.json(task);
+        if (!matches(req, etagOf(task))) return preconditionFailed(res, 'task');
+
+        // the folder's workflow decides which statuses (and changes) are allowed
+        const workflow = workflowOf(folder);
+        const invalid = checkTransition(workflow, task.status, req.body.status);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const before = snapshotTask(task);
+        const wasDone = task.done;
+        task.set(statusFields(workflow, req.body.status, task));
+        guardSave(req, task);
+        await task.save();
+        emitTaskEvent('task.updated', task, folder, { actor: req.user.id, before });
+
+        // completing an occurrence of a recurring task generates the next one
+        if (!wasDone && task.done) {
+            emitTaskEvent('task.completed', task, folder, { actor: req.user.id });
+            await createNextOccurrence(task);
+        }
+
+        res.set('ETag', etagOf(task)).json(task);
     } catch (err) {
+        if (isConflict(err)) return preconditionFailed(res, 'task');
         res.status(400).json({ error: err.message });
     }
 };
@@ -111,23 +188,27 @@ const updateTaskStatus = async (req, res) => {
 // Delete task from folder
 const deleteTaskInFolder = async (req, res) => {
     try {
-        const folderId = sanitize(req.params.folderId);
-        const taskId = sanitize(req.params.taskId);
-        if (!isValidId(folderId) || !isValidId(taskId)) return res.status(400).json({ error: 'Invalid id(s)' });
+        const { folderId, taskId } = req.params;
+
+        const { folder, status, error } = await loadFolder(folderId, req.user.id, 'editor');
+        if (error) return res.status(status).json({ error });
 
-        const task = await Task.findOneAndDelete({
+        const task = await Task.findOne({
             _id: taskId,
-            folder: folderId,
-            user: req.user.id
+            folder: folderId
         });
         if (!task) return res.status(404).json({ error: 'Task not found' });
+        if (!matches(req, etagOf(task))) return preconditionFailed(res, 'task');
 
+        const trashed = await trashTasks({ _id: task._id, ...versionFilter(req, task) }, req.user.id);
+        if (!trashed.length) return preconditionFailed(res, 'task');
         await Folder.updateOne(
             { _id: folderId },
             { $pull: { tasks: task._id } }
         );
+        emitTaskEvent('task.deleted', task, folder, { actor: req.user.id });
 
-        res.json({ message: 'Task deleted' });
+        res.json({ message: 'Task moved to trash' });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -136,10 +217,23 @@ const deleteTaskInFolder = async (req, res) => {
 // Reset folder progress
 const resetProgress = async (req, res) => {
     try {
-        const id = sanitize(req.params.id);
-        if (!isValidId(id)) return res.status(400).json({ error: 'Invalid folder id' });
+        const { id } = req.params;
+
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'editor');
+        if (error) return res.status(status).json({ error });
+
+        if (!await folderMatches(req, folder)) return preconditionFailed(res, 'folder');
 
-        await Task.updateMany({ folder: id, user: req.user.id }, { status: 'Pending' });
+        // every task goes back to the first status of the folder's workflow
+        const workflow = workflowOf(folder);
+        const reset = statusFields(workflow, initialStatus(workflow));
+        const result = await emitTaskUpdates(
+            { folder: id },
+            () => Task.updateMany({ folder: id }, reset),
+            folder,
+            { actor: req.user.id }
+        );
+        emitFolderEvent('folder.progress_reset', folder, { tasksReset: result.modifiedCount, reset }, { actor: req.user.id });
         res.json({ message: 'Folder progress reset' });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -149,12 +243,34 @@ const resetProgress = async (req, res) => {
 // Clear folder progress
 const clearTasks = async (req, res) => {
     try {
-        const id = sanitize(req.params.id);
-        if (!isValidId(id)) return res.status(400).json({ error: 'Invalid folder id' });
+        const { id } = req.params;
+
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'editor');
+        if (error) return res.status(status).json({ error });
+        if (!await folderMatches(req, folder)) return preconditionFailed(res, 'folder');
+
+        // subfolders are only touched when asked to
+        const descendants = await descendantsOf(folder);
+        const children = req.query.children;
+        if (descendants.length && !CHILD_MODES.clear.includes(children)) {
+            return res.status(400).json({ error: 'Folder has subfolders: pass children=cascade to clear them too, or children=keep' });
+        }
+        const folders = children === 'cascade' ? [folder, ...descendants] : [folder];
+        const denied = checkRoleOnAll(folders, req.user.id, 'editor');
+        if (denied) return res.status(denied.status).json({ error: denied.error });
+
+        const folderIds = folders.map((f) => f._id);
+        // the tasks go to the trash and can be restored one by one
+        const tasks = await Task.find({ folder: { $in: folderIds } }).select('folder');
+        await trashTasks({ _id: { $in: tasks.map((t) => t._id) } }, req.user.id);
+        await Folder.updateMany({ _id: { $in: folderIds } }, { tasks: [] });
 
-        await Task.deleteMany({ folder: id, user: req.user.id });
-        await Folder.findByIdAndUpdate(id, { tasks: [] });
-        res.json({ message: 'Folder Tasks Cleared' });
+        for (const cleared of folders) {
+            cleared.tasks = [];
+            const deletedTasks = tasks.filter((t) => t.folder.equals(cleared._id)).map((t) => t._id);
+            emitFolderEvent('folder.cleared', cleared, { deletedTasks }, { actor: req.user.id });
+        }
+        res.json({ message: 'Folder Tasks Cleared', foldersCleared: folders.length });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -163,14 +279,23 @@ const clearTasks = async (req, res) => {
 // Create a new folder
 const createFolder = async (req, res) => {
     try {
-        const { name } = req.body;
-        if (!name) return res.status(400).json({ error: 'Folder name required' });
+        const { name, parent: parentId } = req.body;
+
+        // new subfolders need editor access on their parent
+        let parent = null;
+        if (parentId) {
+            const access = await loadFolder(parentId, req.user.id, 'editor');
+            if (access.error) return res.status(access.status).json({ error: access.error });
+            parent = access.folder;
+        }
 
         const folder = await Folder.create({
             name,
             user: req.user.id,
-            tasks: []
+            tasks: [],
+            ...subfolderFields(parent, req.user.id)
         });
+        emitFolderEvent('folder.created', folder, {}, { actor: req.user.id });
 
         res.status(201).json(folder);
     } catch (err) {
@@ -178,8 +303,136 @@ const createFolder = async (req, res) => {
     }
 };
 
+// The folders the user can see, nested, with task counts
+const getFolderTree = async (req, res) => {
+    try {
+        const folders = await Folder.find(folderAccessFilter(req.user.id)).select('name parent user members');
+
+        const counts = await Task.aggregate([
+            { $match: { folder: { $in: folders.map((f) => f._id) } } },
+            {
+                $group: {
+                    _id: '$folder',
+                    total: { $sum: 1 },
+                    completed: { $sum: { $cond: [{ $eq: ['$done', true] }, 1, 0] } }
+                }
+            }
+        ]);
+        const countById = new Map(counts.map((c) => [String(c._id), c]));
+
+        res.json(buildTree(folders, countById, req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Move a folder (with everything below it) under another folder, or to the top level
+const setParent = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const parentId = req.body.parent;
+
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'owner');
+        if (error) return res.status(status).json({ error });
+        if (!await folderMatches(req, folder)) return preconditionFailed(res, 'folder');
+
+        let parent = null;
+        if (parentId !== null) {
+            const access = await loadFolder(parentId, req.user.id, 'editor');
+            if (access.error) return res.status(access.status).json({ error: access.error });
+            parent = access.folder;
+        }
+
+        guardSave(req, folder);
+        const moved = await moveFolder(folder, parent);
+        if (moved.error) return res.status(400).json({ error: moved.error });
+        emitFolderEvent('folder.updated', folder, {}, { actor: req.user.id });
+
+        res.json(folder);
+    } catch (err) {
+        if (isConflict(err)) return preconditionFailed(res, 'folder');
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// List the folder's members, the creator first
+const getMembers = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'viewer');
+        if (error) return res.status(status).json({ error });
+
+        await folder.populate([
+            { path: 'user', select: 'username' },
+            { path: 'members.user', select: 'username' }
+        ]);
+
+        res.json([
+            { user: folder.user, role: 'owner', creator: true },
+            ...folder.members.map((m) => ({ user: m.user, role: m.role, addedAt: m.addedAt }))
+        ]);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Share the folder with a user, or change the role of an existing member
+const addMember = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { username, role } = req.body;
+
+        const { folder, status, error } = await loadFolder(id, req.user.id, 'owner');
+        if (error) return res.status(status).json({ error });
+
+        const user = await User.findOne({ username: String(username) });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (folder.user.equals(user._id)) return res.status(400).json({ error: "The folder's creator is always an owner" });
+
+        const member = folder.members.find((m) => m.user.equals(user._id));
+        if (member) {
+            member.role = role;
+        } else {
+            folder.members.push({ user: user._id, role });
+        }
+        await folder.save();
+        emitFolderEvent('folder.updated', folder, {}, { actor: req.user.id });
+
+        res.status(member ? 200 : 201).json({ user: { _id: user._id, username: user.username }, role });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Revoke a member's access. Owners can remove anyone, members can remove themselves.
+const removeMember = async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        const leaving = userId === String(req.user.id);
+        const { folder, status, error } = await loadFolder(id, req.user.id, leaving ? 'viewer' : 'owner');
+        if (error) return res.status(status).json({ error });
+
+        if (folder.user.equals(userId)) return res.status(400).json({ error: "The folder's creator can't be removed" });
+
+        const before = folder.members.length;
+        folder.members = folder.members.filter((m) => !m.user.equals(userId));
+        if (folder.members.length === before) return res.status(404).json({ error: 'Member not found' });
+        await folder.save();
+        emitFolderEvent('folder.updated', folder, { removedMember: userId }, { actor: req.user.id, notify: [userId] });
+
+        res.json({ message: 'Member removed' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
 module.exports = {
     createFolder,
+    getFolderTree,
+    setParent,
     getFolderById,
     getTasksInFolder,
     addTaskToFolder,
@@ -187,5 +440,8 @@ module.exports = {
     updateTaskStatus,
     deleteTaskInFolder,
     resetProgress,
-    clearTasks
+    clearTasks,
+    getMembers,
+    addMember,
+    removeMember
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const {
+    exportData,
+    exportCsv,
+    readJsonImport,
+    readCsvImport,
+    importData
+} = require('../services/importExport');
+
+// ?format wins, then the Content-Type of the upload; JSON by default
+const formatOf = (req) => {
+    if (req.query.format !== undefined) return req.query.format;
+    return /csv|text\/plain/i.test(req.headers['content-type'] || '') ? 'csv' : 'json';
+};
+
+// -------------------------------------------
+// Export the user's folders and tasks as a JSON or CSV download
+// -------------------------------------------
+const exportTasks = async (req, res) => {
+    try {
+        const { format } = req.query;
+
+        const data = await exportData(req.user.id);
+        const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.attachment(filename);
+        if (format === 'csv') {
+            return res.type('text/csv').send(exportCsv(data));
+        }
+        res.status(200).json(data);
+
+    } catch (error) {
+        console.error("Error exporting tasks:", error);
+        res.status(500).json({ error: "Server error while exporting tasks." });
+    }
+};
+
+// -------------------------------------------
+// Import folders and tasks from an export, or tasks from any CSV file.
+// Every row is validated first; if one fails nothing is imported.
+// -------------------------------------------
+const importTasks = async (req, res) => {
+    try {
+        const format = formatOf(req);
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: "Send the file to import as the request body." });
+        }
+
+        let read;
+        if (format === 'json') {
+            let data;
+            try {
+                data = JSON.parse(req.body);
+            } catch (err) {
+                return res.status(400).json({ error: "Invalid JSON." });
+            }
+            read = readJsonImport(data);
+        } else {
+            let mapping = {};
+            if (req.query.mapping !== undefined) {
+                try {
+                    mapping = JSON.parse(req.query.mapping);
+                } catch (err) {
+                    mapping = null;
+                }
+                if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                    return res.status(400).json({ error: "mapping must be a JSON object of field: column header." });
+                }
+            }
+            read = readCsvImport(req.body, mapping);
+        }
+        if (read.error) {
+            return res.status(400).json({ error: read.error });
+        }
+
+        const result = await importData(read, req.user.id);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (result.errors) {
+            return res.status(422).json({
+                error: `${result.errors.length} row(s) are invalid; nothing was imported.`,
+                errors: result.errors
+            });
+        }
+
+        res.status(201).json({ message: "Import complete.", data: result.imported });
+
+    } catch (error) {
+        console.error("Error importing tasks:", error);
+        res.status(500).json({ error: "Server error while importing tasks; nothing was imported." });
+    }
+};
+
+module.exports = { exportTasks, importTasks };
@@ -0,0 +1,84 @@
+const Task = require('../models/task');
+const { loadTask } = require('../utils/folderAccess');
+const { parseRecurrence } = require('../utils/recurrence');
+const { anchorRecurrence } = require('../services/recurringTasks');
+const { emitTaskEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
+
+// -------------------------------------------
+// Make a task recurring, or change the rule of its series.
+// The rule is carried forward from the latest occurrence, so it has to be
+// set on that one (the task that hasn't generated its successor yet).
+// -------------------------------------------
+const setRecurrence = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const parsed = parseRecurrence(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { task, folder, status, error } = await loadTask(taskId, req.user.id, 'editor');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (!task.dueDate) {
+            return res.status(400).json({ error: "A recurring task needs a due date." });
+        }
+        if (task.nextOccurrence) {
+            return res.status(400).json({ error: "This occurrence is already done, edit the latest one of the series." });
+        }
+
+        const before = snapshotTask(task);
+        task.recurrence = {
+            ...anchorRecurrence(parsed.recurrence, task.dueDate),
+            occurrence: task.recurrence ? task.recurrence.occurrence : 1
+        };
+        if (!task.series) task.series = task._id;
+        await task.save();
+        emitTaskEvent('task.updated', task, folder, { actor: req.user.id, before });
+
+        res.status(200).json({ message: "Recurrence updated.", data: task });
+
+    } catch (error) {
+        console.error("Error setting recurrence:", error);
+        res.status(500).json({ error: "Server error while setting recurrence." });
+    }
+};
+
+// -------------------------------------------
+// Stop the series: no more occurrences are generated.
+// Existing occurrences are kept.
+// -------------------------------------------
+const stopRecurrence = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const { task, folder, status, error } = await loadTask(taskId, req.user.id, 'editor');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (!task.recurrence) {
+            return res.status(400).json({ error: "Task is not recurring." });
+        }
+
+        const result = await Task.updateMany(
+            { series: task.series || task._id, nextOccurrence: null },
+            { recurrence: null }
+        );
+        const before = snapshotTask(task);
+        task.recurrence = null;
+        emitTaskEvent('task.updated', task, folder, { actor: req.user.id, before });
+
+        res.status(200).json({ message: "Recurrence stopped.", updated: result.modifiedCount });
+
+    } catch (error) {
+        console.error("Error stopping recurrence:", error);
+        res.status(500).json({ error: "Server error while stopping recurrence." });
+    }
+};
+
+module.exports = { setRecurrence, stopRecurrence };
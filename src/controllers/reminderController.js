@@ -0,0 +1,136 @@
+const Reminder = require('../models/reminder');
+const { loadTask } = require('../utils/folderAccess');
+const { parseReminderRule, computeFireAt } = require('../utils/reminderTime');
+
+// -------------------------------------------
+// Add a reminder to a task (for the calling user)
+// -------------------------------------------
+const createReminder = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const parsed = parseReminderRule(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { task, status, error } = await loadTask(taskId, req.user.id, 'viewer');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!task.dueDate) {
+            return res.status(400).json({ error: "Task has no due date to remind about." });
+        }
+
+        const reminder = await Reminder.create({
+            task: task._id,
+            user: req.user.id,
+            rule: parsed.rule,
+            fireAt: computeFireAt(parsed.rule, task.dueDate)
+        });
+
+        res.status(201).json({ message: "Reminder created.", data: reminder });
+
+    } catch (error) {
+        console.error("Error creating reminder:", error);
+        res.status(500).json({ error: "Server error while creating reminder." });
+    }
+};
+
+// -------------------------------------------
+// List the calling user's reminders on a task
+// -------------------------------------------
+const getTaskReminders = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const { status, error } = await loadTask(taskId, req.user.id, 'viewer');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const reminders = await Reminder.find({ task: taskId, user: req.user.id }).sort({ fireAt: 1 });
+        res.status(200).json(reminders);
+
+    } catch (error) {
+        console.error("Error fetching task reminders:", error);
+        res.status(500).json({ error: "Server error while fetching reminders." });
+    }
+};
+
+// -------------------------------------------
+// Upcoming (pending) reminders of the calling user, soonest first
+// -------------------------------------------
+const getUpcomingReminders = async (req, res) => {
+    try {
+        const reminders = await Reminder.find({ user: req.user.id, status: 'pending', fireAt: { $ne: null } })
+            .sort({ fireAt: 1 })
+            .limit(req.query.limit)
+            .populate('task', 'title dueDate status folder');
+
+        res.status(200).json(reminders);
+
+    } catch (error) {
+        console.error("Error fetching upcoming reminders:", error);
+        res.status(500).json({ error: "Server error while fetching reminders." });
+    }
+};
+
+// -------------------------------------------
+// Snooze: fire again `minutes` from now (also re-arms a sent reminder)
+// -------------------------------------------
+const snoozeReminder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { minutes } = req.body;
+
+        const reminder = await Reminder.findOneAndUpdate(
+            { _id: id, user: req.user.id },
+            {
+                fireAt: new Date(Date.now() + minutes * 60 * 1000),
+                status: 'pending',
+                attempts: 0,
+                lockedUntil: null,
+                lastError: null
+            },
+            { new: true }
+        );
+        if (!reminder) {
+            return res.status(404).json({ error: "Reminder not found." });
+        }
+
+        res.status(200).json({ message: "Reminder snoozed.", data: reminder });
+
+    } catch (error) {
+        console.error("Error snoozing reminder:", error);
+        res.status(500).json({ error: "Server error while snoozing reminder." });
+    }
+};
+
+// -------------------------------------------
+// Delete a reminder
+// -------------------------------------------
+const deleteReminder = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const reminder = await Reminder.findOneAndDelete({ _id: id, user: req.user.id });
+        if (!reminder) {
+            return res.status(404).json({ error: "Reminder not found." });
+        }
+
+        res.status(200).json({ message: "Reminder deleted." });
+
+    } catch (error) {
+        console.error("Error deleting reminder:", error);
+        res.status(500).json({ error: "Server error while deleting reminder." });
+    }
+};
+
+module.exports = {
+    createReminder,
+    getTaskReminders,
+    getUpcomingReminders,
+    snoozeReminder,
+    deleteReminder
+};
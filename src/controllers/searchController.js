@@ -0,0 +1,70 @@
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const { searchTerms, highlight } = require('../utils/highlight');
+const { folderAccessFilter, taskAccessFilter } = require('../utils/folderAccess');
+
+// -------------------------------------------
+// Search task titles and folder names
+// GET /api/v1/search?q=&folder=&status=&limit=
+// -------------------------------------------
+const search = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const q = req.query.q.trim();
+        if (!q) {
+            return res.status(400).json({ error: "Query parameter q cannot be blank." });
+        }
+
+        const taskFilter = { ...await taskAccessFilter(userId), $text: { $search: q } };
+        const folderFilter = { ...folderAccessFilter(userId), $text: { $search: q } };
+
+        const { folder, status, limit } = req.query;
+        if (folder !== undefined) {
+            // the folder and everything below it
+            const scope = [folder, ...await Folder.find({ ancestors: folder }).distinct('_id')];
+            taskFilter.folder = { $in: scope };
+            folderFilter._id = { $in: scope };
+        }
+        if (status !== undefined) taskFilter.status = status.trim();
+
+        const score = { score: { $meta: 'textScore' } };
+        const [tasks, folders] = await Promise.all([
+            Task.find(taskFilter, score).sort(score).limit(limit).lean(),
+            // a status scope only makes sense for tasks
+            status === undefined
+                ? Folder.find(folderFilter, score).sort(score).limit(limit).lean()
+                : []
+        ]);
+
+        // both text indexes cover one field (title, name) with the default weight
+        // and language, so their scores compare as they are. Scaling each list to
+        // its own best hit would rank a weak task match level with a perfect folder one.
+        const relevance = (doc) => Math.round(doc.score * 1000) / 1000;
+
+        const terms = searchTerms(q);
+        const results = [
+            ...tasks.map((task) => ({
+                type: 'task',
+                score: relevance(task),
+                highlight: highlight(task.title, terms),
+                data: task
+            })),
+            ...folders.map((folderDoc) => ({
+                type: 'folder',
+                score: relevance(folderDoc),
+                highlight: highlight(folderDoc.name, terms),
+                data: folderDoc
+            }))
+        ]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        res.status(200).json({ query: q, count: results.length, results });
+
+    } catch (error) {
+        console.error("Error searching tasks and folders:", error);
+        res.status(500).json({ error: "Server error while searching." });
+    }
+};
+
+module.exports = { search };
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/folder');
+const { folderAccessFilter, loadFolderFor } = require('../utils/folderAccess');
+const {
+    isValidTimeZone,
+    summarize,
+    summarizeByFolder,
+    completedPer,
+    burndown
+} = require('../services/taskStats');
+
+// ?days, ?weeks and ?tz, checked and defaulted by the route schema (src/schemas/stats.js),
+// which can't tell whether the time zone exists. Returns { days, weeks, tz } or { error }.
+const parseStatsQuery = ({ days, weeks, tz }) =>
+    (isValidTimeZone(tz) ? { days, weeks, tz } : { error: "Unknown time zone." });
+
+// Summary plus completions per day and per week of the tasks matching `match`
+const statsOf = async (match, { days, weeks, tz }) => {
+    const [summary, perDay, perWeek] = await Promise.all([
+        summarize(match),
+        completedPer(match, 'day', days, tz),
+        completedPer(match, 'week', weeks, tz)
+    ]);
+    return {
+        ...summary,
+        completedPerDay: perDay.map(({ period, count }) => ({ date: period, count })),
+        completedPerWeek: perWeek.map(({ period, count }) => ({ weekStart: period, count }))
+    };
+};
+
+// -------------------------------------------
+// Every task the user can see: overall numbers, completions over time and
+// the completion of each folder
+// -------------------------------------------
+const getStats = async (req, res) => {
+    try {
+        const query = parseStatsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const folders = await Folder.find(folderAccessFilter(req.user.id)).select('name parent').sort({ name: 1 }).lean();
+        const match = {
+            $or: [
+                { user: new mongoose.Types.ObjectId(req.user.id), folder: null },
+                { folder: { $in: folders.map((f) => f._id) } }
+            ]
+        };
+
+        const [stats, byFolder] = await Promise.all([statsOf(match, query), summarizeByFolder(match)]);
+        const empty = { total: 0, done: 0, percent: 0, overdue: 0, averageCompletionHours: null };
+
+        res.status(200).json({
+            ...stats,
+            folders: folders.map((folder) => ({
+                _id: folder._id,
+                name: folder.name,
+                parent: folder.parent,
+                ...(byFolder.get(String(folder._id)) || empty)
+            })),
+            noFolder: byFolder.get('null') || empty
+        });
+
+    } catch (error) {
+        console.error("Error computing stats:", error);
+        res.status(500).json({ error: "Server error while computing stats." });
+    }
+};
+
+// -------------------------------------------
+// The tasks of one folder
+// -------------------------------------------
+const getFolderStats = async (req, res) => {
+    try {
+        const query = parseStatsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const folder = await loadFolderFor(req, res);
+        if (!folder) return;
+
+        res.status(200).json({ folder: { _id: folder._id, name: folder.name }, ...await statsOf({ folder: folder._id }, query) });
+
+    } catch (error) {
+        console.error("Error computing folder stats:", error);
+        res.status(500).json({ error: "Server error while computing folder stats." });
+    }
+};
+
+// -------------------------------------------
+// Burndown of a folder: open tasks at the end of each of the last ?days days
+// -------------------------------------------
+const getFolderBurndown = async (req, res) => {
+    try {
+        const query = parseStatsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const folder = await loadFolderFor(req, res);
+        if (!folder) return;
+
+        const series = await burndown({ folder: folder._id }, query.days, query.tz);
+        res.status(200).json({ folder: { _id: folder._id, name: folder.name }, tz: query.tz, series });
+
+    } catch (error) {
+        console.error("Error computing burndown:", error);
+        res.status(500).json({ error: "Server error while computing burndown." });
+    }
+};
+
+module.exports = {
+    getStats,
+    getFolderStats,
+    getFolderBurndown
+};
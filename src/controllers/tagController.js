@@ -0,0 +1,163 @@
+const Tag = require('../models/tag');
+const Task = require('../models/task');
+const { loadTask } = require('../utils/folderAccess');
+const { emitTaskEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
+const { TAG_POPULATE } = require('../utils/taskQuery');
+const { IN_TRASH } = require('../services/trash');
+
+// -------------------------------------------
+// List the user's tags with how many tasks use each
+// -------------------------------------------
+const getTags = async (req, res) => {
+    try {
+        const tags = await Tag.find({ user: req.user.id }).sort({ name: 1 }).lean();
+
+        const counts = await Task.aggregate([
+            { $match: { tags: { $in: tags.map((t) => t._id) } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+        res.status(200).json(tags.map((tag) => ({ ...tag, taskCount: countById.get(String(tag._id)) || 0 })));
+
+    } catch (error) {
+        console.error("Error fetching tags:", error);
+        res.status(500).json({ error: "Server error while fetching tags." });
+    }
+};
+
+// -------------------------------------------
+// Create a tag
+// -------------------------------------------
+const createTag = async (req, res) => {
+    try {
+        const name = req.body.name.trim();
+        const { color } = req.body;
+        if (!name) {
+            return res.status(400).json({ error: "Tag name cannot be empty." });
+        }
+
+        if (await Tag.exists({ user: req.user.id, name })) {
+            return res.status(400).json({ error: "Tag already exists." });
+        }
+
+        const tag = await Tag.create({ name, color, user: req.user.id });
+        res.status(201).json({ message: "Tag created.", data: tag });
+
+    } catch (error) {
+        console.error("Error creating tag:", error);
+        res.status(500).json({ error: "Server error while creating tag." });
+    }
+};
+
+// -------------------------------------------
+// Rename or recolor a tag. Tasks reference the tag by id, so they all
+// show the new name right away.
+// -------------------------------------------
+const updateTag = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const updateData = {};
+        if (req.body.name !== undefined) {
+            const name = req.body.name.trim();
+            if (!name) return res.status(400).json({ error: "Tag name cannot be empty." });
+            if (await Tag.exists({ user: req.user.id, name, _id: { $ne: id } })) {
+                return res.status(400).json({ error: "Tag already exists." });
+            }
+            updateData.name = name;
+        }
+        if (req.body.color !== undefined) updateData.color = req.body.color;
+
+        const tag = await Tag.findOneAndUpdate({ _id: id, user: req.user.id }, updateData, { new: true, runValidators: true });
+        if (!tag) {
+            return res.status(404).json({ error: "Tag not found." });
+        }
+
+        res.status(200).json({ message: "Tag updated.", data: tag });
+
+    } catch (error) {
+        console.error("Error updating tag:", error);
+        res.status(500).json({ error: "Server error while updating tag." });
+    }
+};
+
+// -------------------------------------------
+// Delete a tag and remove it from every task
+// -------------------------------------------
+const deleteTag = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const tag = await Tag.findOneAndDelete({ _id: id, user: req.user.id });
+        if (!tag) {
+            return res.status(404).json({ error: "Tag not found." });
+        }
+
+        // trashed tasks lose the tag too, or restoring them would bring back a dangling id
+        const tagged = { tags: tag._id };
+        const pull = { $pull: { tags: tag._id } };
+        const snapshots = new Map((await Task.find(tagged)).map((task) => [String(task._id), snapshotTask(task)]));
+        const [result, trashed] = await Promise.all([
+            Task.updateMany(tagged, pull),
+            Task.updateMany({ ...tagged, ...IN_TRASH }, pull)
+        ]);
+
+        const tasks = await Task.find({ _id: { $in: [...snapshots.keys()] } }).populate(TAG_POPULATE);
+        for (const task of tasks) {
+            emitTaskEvent('task.updated', task, null, { actor: req.user.id, before: snapshots.get(String(task._id)) });
+        }
+
+        res.status(200).json({ message: "Tag deleted.", tasksUpdated: result.modifiedCount + trashed.modifiedCount });
+
+    } catch (error) {
+        console.error("Error deleting tag:", error);
+        res.status(500).json({ error: "Server error while deleting tag." });
+    }
+};
+
+// -------------------------------------------
+// Add a tag to / remove a tag from a task
+// -------------------------------------------
+const changeTaskTag = (op) => async (req, res) => {
+    try {
+        const { taskId, tagId } = req.params;
+
+        const tag = await Tag.findOne({ _id: tagId, user: req.user.id });
+        if (!tag) {
+            return res.status(404).json({ error: "Tag not found." });
+        }
+
+        const { task: before, folder, status, error } = await loadTask(taskId, req.user.id, 'editor');
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const task = await Task.findByIdAndUpdate(
+            taskId,
+            op === 'add' ? { $addToSet: { tags: tag._id } } : { $pull: { tags: tag._id } },
+            { new: true }
+        ).populate(TAG_POPULATE);
+        emitTaskEvent('task.updated', task, folder, { actor: req.user.id, before: snapshotTask(before) });
+
+        res.status(200).json({ message: op === 'add' ? "Tag added." : "Tag removed.", data: task });
+
+    } catch (error) {
+        console.error("Error changing task tags:", error);
+        res.status(500).json({ error: "Server error while changing task tags." });
+    }
+};
+
+const addTagToTask = changeTaskTag('add');
+const removeTagFromTask = changeTaskTag('remove');
+
+module.exports = {
+    getTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    addTagToTask,
+    removeTagFromTask
+};
@@ -2,6 +2,27 @@
 const Task = require('../models/task');
 const Folder = require('../models/folder');
 const mongoose = require('mongoose'); // <--- added
+const { parseTaskQuery, findPage, setPageHeaders, TAG_POPULATE, LIST_POPULATE } = require('../utils/taskQuery');
+const { taskList, positionBetween, POSITION_STEP } = require('../utils/taskOrder');
+const { taskAccessFilter, loadFolder, loadTask } = require('../utils/folderAccess');
+const { CHILD_MODES, descendantsOf, checkRoleOnAll, subfolderFields, reparentChildren } = require('../utils/folderTree');
+const { parseNewTask } = require('../utils/taskInput');
+const { workflowOf, checkTransition, statusFields } = require('../utils/workflow');
+const { parseTagIds } = require('../utils/tags');
+const {
+    etagOf,
+    folderEtag,
+    matches,
+    folderMatches,
+    versionFilter,
+    sendNotModified,
+    preconditionFailed,
+    conflictError
+} = require('../utils/conditional');
+const { createNextOccurrence } = require('../services/recurringTasks');
+const { trashTasks, trashFolder } = require('../services/trash');
+const { emitTaskEvent, emitFolderEvent } = require('../services/events');
+const { snapshotTask } = require('../utils/taskChanges');
 
 // helper: get user id from auth middleware or fallback to params
 const getUserId = (req) => req.user?.id || req.user?._id || req.params.userId;
@@ -12,19 +33,26 @@ const getUserId = (req) => req.user?.id || req.user?._id || req.params.userId;
 const createTaskOrFolder = async (req, res) => {
     try {
         const userId = getUserId(req);
-        const { title, dueDate, status, type, folder } = req.body;
+        // the body was checked against schemas.createTask (src/schemas/tasks.js)
+        const { title, type, folder, tags } = req.body;
 
-        // Required fields
-        if (!title || !type) {
-            return res.status(400).json({ error: "Title and type are required." });
-        }
-
-        // If creating a folder
+        // If creating a folder (inside `parent` when given)
         if (type === "folder") {
+            let parentFolder = null;
+            if (req.body.parent) {
+                const access = await loadFolder(req.body.parent, userId, 'editor');
+                if (access.error) {
+                    return res.status(access.status).json({ error: access.error });
+                }
+                parentFolder = access.folder;
+            }
+
             const newFolder = await Folder.create({
                 name: title,
-                user: userId
+                user: userId,
+                ...subfolderFields(parentFolder, userId)
             });
+            emitFolderEvent('folder.created', newFolder, {}, { actor: userId });
 
             return res.status(201).json({
                 message: "Folder created successfully",
@@ -32,46 +60,51 @@ const createTaskOrFolder = async (req, res) => {
             });
         }
 
-        // Task validation
-        if (status && !["Pending", "Working", "Completed"].includes(status)) {
-            return res.status(400).json({ error: "Invalid status value." });
+        // If folder provided, ensure it exists and the user may add tasks to it
+        let existingFolder = null;
+        if (folder) {
+            const access = await loadFolder(folder, userId, 'editor');
+            if (access.status === 404) {
+                return res.status(400).json({ error: "Folder does not exist or is not shared with the user." });
+            }
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+            existingFolder = access.folder;
         }
 
-        let parsedDueDate = null;
-        if (dueDate) {
-            const d = new Date(dueDate);
-            if (isNaN(d.getTime())) {
-                return res.status(400).json({ error: "Invalid date format." });
-            }
-            parsedDueDate = d;
+        // Task validation, against the statuses of the folder's workflow
+        const parsedTask = parseNewTask(req.body, workflowOf(existingFolder));
+        if (parsedTask.error) {
+            return res.status(400).json({ error: parsedTask.error });
         }
+        const taskFields = parsedTask.fields;
 
-        // If folder provided, ensure it exists and belongs to user
-        let existingFolder = null;
-        if (folder) {
-            // validate format BEFORE querying to avoid CastError
-            if (!mongoose.isValidObjectId(folder)) {
-                return res.status(400).json({ error: "Invalid folder ID format." });
-            }
-            existingFolder = await Folder.findOne({ _id: folder, user: userId });
-            if (!existingFolder) {
-                return res.status(400).json({ error: "Folder does not exist or does not belong to the user." });
+        let parsedTags = [];
+        if (tags !== undefined) {
+            const parsed = await parseTagIds(tags, userId);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
             }
+            parsedTags = parsed.tags;
         }
 
-        // Create task
+        // Create task (a recurring one starts its own series)
+        const taskId = new mongoose.Types.ObjectId();
         const newTask = await Task.create({
-            title,
-            dueDate: parsedDueDate,
-            status: status || "Pending",
+            _id: taskId,
+            ...taskFields,
             folder: folder || null,
-            user: userId
+            user: userId,
+            tags: parsedTags,
+            series: taskFields.recurrence ? taskId : null
         });
 
         // If task added to a folder, push its id into folder.tasks
         if (existingFolder) {
             await Folder.findByIdAndUpdate(folder, { $push: { tasks: newTask._id } });
         }
+        emitTaskEvent('task.created', newTask, existingFolder, { actor: userId });
 
         return res.status(201).json({
             message: "Task created successfully",
@@ -85,16 +118,22 @@ const createTaskOrFolder = async (req, res) => {
 };
 
 // -------------------------------------------
-// Get ALL tasks + folders for a user
+// Get ALL tasks the user can see: their own and those of shared folders.
+// A bare page like the other listings; folders come from GET /folders/tree.
 // -------------------------------------------
 const getAllTasksAndFolders = async (req, res) => {
     try {
         const userId = getUserId(req);
 
-        const tasks = await Task.find({ user: userId }).sort({ createdAt: -1 });
-        const folders = await Folder.find({ user: userId }).sort({ folderName: 1 });
+        const query = parseTaskQuery(req.query, await taskAccessFilter(userId));
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
 
-        res.status(200).json({ tasks, folders });
+        const { items: tasks, pagination } = await findPage(Task, query, { populate: LIST_POPULATE });
+
+        setPageHeaders(req, res, pagination);
+        res.status(200).json(tasks);
 
     } catch (error) {
         console.error("Error fetching all tasks and folders:", error);
@@ -110,8 +149,19 @@ const getTasksByFolder = async (req, res) => {
         const userId = getUserId(req);
         const { folderId } = req.params;
 
-        const tasks = await Task.find({ user: userId, folder: folderId }).sort({ createdAt: -1 });
+        const access = await loadFolder(folderId, userId, 'viewer');
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const query = parseTaskQuery(req.query, { folder: folderId });
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { items: tasks, pagination } = await findPage(Task, query, { populate: LIST_POPULATE });
 
+        setPageHeaders(req, res, pagination);
         res.status(200).json(tasks);
 
     } catch (error) {
@@ -127,8 +177,14 @@ const getAllTasksWithoutFolder = async (req, res) => {
     try {
         const userId = getUserId(req);
 
-        const tasks = await Task.find({ user: userId, folder: null }).sort({ createdAt: -1 });
+        const query = parseTaskQuery(req.query, { user: userId, folder: null });
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { items: tasks, pagination } = await findPage(Task, query, { populate: LIST_POPULATE });
 
+        setPageHeaders(req, res, pagination);
         res.status(200).json(tasks);
 
     } catch (error) {
@@ -146,18 +202,21 @@ const getTaskById = async (req, res) => {
         const { taskId } = req.params;
 
         // Try Task first
-        let item = await Task.findOne({ _id: taskId, user: userId });
-        
-        // If not found, try Folder
-        if (!item) {
-            item = await Folder.findOne({ _id: taskId, user: userId });
+        const taskAccess = await loadTask(taskId, userId, 'viewer');
+        if (taskAccess.task) {
+            if (sendNotModified(req, res, etagOf(taskAccess.task))) return;
+            return res.status(200).json(await taskAccess.task.populate(LIST_POPULATE));
         }
 
-        if (!item) {
-            return res.status(404).json({ error: "Task or folder not found." });
+        // If not found, try Folder
+        const folderAccess = await loadFolder(taskId, userId, 'viewer');
+        if (folderAccess.folder) {
+            // same ETag as GET /folders/{id}, which also covers the folder's tasks
+            if (sendNotModified(req, res, await folderEtag(folderAccess.folder))) return;
+            return res.status(200).json(folderAccess.folder);
         }
 
-        res.status(200).json(item);
+        return res.status(404).json({ error: "Task or folder not found." });
 
     } catch (error) {
         console.error("Error fetching task/folder by ID:", error);
@@ -174,47 +233,82 @@ const updateTaskStatus = async (req, res) => {
         const { taskId } = req.params;
         const { title, status } = req.body;
 
-        // Build update object
-        const updateData = {};
-        
-        if (title !== undefined) {
-            updateData.title = title;
-        }
-        
-        if (status !== undefined) {
-            if (!["Pending", "Working", "Completed"].includes(status)) {
-                return res.status(400).json({ error: "Invalid status." });
-            }
-            updateData.status = status;
-        }
+        // Build update object: the body only has the fields of schemas.updateTask,
+        // at least one of them. The status is checked against the task's
+        // workflow once it is loaded.
+        const updateData = { ...req.body };
 
-        // If no fields to update
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "Provide at least title or status to update." });
-        }
+        let updatedItem = null;
+        let nextOccurrence = null;
 
-        // Try updating Task first
-        let updatedItem = await Task.findOneAndUpdate(
-            { _id: taskId, user: userId },
-            updateData,
-            { new: true, runValidators: true }
-        );
+        // Try updating Task first (editors of its folder may change it)
+        const taskAccess = await loadTask(taskId, userId, 'editor');
+        if (taskAccess.status === 403) {
+            return res.status(403).json({ error: taskAccess.error });
+        }
+        if (taskAccess.task) {
+            // If-Match: only if nobody changed the task since the client loaded it
+            if (!matches(req, etagOf(taskAccess.task))) {
+                return preconditionFailed(res, 'task');
+            }
+            if (status !== undefined) {
+                const workflow = workflowOf(taskAccess.folder);
+                const invalid = checkTransition(workflow, taskAccess.task.status, status);
+                if (invalid) {
+                    return res.status(400).json({ error: invalid });
+                }
+                Object.assign(updateData, statusFields(workflow, status, taskAccess.task));
+            }
 
-        // If Task not found, try Folder
-        if (!updatedItem) {
-            const folderUpdate = title ? { name: title } : {};
-            updatedItem = await Folder.findOneAndUpdate(
-                { _id: taskId, user: userId },
-                folderUpdate,
+            updatedItem = await Task.findOneAndUpdate(
+                { _id: taskId, ...versionFilter(req, taskAccess.task) },
+                updateData,
                 { new: true, runValidators: true }
             );
+            if (!updatedItem && req.get('If-Match') !== undefined) {
+                return preconditionFailed(res, 'task');
+            }
+
+            if (updatedItem) {
+                emitTaskEvent('task.updated', updatedItem, taskAccess.folder, { actor: userId, before: snapshotTask(taskAccess.task) });
+
+                // completing an occurrence of a recurring task generates the next one
+                if (updatedItem.done && !taskAccess.task.done) {
+                    emitTaskEvent('task.completed', updatedItem, taskAccess.folder, { actor: userId });
+                    nextOccurrence = await createNextOccurrence(updatedItem);
+                }
+            }
+        } else {
+            // If Task not found, try Folder (renaming needs owner access)
+            const folderAccess = await loadFolder(taskId, userId, 'owner');
+            if (folderAccess.status === 403) {
+                return res.status(403).json({ error: folderAccess.error });
+            }
+            if (folderAccess.folder) {
+                if (!await folderMatches(req, folderAccess.folder)) {
+                    return preconditionFailed(res, 'folder');
+                }
+                const folderUpdate = title ? { name: title } : {};
+                updatedItem = await Folder.findOneAndUpdate(
+                    { _id: taskId, ...versionFilter(req, folderAccess.folder) },
+                    folderUpdate,
+                    { new: true, runValidators: true }
+                );
+                if (!updatedItem && req.get('If-Match') !== undefined) {
+                    return preconditionFailed(res, 'folder');
+                }
+                if (updatedItem) emitFolderEvent('folder.updated', updatedItem, {}, { actor: userId });
+            }
         }
 
         if (!updatedItem) {
             return res.status(404).json({ error: "Task or folder not found." });
         }
 
-        res.status(200).json({ message: "Task or folder updated.", data: updatedItem });
+        const response = { message: "Task or folder updated.", data: updatedItem };
+        if (nextOccurrence) response.nextOccurrence = nextOccurrence;
+        const etag = updatedItem instanceof Folder ? await folderEtag(updatedItem) : etagOf(updatedItem);
+        res.set('ETag', etag).status(200).json(response);
 
     } catch (error) {
         console.error("Error updating task or folder:", error);
@@ -222,50 +316,168 @@ const updateTaskStatus = async (req, res) => {
     }
 };
 
+// Renumber a list POSITION_STEP apart, keeping its current order.
+// Resolves to the new positions: [{ _id, position }].
+const renumberList = async (list) => {
+    const tasks = await Task.find(list).sort({ position: 1, _id: 1 }).select('_id');
+    const positions = tasks.map((t, i) => ({ _id: t._id, position: (i + 1) * POSITION_STEP }));
+    if (!positions.length) return positions;
+    await Task.bulkWrite(positions.map(({ _id, position }) => ({
+        updateOne: { filter: { _id }, update: { position } }
+    })));
+    return positions;
+};
+
+// Position right before/after `anchor`, ignoring the task being moved.
+// Resolves to null when the list has to be renumbered first: tasks without a
+// position, tasks sharing the anchor's position, or no room left between the two.
+const positionNextTo = async (task, anchor, where) => {
+    const others = { ...taskList(anchor), _id: { $nin: [task._id, anchor._id] } };
+    const unordered = anchor.position == null
+        || await Task.exists({ ...others, $or: [{ position: null }, { position: anchor.position }] });
+    if (unordered) return null;
+
+    const before = where === 'before';
+    const neighbour = await Task.findOne({ ...others, position: before ? { $lt: anchor.position } : { $gt: anchor.position } })
+        .sort({ position: before ? -1 : 1 })
+        .select('position');
+    const neighbourPosition = neighbour ? neighbour.position : null;
+
+    return before
+        ? positionBetween(neighbourPosition, anchor.position)
+        : positionBetween(anchor.position, neighbourPosition);
+};
+
+// -------------------------------------------
+// Move a task right before or after another task of the same list
+// -------------------------------------------
+const moveTask = async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const { taskId } = req.params;
+        const { before, after } = req.body;
+
+        if ((before === undefined) === (after === undefined)) {
+            return res.status(400).json({ error: "Provide either before or after (a task ID)." });
+        }
+        const where = before !== undefined ? 'before' : 'after';
+        const anchorId = where === 'before' ? before : after;
+        if (String(anchorId) === String(taskId)) {
+            return res.status(400).json({ error: "A task cannot be moved next to itself." });
+        }
+
+        const access = await loadTask(taskId, userId, 'editor');
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+        if (!matches(req, etagOf(access.task))) {
+            return preconditionFailed(res, 'task');
+        }
+
+        // only within the same list: the folder, or the user's tasks without one
+        const list = taskList(access.task);
+        let anchor = await Task.findOne({ _id: anchorId, ...list });
+        if (!anchor) {
+            return res.status(400).json({ error: `The ${where} task must be in the same list.` });
+        }
+
+        let position = await positionNextTo(access.task, anchor, where);
+        let renumbered = null;
+        if (position === null) {
+            renumbered = await renumberList(list);
+            anchor = await Task.findById(anchor._id);
+            position = await positionNextTo(access.task, anchor, where);
+        }
+
+        const task = await Task.findOneAndUpdate(
+            { _id: taskId, ...versionFilter(req, access.task) },
+            { position },
+            { new: true }
+        ).populate(TAG_POPULATE);
+        if (!task) {
+            return preconditionFailed(res, 'task');
+        }
+        // the other tasks' new positions, when the list had to be renumbered
+        const extra = renumbered ? { renumbered } : {};
+        emitTaskEvent('task.updated', task, access.folder, { actor: userId, before: snapshotTask(access.task), extra });
+
+        res.set('ETag', etagOf(task)).status(200).json({ message: "Task moved.", data: task });
+
+    } catch (error) {
+        console.error("Error moving task:", error);
+        res.status(500).json({ error: "Server error while moving task." });
+    }
+};
+
 // -------------------------------------------
 // DELETE Task or Folder
 // -------------------------------------------
 const deleteTaskOrFolder = async (req, res) => {
   try {
     const userId = getUserId(req);
-    let { type, id } = req.params;
-
-    // support route patterns: /:type/:id  OR  /:id  (when only id provided, Express will set id)
-    // If only one param was provided and it's an ObjectId, treat it as id
-    if (!id && type && mongoose.isValidObjectId(type)) {
-      id = type;
-      type = undefined;
-    }
-
-    if (!id) {
-      return res.status(400).json({ error: "Missing id parameter." });
-    }
+    // DELETE /:type/:id, or /:taskId for a task or folder by id alone
+    const { type } = req.params;
+    const id = req.params.id || req.params.taskId;
+
+    // deleted items go to the user's trash (see trashController)
+    // tasks need editor access on their folder, folders need owner access
+    const deleteTask = async () => {
+      const access = await loadTask(id, userId, 'editor');
+      if (access.error) return access;
+      if (!matches(req, etagOf(access.task))) return conflictError('task');
+      const trashed = await trashTasks({ _id: id, ...versionFilter(req, access.task) }, userId);
+      if (!trashed.length) return conflictError('task');
+      if (access.task.folder) {
+        await Folder.updateOne({ _id: access.task.folder }, { $pull: { tasks: access.task._id } });
+      }
+      emitTaskEvent('task.deleted', access.task, access.folder, { actor: userId });
+      return { message: "Task moved to trash." };
+    };
+
+    // subfolders are deleted too (?children=cascade) or moved up a level (?children=reparent)
+    const deleteFolder = async () => {
+      const access = await loadFolder(id, userId, 'owner');
+      if (access.error) return access;
+      if (!await folderMatches(req, access.folder)) return conflictError('folder');
+
+      const descendants = await descendantsOf(access.folder);
+      const children = req.query.children;
+      if (descendants.length && !CHILD_MODES.delete.includes(children)) {
+        return { status: 400, error: "Folder has subfolders: pass children=cascade to delete them too, or children=reparent to move them up a level." };
+      }
+      const folders = children === 'cascade' ? [access.folder, ...descendants] : [access.folder];
+      const denied = checkRoleOnAll(folders, userId, 'owner');
+      if (denied) return denied;
+      let moved = [];
+      if (descendants.length && children === 'reparent') {
+        await reparentChildren(access.folder);
+        moved = await Folder.find({ _id: { $in: descendants.map((d) => d._id) } });
+      }
+
+      const tasks = await trashFolder(access.folder, folders.slice(1), userId);
+      folders.forEach((folder) => {
+        const deletedTasks = tasks.filter((t) => t.folder.equals(folder._id)).map((t) => t._id);
+        emitFolderEvent('folder.deleted', folder, { deletedTasks }, { actor: userId });
+      });
+      // the subfolders moved up (and everything below them got a shorter path)
+      moved.forEach((folder) => emitFolderEvent('folder.updated', folder, {}, { actor: userId }));
+      return { message: "Folder and its tasks moved to trash." };
+    };
+
+    const send = (result) => result.error
+      ? res.status(result.status).json({ error: result.error })
+      : res.status(200).json({ message: result.message });
 
     // explicit delete by type
-    if (type === "task") {
-      const deletedTask = await Task.findOneAndDelete({ _id: id, user: userId });
-      if (!deletedTask) return res.status(404).json({ error: "Task not found." });
-      return res.status(200).json({ message: "Task deleted successfully." });
-    }
-
-    if (type === "folder") {
-      // delete tasks first, then folder
-      await Task.deleteMany({ folder: id, user: userId });
-      const deletedFolder = await Folder.findOneAndDelete({ _id: id, user: userId });
-      if (!deletedFolder) return res.status(404).json({ error: "Folder not found." });
-      return res.status(200).json({ message: "Folder and its tasks deleted successfully." });
-    }
+    if (type === "task") return send(await deleteTask());
+    if (type === "folder") return send(await deleteFolder());
 
     // no type provided: try task first, then folder
-    const deletedTask = await Task.findOneAndDelete({ _id: id, user: userId });
-    if (deletedTask) return res.status(200).json({ message: "Task deleted successfully." });
-
-    // attempt folder delete (and its tasks)
-    const deletedFolder = await Folder.findOneAndDelete({ _id: id, user: userId });
-    if (deletedFolder) {
-      await Task.deleteMany({ folder: id, user: userId });
-      return res.status(200).json({ message: "Folder and its tasks deleted successfully." });
-    }
+    const taskResult = await deleteTask();
+    if (taskResult.status !== 404) return send(taskResult);
+
+    const folderResult = await deleteFolder();
+    if (folderResult.status !== 404) return send(folderResult);
 
     return res.status(404).json({ error: "Task or folder not found." });
   } catch (error) {
@@ -282,5 +494,6 @@ module.exports = {
   getAllTasksWithoutFolder,
   getTaskById,
   updateTaskStatus,
+  moveTask,
   deleteTaskOrFolder
 };
@@ -0,0 +1,182 @@
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const { TRASH_RETENTION_DAYS } = require('../models/plugins/softDelete');
+const { parseTaskQuery, findPage } = require('../utils/taskQuery');
+const { roleOf, hasRole } = require('../utils/folderAccess');
+const { moveFolder } = require('../utils/folderTree');
+const { workflowOf, statusFields, mapStatus } = require('../utils/workflow');
+const { IN_TRASH, RESTORED, restoreFolder, purgeTasks, purgeFolder } = require('../services/trash');
+const { emitTaskEvent, emitFolderEvent } = require('../services/events');
+
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Items the user deleted themselves. Tasks and subfolders that went along with
+// a folder are not listed on their own: they come back with that folder.
+const trashOf = (userId) => ({ deletedBy: userId, deletedWith: null, ...IN_TRASH });
+
+const withExpiry = (doc) => ({ ...doc.toJSON(), expiresAt: new Date(doc.deletedAt.getTime() + RETENTION_MS) });
+
+// Find a trashed task or folder of the user. Resolves to { task } or { folder } or {}.
+const findTrashed = async (id, userId) => {
+    const task = await Task.findOne({ _id: id, ...trashOf(userId) });
+    if (task) return { task };
+    const folder = await Folder.findOne({ _id: id, ...trashOf(userId) });
+    return folder ? { folder } : {};
+};
+
+// -------------------------------------------
+// List the trash: a page of tasks plus every folder
+// -------------------------------------------
+const getTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const query = parseTaskQuery(req.query, trashOf(userId));
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+        // most recently deleted first, unless asked otherwise
+        if (!req.query.sort) query.sort = { deletedAt: -1, _id: -1 };
+
+        const [{ items: tasks, pagination }, folders] = await Promise.all([
+            findPage(Task, query),
+            Folder.find(trashOf(userId)).sort({ deletedAt: -1 })
+        ]);
+
+        // how many tasks each folder would bring back
+        const counts = await Task.aggregate([
+            { $match: { deletedWith: { $in: folders.map((f) => f._id) }, ...IN_TRASH } },
+            { $group: { _id: '$deletedWith', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+        res.status(200).json({
+            tasks: tasks.map(withExpiry),
+            folders: folders.map((folder) => ({ ...withExpiry(folder), taskCount: countById.get(String(folder._id)) || 0 })),
+            pagination
+        });
+
+    } catch (error) {
+        console.error("Error fetching trash:", error);
+        res.status(500).json({ error: "Server error while fetching trash." });
+    }
+};
+
+// -------------------------------------------
+// Restore a task or folder from the trash
+// -------------------------------------------
+const restoreItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { task, folder } = await findTrashed(req.params.id, userId);
+
+        if (task) {
+            let taskFolder = null;
+            if (task.folder) {
+                taskFolder = await Folder.findById(task.folder);
+                if (!taskFolder && await Folder.exists({ _id: task.folder, ...IN_TRASH })) {
+                    return res.status(409).json({ error: "The task's folder is in the trash, restore the folder first." });
+                }
+                if (taskFolder && !hasRole(roleOf(taskFolder, userId), 'editor')) {
+                    return res.status(403).json({ error: "Requires editor access to the task's folder." });
+                }
+            }
+
+            task.set(RESTORED);
+            if (task.folder && !taskFolder) {
+                // the folder is gone for good: the task joins the user's own tasks
+                const workflow = workflowOf(null);
+                task.set({
+                    folder: null,
+                    user: userId,
+                    position: null,
+                    ...statusFields(workflow, mapStatus(workflow, task.status, task.done), task)
+                });
+            }
+            await task.save();
+
+            // re-link it into the folder's task list
+            if (taskFolder) {
+                await Folder.updateOne({ _id: taskFolder._id }, { $addToSet: { tasks: task._id } });
+            }
+            emitTaskEvent('task.restored', task, taskFolder, { actor: userId });
+
+            return res.status(200).json({ message: "Task restored.", data: task });
+        }
+
+        if (folder) {
+            if (roleOf(folder, userId) !== 'owner') {
+                return res.status(403).json({ error: "Requires owner access to the folder." });
+            }
+
+            await restoreFolder(folder);
+
+            // a parent that is gone (or still in the trash) leaves it at the top level
+            if (folder.parent && !await Folder.exists({ _id: folder.parent })) {
+                await moveFolder(folder, null);
+            }
+            emitFolderEvent('folder.restored', folder, {}, { actor: userId });
+
+            return res.status(200).json({ message: "Folder restored.", data: folder });
+        }
+
+        return res.status(404).json({ error: "Item not found in trash." });
+
+    } catch (error) {
+        console.error("Error restoring from trash:", error);
+        res.status(500).json({ error: "Server error while restoring from trash." });
+    }
+};
+
+// -------------------------------------------
+// Permanently delete one item from the trash
+// -------------------------------------------
+const purgeItem = async (req, res) => {
+    try {
+        const { task, folder } = await findTrashed(req.params.id, req.user.id);
+        if (task) {
+            await purgeTasks([task._id]);
+        } else if (folder) {
+            await purgeFolder(folder);
+        } else {
+            return res.status(404).json({ error: "Item not found in trash." });
+        }
+
+        res.status(200).json({ message: "Permanently deleted." });
+
+    } catch (error) {
+        console.error("Error purging from trash:", error);
+        res.status(500).json({ error: "Server error while purging from trash." });
+    }
+};
+
+// -------------------------------------------
+// Empty the user's trash
+// -------------------------------------------
+const emptyTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [taskIds, folders] = await Promise.all([
+            Task.find(trashOf(userId)).distinct('_id'),
+            Folder.find(trashOf(userId))
+        ]);
+        await purgeTasks(taskIds);
+        for (const folder of folders) {
+            await purgeFolder(folder);
+        }
+
+        res.status(200).json({ message: "Trash emptied.", tasksDeleted: taskIds.length, foldersDeleted: folders.length });
+
+    } catch (error) {
+        console.error("Error emptying trash:", error);
+        res.status(500).json({ error: "Server error while emptying trash." });
+    }
+};
+
+module.exports = {
+    getTrash,
+    restoreItem,
+    purgeItem,
+    emptyTrash
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { EVENT_TYPES } = require('../services/events');
+const { parsePagination, findPage } = require('../utils/taskQuery');
+const { checkPublicUrl } = require('../utils/safeUrl');
+
+// -------------------------------------------
+// Register a webhook. The signing secret is only returned here.
+// -------------------------------------------
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        const urlError = await checkPublicUrl(url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const webhook = await Webhook.create({
+            user: req.user.id,
+            url,
+            events: [...new Set(events)],
+            secret,
+            description
+        });
+
+        res.status(201).json({
+            message: "Webhook created. Store the secret, it won't be shown again.",
+            data: { ...webhook.toJSON(), secret }
+        });
+
+    } catch (error) {
+        console.error("Error creating webhook:", error);
+        res.status(500).json({ error: "Server error while creating webhook." });
+    }
+};
+
+// -------------------------------------------
+// List the user's webhooks
+// -------------------------------------------
+const getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ user: req.user.id }).sort({ createdAt: -1 });
+        res.status(200).json({ webhooks, events: EVENT_TYPES });
+    } catch (error) {
+        console.error("Error fetching webhooks:", error);
+        res.status(500).json({ error: "Server error while fetching webhooks." });
+    }
+};
+
+// -------------------------------------------
+// Change url, events, description or active flag
+// -------------------------------------------
+const updateWebhook = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url, events, description, active } = req.body;
+        const updateData = {};
+        if (url !== undefined) {
+            const urlError = await checkPublicUrl(url);
+            if (urlError) return res.status(400).json({ error: urlError });
+            updateData.url = url;
+        }
+        if (events !== undefined) updateData.events = [...new Set(events)];
+        if (description !== undefined) updateData.description = description;
+        if (active !== undefined) updateData.active = active;
+
+        const webhook = await Webhook.findOneAndUpdate({ _id: id, user: req.user.id }, updateData, { new: true });
+        if (!webhook) {
+            return res.status(404).json({ error: "Webhook not found." });
+        }
+
+        res.status(200).json({ message: "Webhook updated.", data: webhook });
+
+    } catch (error) {
+        console.error("Error updating webhook:", error);
+        res.status(500).json({ error: "Server error while updating webhook." });
+    }
+};
+
+// -------------------------------------------
+// Delete a webhook and its delivery log
+// -------------------------------------------
+const deleteWebhook = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const webhook = await Webhook.findOneAndDelete({ _id: id, user: req.user.id });
+        if (!webhook) {
+            return res.status(404).json({ error: "Webhook not found." });
+        }
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+        res.status(200).json({ message: "Webhook deleted." });
+
+    } catch (error) {
+        console.error("Error deleting webhook:", error);
+        res.status(500).json({ error: "Server error while deleting webhook." });
+    }
+};
+
+// -------------------------------------------
+// Delivery log of a webhook, newest first
+// -------------------------------------------
+const getDeliveries = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const webhook = await Webhook.exists({ _id: id, user: req.user.id });
+        if (!webhook) {
+            return res.status(404).json({ error: "Webhook not found." });
+        }
+
+        const filter = { webhook: id };
+        if (req.query.status !== undefined) filter.status = req.query.status;
+
+        const { items: deliveries, pagination } = await findPage(WebhookDelivery, {
+            filter,
+            sort: { createdAt: -1 },
+            ...parsePagination(req.query)
+        });
+
+        res.status(200).json({ deliveries, pagination });
+
+    } catch (error) {
+        console.error("Error fetching webhook deliveries:", error);
+        res.status(500).json({ error: "Server error while fetching deliveries." });
+    }
+};
+
+module.exports = {
+    createWebhook,
+    getWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    getDeliveries
+};
@@ -0,0 +1,163 @@
+const Task = require('../models/task');
+const { loadFolderFor } = require('../utils/folderAccess');
+const { LIST_POPULATE } = require('../utils/taskQuery');
+const { IN_TRASH } = require('../services/trash');
+const { emitFolderEvent, emitTaskUpdates } = require('../services/events');
+const {
+    DEFAULT_WORKFLOW,
+    workflowOf,
+    statusNames,
+    mapStatus,
+    parseWorkflow
+} = require('../utils/workflow');
+
+const workflowResponse = (folder) => ({
+    workflow: workflowOf(folder),
+    custom: workflowOf(folder) !== DEFAULT_WORKFLOW
+});
+
+// Give the folder `workflow` and move its tasks onto it, trashed ones included so
+// they come back with a valid status. A status the workflow no longer has goes to
+// remap[status] when given, otherwise to the done state for done tasks or the first status.
+const applyWorkflow = async (folder, workflow, remap) => {
+    const names = statusNames(workflow);
+    const doneNames = workflow.statuses.filter((s) => s.done).map((s) => s.name);
+
+    for (const scope of [{}, IN_TRASH]) {
+        const list = { folder: folder._id, ...scope };
+        const used = await Task.distinct('status', list);
+        for (const status of used.filter((name) => !names.includes(name))) {
+            if (remap[status]) {
+                await Task.updateMany({ ...list, status }, { status: remap[status] });
+            } else {
+                await Task.updateMany({ ...list, status, done: true }, { status: mapStatus(workflow, status, true) });
+                await Task.updateMany({ ...list, status, done: { $ne: true } }, { status: mapStatus(workflow, status, false) });
+            }
+        }
+        await Task.updateMany({ ...list, status: { $in: doneNames }, done: { $ne: true } }, { done: true, completedAt: new Date() });
+        await Task.updateMany({ ...list, status: { $nin: doneNames } }, { done: false, completedAt: null });
+    }
+
+    folder.workflow = workflow === DEFAULT_WORKFLOW ? null : workflow;
+    await folder.save();
+};
+
+// -------------------------------------------
+// The folder's statuses and transitions (the default ones unless it has its own)
+// -------------------------------------------
+const getWorkflow = async (req, res) => {
+    try {
+        const folder = await loadFolderFor(req, res, 'viewer');
+        if (!folder) return;
+
+        res.status(200).json(workflowResponse(folder));
+
+    } catch (error) {
+        console.error("Error fetching workflow:", error);
+        res.status(500).json({ error: "Server error while fetching workflow." });
+    }
+};
+
+// -------------------------------------------
+// Replace the folder's workflow: body { statuses, transitions, remap }.
+// remap ({ "Old status": "New status" }) says where tasks of removed statuses go.
+// -------------------------------------------
+const setWorkflow = async (req, res) => {
+    try {
+        const { remap } = req.body;
+        const parsed = parseWorkflow(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        const { workflow } = parsed;
+
+        if (Object.values(remap).some((to) => !statusNames(workflow).includes(to))) {
+            return res.status(400).json({ error: "remap must map old statuses to statuses of the new workflow." });
+        }
+
+        const folder = await loadFolderFor(req, res, 'owner');
+        if (!folder) return;
+
+        // tasks whose status changed get their own task.updated
+        await emitTaskUpdates(
+            { folder: folder._id },
+            () => applyWorkflow(folder, workflow, remap),
+            folder,
+            { actor: req.user.id }
+        );
+        emitFolderEvent('folder.updated', folder, { workflow }, { actor: req.user.id });
+
+        res.status(200).json({ message: "Workflow updated.", ...workflowResponse(folder) });
+
+    } catch (error) {
+        console.error("Error updating workflow:", error);
+        res.status(500).json({ error: "Server error while updating workflow." });
+    }
+};
+
+// -------------------------------------------
+// Go back to the default workflow
+// -------------------------------------------
+const resetWorkflow = async (req, res) => {
+    try {
+        const folder = await loadFolderFor(req, res, 'owner');
+        if (!folder) return;
+
+        await emitTaskUpdates(
+            { folder: folder._id },
+            () => applyWorkflow(folder, DEFAULT_WORKFLOW, {}),
+            folder,
+            { actor: req.user.id }
+        );
+        emitFolderEvent('folder.updated', folder, { workflow: DEFAULT_WORKFLOW }, { actor: req.user.id });
+
+        res.status(200).json({ message: "Workflow reset.", ...workflowResponse(folder) });
+
+    } catch (error) {
+        console.error("Error resetting workflow:", error);
+        res.status(500).json({ error: "Server error while resetting workflow." });
+    }
+};
+
+// -------------------------------------------
+// Kanban board: one column per status of the workflow, in order, with the
+// number of tasks in it and the first ?limit of them in manual order
+// -------------------------------------------
+const getBoard = async (req, res) => {
+    try {
+        const folder = await loadFolderFor(req, res, 'viewer');
+        if (!folder) return;
+        const workflow = workflowOf(folder);
+
+        const counts = await Task.aggregate([
+            { $match: { folder: folder._id } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const countOf = new Map(counts.map((c) => [c._id, c.count]));
+
+        const columns = await Promise.all(workflow.statuses.map(async ({ name, done }) => ({
+            status: name,
+            done,
+            count: countOf.get(name) || 0,
+            tasks: countOf.get(name)
+                ? await Task.find({ folder: folder._id, status: name })
+                    .sort({ position: 1, _id: 1 })
+                    .limit(req.query.limit)
+                    .populate(LIST_POPULATE)
+                : []
+        })));
+
+        res.status(200).json({ folder: { _id: folder._id, name: folder.name }, transitions: workflow.transitions, columns });
+
+    } catch (error) {
+        console.error("Error fetching board:", error);
+        res.status(500).json({ error: "Server error while fetching board." });
+    }
+};
+
+module.exports = {
+    getWorkflow,
+    setWorkflow,
+    resetWorkflow,
+    getBoard
+};
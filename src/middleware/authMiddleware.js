@@ -1,18 +1,29 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
 require('dotenv').config();
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
     const auth = req.headers.authorization;
     if (!auth || !auth.startsWith('Bearer ')) {
         return res.status(401).json({ error: 'Access denied, token missing' });
     }
     
     const token = auth.split(' ')[1];
+    let payload;
     try {
-        const payload = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = { id: payload.id }; // This line is critical — sets req.user.id
-        next();
+        payload = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
         return res.status(401).json({ error: 'Invalid token' });
     }
+
+    try {
+        // reject tokens whose session was logged out or revoked
+        const session = payload.sid && await Session.findOne({ _id: payload.sid, user: payload.id, revokedAt: null });
+        if (!session) return res.status(401).json({ error: 'Token revoked' });
+
+        req.user = { id: payload.id, sessionId: payload.sid }; // This line is critical — sets req.user.id
+        next();
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+const { errorBody, sendError } = require('../utils/apiError');
+
+// Controllers answer errors with res.status(4xx/5xx).json({ error }): give
+// those the common shape of src/utils/apiError.js, keeping any other field
+// they carry. Bodies that already have a `code` are left alone.
+const errorFormat = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode < 400 || !body || typeof body.error !== 'string' || body.code) return json(body);
+        const { error, details, ...rest } = body;
+        return json({ ...errorBody(res.statusCode, error, { details }), ...rest });
+    };
+    next();
+};
+
+// Unknown API routes answer in JSON too. req.path would be relative to where
+// this is mounted, the full path is what the client sent.
+const notFound = (req, res) =>
+    sendError(res, 404, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'ROUTE_NOT_FOUND' });
+
+// Errors nobody caught: unreadable bodies, ids Mongoose couldn't cast, failed
+// schema validation, and the rest as 500s. Express tells error handlers
+// apart by their four arguments, so `next` stays even when unused.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'The request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, `Request body too large (max ${err.limit} bytes)`);
+    }
+    if (err.name === 'CastError') {
+        return sendError(res, 400, `Invalid ${err.path}`, {
+            code: 'VALIDATION_ERROR',
+            details: [{ in: 'params', field: err.path, message: `must be ${err.kind === 'ObjectId' ? 'an id' : `a valid ${err.kind}`}` }]
+        });
+    }
+    if (err.name === 'ValidationError' && err.errors) {
+        const details = Object.values(err.errors).map((e) => ({ in: 'body', field: e.path, message: e.message }));
+        return sendError(res, 400, details.map((d) => d.message).join('; '), { code: 'VALIDATION_ERROR', details });
+    }
+
+    console.error('Unhandled error:', err);
+    sendError(res, err.status >= 400 && err.status < 500 ? err.status : 500, err.status < 500 ? err.message : 'Server error');
+};
+
+module.exports = { errorFormat, notFound, errorHandler };
@@ -0,0 +1,57 @@
+const { getStore } = require('../services/counterStore');
+
+// Non-negative integer from the environment; 0 turns a limit off
+const envCount = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const RATE_LIMIT_WINDOW_SECONDS = envCount('RATE_LIMIT_WINDOW_SECONDS', 60) || 60;
+const RATE_LIMIT_MAX = envCount('RATE_LIMIT_MAX', 300);
+const AUTH_RATE_LIMIT_MAX = envCount('AUTH_RATE_LIMIT_MAX', 20);
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// 429 telling the client when to come back
+const tooManyRequests = (res, resetAt, error) => {
+    res.set('Retry-After', String(secondsUntil(resetAt)));
+    return res.status(429).json({ error });
+};
+
+// At most `max` requests per window for each key (the client IP by default).
+// Behind a proxy, set TRUST_PROXY so req.ip is the client's and not the proxy's.
+const rateLimit = ({ name, max, windowMs = RATE_LIMIT_WINDOW_SECONDS * 1000, keyOf = (req) => req.ip }) =>
+    async (req, res, next) => {
+        if (!max) return next();
+        try {
+            const { count, resetAt } = await getStore().increment(`${name}:${keyOf(req)}`, windowMs);
+            res.set({
+                'RateLimit-Limit': String(max),
+                'RateLimit-Remaining': String(Math.max(0, max - count)),
+                'RateLimit-Reset': String(secondsUntil(resetAt))
+            });
+            if (count > max) return tooManyRequests(res, resetAt, 'Too many requests, try again later');
+            next();
+        } catch (err) {
+            // an unreachable store must not take the whole API down with it
+            console.error('Error checking rate limit:', err);
+            next();
+        }
+    };
+
+// Every API request (RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_SECONDS)
+const apiRateLimit = rateLimit({ name: 'api', max: RATE_LIMIT_MAX });
+
+// Tighter limit for the unauthenticated auth endpoints (login, register,
+// password reset...), on top of the login lockout
+const authRateLimit = rateLimit({ name: 'auth', max: AUTH_RATE_LIMIT_MAX });
+
+module.exports = {
+    RATE_LIMIT_WINDOW_SECONDS,
+    RATE_LIMIT_MAX,
+    AUTH_RATE_LIMIT_MAX,
+    rateLimit,
+    apiRateLimit,
+    authRateLimit,
+    tooManyRequests
+};
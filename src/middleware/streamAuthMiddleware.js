@@ -0,0 +1,14 @@
+const auth = require('./authMiddleware');
+const { redeemTicket } = require('../services/eventStream');
+
+// Same as authMiddleware, but also takes a one-time ?ticket= from
+// POST /api/v1/events/tickets: EventSource can't send an Authorization header.
+module.exports = (req, res, next) => {
+    if (req.query.ticket === undefined) return auth(req, res, next);
+
+    const user = redeemTicket(String(req.query.ticket));
+    if (!user) return res.status(401).json({ error: 'Invalid or expired ticket' });
+
+    req.user = user;
+    next();
+};
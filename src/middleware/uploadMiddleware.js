@@ -0,0 +1,22 @@
+const express = require('express');
+const { MAX_ATTACHMENT_BYTES } = require('../services/attachments');
+
+// Run a body parser, answering in JSON (413 over `limit`) when it fails
+const withJsonErrors = (parser, limit) => (req, res, next) => {
+    parser(req, res, (err) => {
+        if (!err) return next();
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Request body too large (max ${limit} bytes)` });
+        }
+        return res.status(400).json({ error: 'Could not read the request body' });
+    });
+};
+
+// Reads the request body as the raw bytes of an uploaded file into req.body
+// (a Buffer), whatever its Content-Type.
+const readFile = withJsonErrors(express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }), MAX_ATTACHMENT_BYTES);
+
+// Reads the request body as text into req.body, whatever its Content-Type
+const readText = (limit) => withJsonErrors(express.text({ type: () => true, limit }), limit);
+
+module.exports = { readFile, readText };
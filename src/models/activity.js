@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// One entry of a task's history. Entries are only ever added (see
+// src/services/activityLog.js) and outlive the task itself.
+const activitySchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+    // the task's folder when it happened
+    folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+    // null for changes made by the server itself, e.g. the next occurrence of a recurring task
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    action: {
+        type: String,
+        enum: ['created', 'updated', 'status_changed', 'moved', 'deleted', 'restored'],
+        required: true
+    },
+    changes: { type: [changeSchema], default: [] },
+    // title at the time, so the feed still reads well once the task is gone
+    title: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ folder: 1, createdAt: -1 });
+
+const appendOnly = () => {
+    throw new Error('Activity entries cannot be changed');
+};
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], appendOnly);
+
+module.exports = mongoose.models.Activity || mongoose.model('Activity', activitySchema);
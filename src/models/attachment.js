@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A file attached to a task. The bytes live in the file storage
+// (see src/services/fileStorage.js) under `storageKey`.
+const attachmentSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    storageKey: { type: String, required: true, select: false }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Attachment || mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A subscribable iCalendar feed of a user's dated tasks, optionally limited to
+// one folder. Calendar apps can't send a JWT, so the feed URL carries its own
+// token; only its hash is stored and deleting the feed revokes it.
+const calendarFeedSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    name: { type: String },
+    lastUsedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.models.CalendarFeed || mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A comment on a task. Replies point to the comment they answer (`parent`)
+// and to the top-level comment of their thread (`thread`), so a whole thread
+// is loaded with one query whatever its depth.
+const commentSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    body: { type: String, default: '' },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    thread: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    editedAt: { type: Date, default: null },
+    // a deleted comment that has replies stays as an empty placeholder
+    deletedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+commentSchema.index({ task: 1, thread: 1, createdAt: 1 });
+
+module.exports = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
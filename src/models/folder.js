@@ -1,10 +1,51 @@
 const mongoose = require('mongoose');
+const { softDelete } = require('./plugins/softDelete');
+const { versioned } = require('./plugins/versioned');
+
+// users the folder is shared with (the creator in `user` is not listed)
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['viewer', 'editor', 'owner'], required: true },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// statuses of the folder's tasks (see src/utils/workflow.js)
+const workflowSchema = new mongoose.Schema({
+  statuses: [{
+    _id: false,
+    name: { type: String, required: true },
+    done: { type: Boolean, default: false }
+  }],
+  // allowed status changes; any change is allowed when empty
+  transitions: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  }]
+}, { _id: false });
 
 const folderSchema = new mongoose.Schema({
   name: { type: String, required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  tasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }]
-});
+  // enclosing folder (null at the top level) and the whole path from the top,
+  // so subfolders at any depth can be found with one query
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Folder' }],
+  tasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+  members: { type: [memberSchema], default: [] },
+  // null: the default workflow
+  workflow: { type: workflowSchema, default: null }
+}, { timestamps: true });
+
+folderSchema.plugin(softDelete);
+folderSchema.plugin(versioned);
+
+folderSchema.index({ 'members.user': 1 });
+folderSchema.index({ parent: 1 });
+folderSchema.index({ ancestors: 1 });
+
+// full-text search on names (GET /api/v1/search)
+folderSchema.index({ name: 'text' });
 
 // ✅ Prevent OverwriteModelError by reusing existing model if compiled
 module.exports = mongoose.models.Folder || mongoose.model('Folder', folderSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const QUERY_HOOKS = [
+    'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+    'countDocuments', 'distinct', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+// Soft delete: a document with `deletedAt` set is in the trash of `deletedBy`
+// and is purged once the retention period is over (purgeExpiredTrash in
+// src/services/trash.js). Queries and aggregations skip trashed documents
+// unless their filter (or first $match) mentions `deletedAt` itself, which is
+// how the trash endpoints reach them.
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        // the folder whose deletion took this document along; restoring
+        // that folder brings it back as well
+        deletedWith: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null }
+    });
+
+    // not a TTL index: purging has to clean up what depends on the documents
+    // (see scripts/dropTrashTtlIndex.js for databases that still have one)
+    schema.index({ deletedAt: 1 });
+    schema.index({ deletedBy: 1, deletedAt: -1 });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (!('deletedAt' in this.getFilter())) this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const [first] = pipeline;
+        if (first && first.$match && 'deletedAt' in first.$match) return;
+        // $text and $geoNear have to stay the first stage
+        const index = first && (first.$geoNear || (first.$match && first.$match.$text)) ? 1 : 0;
+        pipeline.splice(index, 0, { $match: { deletedAt: null } });
+    });
+};
+
+module.exports = { softDelete, TRASH_RETENTION_DAYS };
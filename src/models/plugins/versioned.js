@@ -0,0 +1,38 @@
+// Versioned documents: `version` goes up by one with every change, however it is
+// written (save(), update queries, bulkWrite()). ETags are built from it (see
+// src/utils/conditional.js), and writes filtered on it only apply when nobody
+// changed the document in between.
+// Only the raw driver (Model.collection) gets past it.
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+const touchesVersion = (update) =>
+    'version' in update || Object.keys(update).some((key) => key.startsWith('$') && update[key] && 'version' in update[key]);
+
+// Adds the increment to an update document, unless it is a pipeline or sets
+// the version itself
+const bumpVersion = (update) => {
+    if (!update || Array.isArray(update) || touchesVersion(update)) return update;
+    return { ...update, $inc: { ...update.$inc, version: 1 } };
+};
+
+const versioned = (schema) => {
+    schema.add({ version: { type: Number, default: 0 } });
+
+    schema.pre('save', function () {
+        // $inc rather than +1 so concurrent saves can't end up on the same version
+        if (!this.isNew && this.isModified()) this.$inc('version', 1);
+    });
+
+    schema.pre(UPDATE_HOOKS, function () {
+        this.setUpdate(bumpVersion(this.getUpdate()));
+    });
+
+    schema.pre('bulkWrite', function (ops) {
+        for (const op of ops) {
+            const write = op.updateOne || op.updateMany;
+            if (write) write.update = bumpVersion(write.update);
+        }
+    });
+};
+
+module.exports = { versioned };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A reminder for one user about one task. `rule` says when it fires relative
+// to the task's due date, `fireAt` is the resolved instant the scheduler polls on.
+const reminderSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    rule: {
+        // minutes before the due date...
+        before: { type: Number, min: 0 },
+        // ...or a time of day ("09:00") on the due day, `daysBefore` days earlier
+        at: { type: String },
+        daysBefore: { type: Number, min: 0, default: 0 },
+        timeZone: { type: String, default: 'UTC' }
+    },
+    fireAt: { type: Date, default: null },
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    // set while a scheduler delivers it, so no other process (or tick) picks it up
+    lockedUntil: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    lastError: { type: String, default: null }
+}, { timestamps: true });
+
+reminderSchema.index({ status: 1, fireAt: 1 });
+reminderSchema.index({ user: 1, status: 1, fireAt: 1 });
+
+module.exports = mongoose.models.Reminder || mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One login session per device. The refresh token is rotated on every
+// /auth/refresh; only the hash of the current one is stored.
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    userAgent: { type: String },
+    ip: { type: String }
+}, { timestamps: true });
+
+// let mongo drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// User-defined label; tasks reference tags by id, so renaming needs no cascade
+const tagSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    color: { type: String, default: '#808080', match: /^#[0-9a-fA-F]{6}$/ },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+tagSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.Tag || mongoose.model('Tag', tagSchema);
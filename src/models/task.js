@@ -1,11 +1,86 @@
 const mongoose = require('mongoose');
+const { taskList, positionBetween } = require('../utils/taskOrder');
+const { softDelete } = require('./plugins/softDelete');
+const { versioned } = require('./plugins/versioned');
+
+// ordered steps inside a task
+const checklistItemSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    done: { type: Boolean, default: false },
+    doneAt: { type: Date, default: null }
+});
+
+// how a recurring task repeats (see src/utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    weekdays: { type: [Number], default: undefined },
+    monthDay: { type: Number, min: 1, max: 31 },
+    until: { type: Date },
+    count: { type: Number, min: 1 },
+    // 1-based index of this task within its series
+    occurrence: { type: Number, min: 1, default: 1 }
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
     title: { type: String, required: true },
     dueDate: { type: Date },
-    status: { type: String, enum: ['Pending', 'Completed'], default: 'Pending' },
+    // one of the statuses of the folder's workflow (see src/utils/workflow.js)
+    status: { type: String, required: true, default: 'Pending' },
+    // whether `status` is the workflow's done state
+    done: { type: Boolean, default: false },
+    // when the task last reached its done state, null while it isn't done
+    completedAt: { type: Date, default: null },
+    priority: { type: String, enum: ['none', 'low', 'medium', 'high', 'urgent'], default: 'none' },
+    // manual order within the task's list (see src/utils/taskOrder.js)
+    position: { type: Number, default: null },
     folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    checklist: { type: [checklistItemSchema], default: [] },
+    // move the task to its done state once every checklist item is done
+    autoComplete: { type: Boolean, default: false },
+    recurrence: { type: recurrenceSchema, default: null },
+    // first task of the recurring series this task belongs to
+    series: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null, index: true },
+    // set once the following occurrence has been generated
+    nextOccurrence: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null }
+}, { timestamps: true, toJSON: { virtuals: true }, id: false });
+
+taskSchema.plugin(softDelete);
+taskSchema.plugin(versioned);
+
+taskSchema.virtual('progress').get(function () {
+    const total = this.checklist ? this.checklist.length : 0;
+    const done = total ? this.checklist.filter((item) => item.done).length : 0;
+    return { done, total, percent: total ? Math.round((done / total) * 100) : 0 };
 });
 
+// number of comments, for listings: populate('commentCount')
+taskSchema.virtual('commentCount', {
+    ref: 'Comment',
+    localField: '_id',
+    foreignField: 'task',
+    match: { deletedAt: null },
+    count: true
+});
+
+// tasks saved without a position go to the end of their list
+taskSchema.pre('save', async function () {
+    if (this.position != null) return;
+    const last = await this.constructor.findOne({ ...taskList(this), position: { $ne: null } })
+        .sort({ position: -1 })
+        .select('position');
+    this.position = positionBetween(last && last.position, null);
+});
+
+// supports the filtered/paginated task listings
+taskSchema.index({ user: 1, folder: 1, status: 1, dueDate: 1 });
+taskSchema.index({ tags: 1 });
+taskSchema.index({ folder: 1, position: 1 });
+// stats: completions over time (GET /api/v1/stats, /folders/:id/stats)
+taskSchema.index({ folder: 1, done: 1, completedAt: 1 });
+// full-text search on titles (GET /api/v1/search)
+taskSchema.index({ title: 'text' });
+
 module.exports = mongoose.models.Task || mongoose.model('Task', taskSchema);
@@ -2,7 +2,9 @@ const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
-    password: { type: String, required: true }
+    password: { type: String, required: true },
+    // optional, only used to deliver password reset mails
+    email: { type: String, trim: true, lowercase: true, unique: true, sparse: true }
 });
 
 module.exports = mongoose.models.User || mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A user's subscription: matching events are POSTed to `url`, signed with `secret`
+const webhookSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    url: { type: String, required: true },
+    // event types, or ["*"] for all of them
+    events: { type: [String], required: true },
+    secret: { type: String, required: true, select: false },
+    description: { type: String },
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Webhook || mongoose.model('Webhook', webhookSchema);
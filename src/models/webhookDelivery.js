@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || 30;
+
+// One event sent (or to be sent) to one webhook, kept as its delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // set while a dispatcher sends it, so no other process (or tick) picks it up
+    lockedUntil: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -1,76 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const auth = require('../middleware/authMiddleware');
+const { authRateLimit } = require('../middleware/rateLimitMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
 
-/**
- * @swagger
- * /api/v1/auth/register:
- *   post:
- *     summary: Register a new user
- *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *                 example: "john_doe"
- *               password:
- *                 type: string
- *                 minLength: 6
- *                 example: "securePass123"
- *             required: [username, password]
- *     responses:
- *       201:
- *         description: User registered successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
- *       400:
- *         description: Validation error
- */
-router.post('/register', register);
+router.post('/register', authRateLimit, validate(schemas.register), register);
 
-/**
- * @swagger
- * /api/v1/auth/login:
- *   post:
- *     summary: Login and obtain JWT token
- *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *                 example: "john_doe"
- *               password:
- *                 type: string
- *                 example: "securePass123"
- *             required: [username, password]
- *     responses:
- *       200:
- *         description: Login successful, returns JWT token
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6..."
- *                 user:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Invalid credentials
- */
-router.post('/login', login);
+router.post('/login', authRateLimit, validate(schemas.login), login);
+
+router.post('/refresh', authRateLimit, validate(schemas.refresh), refresh);
+
+router.post('/logout', auth, logout);
+
+router.post('/logout-all', auth, logoutAll);
+
+router.post('/password', auth, validate(schemas.changePassword), changePassword);
+
+router.post('/password/forgot', authRateLimit, validate(schemas.forgotPassword), forgotPassword);
+
+router.post('/password/reset', authRateLimit, validate(schemas.resetPassword), resetPassword);
 
 module.exports = router;
\ No newline at end of file
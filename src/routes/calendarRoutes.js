@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/calendar');
+const {
+  createFeed,
+  getFeeds,
+  deleteFeed,
+  getFeed
+} = require('../controllers/calendarController');
+
+router.post('/feeds', auth, validate(schemas.createFeed), createFeed);
+router.get('/feeds', auth, getFeeds);
+
+router.delete('/feeds/:id', auth, validate(schemas.deleteFeed), deleteFeed);
+
+router.get('/feed/:token.ics', validate(schemas.getFeed), getFeed);
+
+module.exports = router;
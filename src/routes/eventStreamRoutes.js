@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const streamAuth = require('../middleware/streamAuthMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/events');
+const { createTicket, streamEvents } = require('../controllers/eventStreamController');
+
+router.post('/tickets', auth, createTicket);
+
+router.get('/stream', streamAuth, validate(schemas.stream), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { readText } = require('../middleware/uploadMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/importExport');
+const { MAX_IMPORT_BYTES } = require('../services/importExport');
+const { exportTasks, importTasks } = require('../controllers/importExportController');
+
+router.get('/export', auth, validate(schemas.exportTasks), exportTasks);
+
+router.post('/import', auth, validate(schemas.importTasks), readText(MAX_IMPORT_BYTES), importTasks);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/reminders');
+const {
+  getUpcomingReminders,
+  snoozeReminder,
+  deleteReminder
+} = require('../controllers/reminderController');
+
+router.get('/', auth, validate(schemas.getUpcoming), getUpcomingReminders);
+
+router.post('/:id/snooze', auth, validate(schemas.snooze), snoozeReminder);
+
+router.delete('/:id', auth, validate(schemas.deleteReminder), deleteReminder);
+
+module.exports = router;
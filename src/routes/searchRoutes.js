@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/search');
+const { search } = require('../controllers/searchController');
+
+router.get('/', auth, validate(schemas.search), search);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/stats');
+const { getStats } = require('../controllers/statsController');
+
+router.get('/', auth, validate(schemas.getStats), getStats);
+
+module.exports = router;
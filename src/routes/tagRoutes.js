@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/tags');
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tagController');
+
+router.get('/', auth, getTags);
+router.post('/', auth, validate(schemas.createTag), createTag);
+
+router.patch('/:id', auth, validate(schemas.updateTag), updateTag);
+router.delete('/:id', auth, validate(schemas.deleteTag), deleteTag);
+
+module.exports = router;
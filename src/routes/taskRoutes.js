@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/authMiddleware');
+const { readFile } = require('../middleware/uploadMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/tasks');
 const {
   createTaskOrFolder,
   getAllTasksAndFolders,
@@ -8,277 +11,80 @@ const {
   getAllTasksWithoutFolder,
   getTaskById,
   updateTaskStatus,
+  moveTask,
   deleteTaskOrFolder
 } = require('../controllers/taskController');
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+} = require('../controllers/checklistController');
+const { setRecurrence, stopRecurrence } = require('../controllers/recurrenceController');
+const { createReminder, getTaskReminders } = require('../controllers/reminderController');
+const { addTagToTask, removeTagFromTask } = require('../controllers/tagController');
+const { getTaskActivity } = require('../controllers/activityController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { bulkUpdateTasks } = require('../controllers/bulkController');
+
+router.get('/', auth, validate(schemas.listTasks), getAllTasksAndFolders);
+
+router.get('/folder/:folderId', auth, validate(schemas.listFolderTasks), getTasksByFolder);
+
+router.get('/nofolder', auth, validate(schemas.listTasksWithoutFolder), getAllTasksWithoutFolder);
+
+router.post('/', auth, validate(schemas.createTask), createTaskOrFolder);
+
+router.post('/bulk', auth, validate(schemas.bulkUpdate), bulkUpdateTasks);
+
+router.get('/:taskId', auth, validate(schemas.getTask), getTaskById);
+
+router.patch('/:taskId', auth, validate(schemas.updateTask), updateTaskStatus);
+
+router.patch('/:taskId/position', auth, validate(schemas.moveTask), moveTask);
+
+router.post('/:taskId/checklist', auth, validate(schemas.addChecklistItem), addChecklistItem);
+
+router.post('/:taskId/checklist/reorder', auth, validate(schemas.reorderChecklist), reorderChecklist);
+
+router.patch('/:taskId/checklist/:itemId', auth, validate(schemas.updateChecklistItem), updateChecklistItem);
+router.delete('/:taskId/checklist/:itemId', auth, validate(schemas.deleteChecklistItem), deleteChecklistItem);
+
+router.put('/:taskId/recurrence', auth, validate(schemas.setRecurrence), setRecurrence);
+router.delete('/:taskId/recurrence', auth, validate(schemas.stopRecurrence), stopRecurrence);
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     Task:
- *       type: object
- *       properties:
- *         _id:
- *           type: string
- *         title:
- *           type: string
- *         dueDate:
- *           type: string
- *           format: date
- *         status:
- *           type: string
- *           enum: [Pending, Completed]
- *         folder:
- *           type: string
- *           nullable: true
- *         user:
- *           type: string
- *       required:
- *         - _id
- *         - title
- *         - user
- *     Folder:
- *       type: object
- *       properties:
- *         _id:
- *           type: string
- *         name:
- *           type: string
- *         user:
- *           type: string
- *         tasks:
- *           type: array
- *           items:
- *             type: string
- *       required:
- *         - _id
- *         - name
- *         - user
- */
+router.post('/:taskId/reminders', auth, validate(schemas.createReminder), createReminder);
+router.get('/:taskId/reminders', auth, validate(schemas.getReminders), getTaskReminders);
 
-/**
- * @swagger
- * /api/v1/task:
- *   get:
- *     summary: Get all tasks and folders for the authenticated user
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of tasks and folders
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 tasks:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Task'
- *                 folders:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Folder'
- */
-router.get('/', auth, getAllTasksAndFolders);
+router.post('/:taskId/tags/:tagId', auth, validate(schemas.taskTag), addTagToTask);
+router.delete('/:taskId/tags/:tagId', auth, validate(schemas.taskTag), removeTagFromTask);
 
-/**
- * @swagger
- * /api/v1/task/folder/{folderId}:
- *   get:
- *     summary: Get tasks inside a specific folder
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: folderId
- *         required: true
- *         schema:
- *           type: string
- *         description: Folder ID
- *     responses:
- *       200:
- *         description: List of tasks in the folder
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
- */
-router.get('/folder/:folderId', auth, getTasksByFolder);
+router.get('/:taskId/activity', auth, validate(schemas.getActivity), getTaskActivity);
 
-/**
- * @swagger
- * /api/v1/task/nofolder:
- *   get:
- *     summary: Get all tasks that are not in any folder
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of tasks with no folder
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
- */
-router.get('/nofolder', auth, getAllTasksWithoutFolder);
+router.get('/:taskId/comments', auth, validate(schemas.getComments), getComments);
+router.post('/:taskId/comments', auth, validate(schemas.createComment), createComment);
 
-/**
- * @swagger
- * /api/v1/task:
- *   post:
- *     summary: Create a task or folder
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *                 enum: [task, folder]
- *               title:
- *                 type: string
- *                 description: Task title or folder name
- *               status:
- *                 type: string
- *                 enum: [Pending, Completed]
- *                 description: Optional, only for tasks
- *               dueDate:
- *                 type: string
- *                 format: date
- *                 description: Optional, only for tasks
- *               folder:
- *                 type: string
- *                 description: Optional folder ID for tasks
- *             required:
- *               - type
- *               - title
- *     responses:
- *       201:
- *         description: Created successfully
- *         content:
- *           application/json:
- *             schema:
- *               oneOf:
- *                 - $ref: '#/components/schemas/Task'
- *                 - $ref: '#/components/schemas/Folder'
- *       400:
- *         description: Validation error
- */
-router.post('/', auth, createTaskOrFolder);
+router.patch('/:taskId/comments/:commentId', auth, validate(schemas.updateComment), updateComment);
+router.delete('/:taskId/comments/:commentId', auth, validate(schemas.deleteComment), deleteComment);
 
-/**
- * @swagger
- * /api/v1/task/{taskId}:
- *   get:
- *     summary: Get a single task by ID
- *     description: Retrieve a specific task by its ID. Only tasks belonging to the authenticated user can be retrieved.
- *     tags:
- *       - Tasks
- *     parameters:
- *       - in: path
- *         name: taskId
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the task to retrieve
- *     responses:
- *       200:
- *         description: Task retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Task'
- *       404:
- *         description: Task not found
- *       500:
- *         description: Server error
- *     security:
- *       - bearerAuth: []
- */
-router.get('/:taskId', auth, getTaskById);
+router.post('/:taskId/attachments', auth, validate(schemas.uploadAttachment), readFile, uploadAttachment);
+router.get('/:taskId/attachments', auth, validate(schemas.getAttachments), getAttachments);
 
-/**
- * @swagger
- * /api/v1/task/{taskId}:
- *   patch:
- *     summary: Update task status
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: taskId
- *         required: true
- *         schema:
- *           type: string
- *         description: Task ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [Pending, Completed]
- *     responses:
- *       200:
- *         description: Updated task status
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Task'
- */
-router.patch('/:taskId', auth, updateTaskStatus);
+router.get('/:taskId/attachments/:attachmentId', auth, validate(schemas.attachment), downloadAttachment);
+router.delete('/:taskId/attachments/:attachmentId', auth, validate(schemas.attachment), deleteAttachment);
 
-/**
- * @swagger
- * /api/v1/task/{type}/{id}:
- *   delete:
- *     summary: Delete a task or folder
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: type
- *         required: true
- *         schema:
- *           type: string
- *           enum: [task, folder]
- *         description: Type of entity to delete
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Task or Folder ID
- *     responses:
- *       200:
- *         description: Deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- */
-router.delete('/:type/:id', auth, deleteTaskOrFolder); // existing typed route
-router.delete('/:id', auth, deleteTaskOrFolder);       // new: delete by id only
+router.delete('/:type/:id', auth, validate(schemas.deleteTyped), deleteTaskOrFolder); // existing typed route
+router.delete('/:taskId', auth, validate(schemas.deleteById), deleteTaskOrFolder); // delete by id only
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/trash');
+const {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash
+} = require('../controllers/trashController');
+
+router.get('/', auth, validate(schemas.getTrash), getTrash);
+router.delete('/', auth, emptyTrash);
+
+router.post('/:id/restore', auth, validate(schemas.restoreItem), restoreItem);
+
+router.delete('/:id', auth, validate(schemas.purgeItem), purgeItem);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/webhooks');
+const {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries
+} = require('../controllers/webhookController');
+
+router.post('/', auth, validate(schemas.createWebhook), createWebhook);
+router.get('/', auth, getWebhooks);
+
+router.patch('/:id', auth, validate(schemas.updateWebhook), updateWebhook);
+router.delete('/:id', auth, validate(schemas.deleteWebhook), deleteWebhook);
+
+router.get('/:id/deliveries', auth, validate(schemas.getDeliveries), getDeliveries);
+
+module.exports = router;
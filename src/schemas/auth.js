@@ -0,0 +1,72 @@
+const { nonEmpty } = require('./common');
+
+// Request schemas of src/routes/authRoutes.js
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const newPassword = { type: 'string', minLength: MIN_PASSWORD_LENGTH };
+
+const register = {
+    body: {
+        type: 'object',
+        properties: {
+            username: nonEmpty(),
+            password: nonEmpty(),
+            email: { type: 'string', format: 'email', description: 'Optional, needed for password reset' }
+        },
+        required: ['username', 'password']
+    }
+};
+
+const login = {
+    body: {
+        type: 'object',
+        properties: { username: nonEmpty(), password: nonEmpty() },
+        required: ['username', 'password']
+    }
+};
+
+const refresh = {
+    body: {
+        type: 'object',
+        properties: { refreshToken: nonEmpty() },
+        required: ['refreshToken']
+    }
+};
+
+const changePassword = {
+    body: {
+        type: 'object',
+        properties: { currentPassword: nonEmpty(), newPassword },
+        required: ['currentPassword', 'newPassword']
+    }
+};
+
+const forgotPassword = {
+    body: {
+        type: 'object',
+        properties: {
+            username: nonEmpty(),
+            email: { type: 'string', format: 'email' }
+        },
+        minProperties: 1
+    }
+};
+
+const resetPassword = {
+    body: {
+        type: 'object',
+        properties: { token: nonEmpty('Token from the reset mail'), password: newPassword },
+        required: ['token', 'password']
+    }
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    register,
+    login,
+    refresh,
+    changePassword,
+    forgotPassword,
+    resetPassword
+};
@@ -0,0 +1,34 @@
+const { objectId, idParams, nonEmpty } = require('./common');
+
+// Request schemas of src/routes/calendarRoutes.js
+
+const COMPONENTS = ['event', 'todo'];
+
+const createFeed = {
+    body: {
+        type: 'object',
+        properties: {
+            folder: { ...objectId('Only this folder; every task you can see when missing'), nullable: true },
+            name: nonEmpty('Calendar name, the folder\'s name (or "Tasks") by default')
+        }
+    }
+};
+
+const deleteFeed = { params: idParams('id') };
+
+const getFeed = {
+    params: { type: 'object', properties: { token: nonEmpty('Token of the feed URL') }, required: ['token'] },
+    query: {
+        type: 'object',
+        properties: {
+            as: {
+                type: 'string',
+                enum: COMPONENTS,
+                default: 'event',
+                description: 'VTODOs carry status and completion but are not shown by every calendar'
+            }
+        }
+    }
+};
+
+module.exports = { createFeed, deleteFeed, getFeed };
@@ -0,0 +1,73 @@
+const { PRIORITIES, SORTABLE_FIELDS, DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/taskQuery');
+
+// Building blocks of the route schemas (see src/utils/validation.js)
+
+const OBJECT_ID = '[0-9a-fA-F]{24}';
+
+const objectId = (description) => ({ type: 'string', format: 'objectid', ...(description && { description }) });
+
+// Path parameters that are all ids
+const idParams = (...names) => ({
+    type: 'object',
+    properties: Object.fromEntries(names.map((name) => [name, objectId()])),
+    required: names
+});
+
+const nonEmpty = (description) => ({ type: 'string', minLength: 1, ...(description && { description }) });
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const priority = { type: 'string', enum: PRIORITIES };
+
+// Pattern of a comma-separated list of values matching `item`, at most `max` of them
+const listOf = (item, max) => `^\\s*(${item})(\\s*,\\s*(${item}))${max ? `{0,${max - 1}}` : '*'}\\s*$`;
+
+// ?limit of a listing
+const limit = (defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) =>
+    ({ type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit });
+
+// Query of a paginated listing: ?page, ?limit and the listing's own parameters
+const pageQuery = (properties = {}) => ({
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: limit(),
+        ...properties
+    }
+});
+
+// Filters and sort of the task listings (see parseTaskQuery in src/utils/taskQuery.js)
+const TASK_FILTERS = {
+    status: nonEmpty('Comma-separated statuses'),
+    done: { type: 'boolean', description: 'Only tasks in (true) or not in (false) the done status of their workflow' },
+    priority: { type: 'string', pattern: listOf(PRIORITIES.join('|')), description: `Comma-separated priorities (${PRIORITIES.join(', ')})` },
+    folder: { type: 'string', pattern: `^\\s*(${OBJECT_ID}|none)\\s*$`, description: 'Folder id, or "none" for tasks without a folder' },
+    tags: { type: 'string', pattern: listOf(OBJECT_ID), description: 'Comma-separated tag ids' },
+    tagMode: { type: 'string', enum: ['any', 'all'], description: 'Match tasks with any (default) or all of the tags' },
+    dueFrom: dateTime,
+    dueTo: dateTime,
+    overdue: { type: 'boolean', description: 'Only tasks past their due date that are not done' },
+    sort: {
+        type: 'string',
+        pattern: listOf(`-?(${SORTABLE_FIELDS.join('|')})`),
+        description: `Comma-separated fields, "-" prefix for descending (${SORTABLE_FIELDS.join(', ')}). Defaults to the manual order (position)`
+    }
+};
+
+// Query of a task listing, without the filters the route fixes itself
+const taskListQuery = (...fixed) => pageQuery(Object.fromEntries(
+    Object.entries(TASK_FILTERS).filter(([name]) => !fixed.includes(name))
+));
+
+module.exports = {
+    OBJECT_ID,
+    objectId,
+    idParams,
+    nonEmpty,
+    dateTime,
+    priority,
+    listOf,
+    limit,
+    pageQuery,
+    taskListQuery
+};
@@ -0,0 +1,21 @@
+const { OBJECT_ID, nonEmpty, listOf } = require('./common');
+
+// Request schemas of src/routes/eventStreamRoutes.js
+
+const MAX_STREAM_FOLDERS = 50;
+
+const stream = {
+    query: {
+        type: 'object',
+        properties: {
+            ticket: nonEmpty('One-time ticket, instead of the Authorization header'),
+            folders: {
+                type: 'string',
+                pattern: listOf(OBJECT_ID, MAX_STREAM_FOLDERS),
+                description: `Comma-separated folder ids (at most ${MAX_STREAM_FOLDERS}): only their events`
+            }
+        }
+    }
+};
+
+module.exports = { stream };
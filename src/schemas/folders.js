@@ -0,0 +1,173 @@
+const { ROLES } = require('../utils/folderAccess');
+const { CHILD_MODES } = require('../utils/folderTree');
+const { MAX_STATUSES, MAX_NAME_LENGTH } = require('../utils/workflow');
+const { objectId, idParams, nonEmpty, dateTime, priority, limit, pageQuery, taskListQuery } = require('./common');
+const { statsQuery, burndownQuery } = require('./stats');
+
+// Request schemas of src/routes/folderRoutes.js
+
+const folderId = idParams('id');
+const folderTaskIds = idParams('folderId', 'taskId');
+
+const createFolder = {
+    body: {
+        type: 'object',
+        properties: {
+            name: nonEmpty(),
+            parent: { ...objectId('Enclosing folder, top level when missing'), nullable: true }
+        },
+        required: ['name']
+    }
+};
+
+const getFolder = { params: folderId };
+
+const setParent = {
+    params: folderId,
+    body: {
+        type: 'object',
+        properties: { parent: { ...objectId('New enclosing folder, null for the top level'), nullable: true } },
+        required: ['parent']
+    }
+};
+
+const listTasks = { params: idParams('folderId'), query: taskListQuery('folder') };
+
+const addTask = {
+    params: idParams('folderId'),
+    body: {
+        type: 'object',
+        properties: {
+            title: nonEmpty(),
+            dueDate: { ...dateTime, nullable: true },
+            status: nonEmpty('A status of the folder\'s workflow, its first one by default'),
+            priority
+        },
+        required: ['title']
+    }
+};
+
+const updateTask = {
+    params: folderTaskIds,
+    body: {
+        type: 'object',
+        properties: {
+            title: nonEmpty(),
+            dueDate: { ...dateTime, nullable: true, description: 'null clears it, except on a recurring task' },
+            status: nonEmpty('A status the folder\'s workflow allows moving to'),
+            priority
+        }
+    }
+};
+
+const setTaskStatus = {
+    params: folderTaskIds,
+    body: {
+        type: 'object',
+        properties: { status: nonEmpty('A status the folder\'s workflow allows moving to') },
+        required: ['status']
+    }
+};
+
+const deleteTask = { params: folderTaskIds };
+
+const resetProgress = { params: folderId };
+
+const clearTasks = {
+    params: folderId,
+    query: {
+        type: 'object',
+        properties: {
+            children: {
+                type: 'string',
+                enum: CHILD_MODES.clear,
+                description: 'Required when the folder has subfolders: clear their tasks too (cascade), or leave them alone (keep)'
+            }
+        }
+    }
+};
+
+const getMembers = { params: folderId };
+
+const addMember = {
+    params: folderId,
+    body: {
+        type: 'object',
+        properties: {
+            username: nonEmpty(),
+            role: { type: 'string', enum: ROLES }
+        },
+        required: ['username', 'role']
+    }
+};
+
+const removeMember = { params: idParams('id', 'userId') };
+
+// Workflows, board, stats and activity
+
+const statusName = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+
+// parseWorkflow() (src/utils/workflow.js) checks the statuses and transitions fit together
+const setWorkflow = {
+    params: folderId,
+    body: {
+        type: 'object',
+        properties: {
+            statuses: {
+                type: 'array',
+                minItems: 1,
+                maxItems: MAX_STATUSES,
+                items: { type: 'object', properties: { name: statusName, done: { type: 'boolean' } }, required: ['name'] },
+                description: 'Board columns in order, exactly one of them done; tasks start in the first'
+            },
+            transitions: {
+                type: 'array',
+                items: { type: 'object', properties: { from: statusName, to: statusName }, required: ['from', 'to'] },
+                description: 'Allowed status changes, any change when empty'
+            },
+            remap: { type: 'object', default: {}, description: 'Where tasks in removed statuses go, e.g. { "Review": "Working" }' }
+        },
+        required: ['statuses']
+    }
+};
+
+const getWorkflow = { params: folderId };
+
+const resetWorkflow = { params: folderId };
+
+const getBoard = {
+    params: folderId,
+    query: { type: 'object', properties: { limit: { ...limit(50, 200), description: 'Tasks per column' } } }
+};
+
+const getStats = { params: folderId, query: statsQuery };
+
+const getBurndown = { params: folderId, query: burndownQuery };
+
+const getActivity = {
+    params: folderId,
+    query: pageQuery({ actor: objectId('Only changes made by this user') })
+};
+
+module.exports = {
+    createFolder,
+    getFolder,
+    setParent,
+    listTasks,
+    addTask,
+    updateTask,
+    setTaskStatus,
+    deleteTask,
+    resetProgress,
+    clearTasks,
+    getMembers,
+    addMember,
+    removeMember,
+    getWorkflow,
+    setWorkflow,
+    resetWorkflow,
+    getBoard,
+    getStats,
+    getBurndown,
+    getActivity
+};
@@ -0,0 +1,25 @@
+const { CSV_COLUMNS } = require('../services/importExport');
+const { nonEmpty } = require('./common');
+
+// Request schemas of src/routes/importExportRoutes.js. The import body is the
+// file itself (read as text by src/middleware/uploadMiddleware.js), which the
+// controller parses and src/services/importExport.js checks row by row.
+
+const FORMATS = ['json', 'csv'];
+
+const exportTasks = {
+    query: { type: 'object', properties: { format: { type: 'string', enum: FORMATS, default: 'json' } } }
+};
+
+const importTasks = {
+    query: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: FORMATS, description: 'Defaults to the Content-Type of the body' },
+            mapping: nonEmpty(`CSV only: JSON object mapping fields (${CSV_COLUMNS.join(', ')}) to column headers, `
+                + 'e.g. {"title":"Name","dueDate":"Due"}. Unmapped fields use the column of the same name.')
+        }
+    }
+};
+
+module.exports = { exportTasks, importTasks };
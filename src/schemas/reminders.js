@@ -0,0 +1,35 @@
+const { MAX_BEFORE_MINUTES, MAX_DAYS_BEFORE } = require('../utils/reminderTime');
+const { idParams, nonEmpty, limit } = require('./common');
+
+// Request schemas of src/routes/reminderRoutes.js, and the reminder rule of
+// POST /task/{taskId}/reminders
+
+const MAX_SNOOZE_MINUTES = 60 * 24 * 30;
+
+// Either before, or at with an optional daysBefore and timeZone: parseReminderRule()
+// (src/utils/reminderTime.js) checks how the fields combine
+const reminderRule = {
+    type: 'object',
+    properties: {
+        before: { type: 'integer', minimum: 0, maximum: MAX_BEFORE_MINUTES, description: 'Minutes before the due date' },
+        at: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'Time of day on the due day, e.g. 09:00' },
+        daysBefore: { type: 'integer', minimum: 0, maximum: MAX_DAYS_BEFORE, description: 'With at: that many days before the due day' },
+        timeZone: nonEmpty('With at: IANA time zone of the time of day, UTC by default')
+    },
+    minProperties: 1
+};
+
+const getUpcoming = { query: { type: 'object', properties: { limit: limit() } } };
+
+const snooze = {
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { minutes: { type: 'integer', minimum: 1, maximum: MAX_SNOOZE_MINUTES } },
+        required: ['minutes']
+    }
+};
+
+const deleteReminder = { params: idParams('id') };
+
+module.exports = { reminderRule, getUpcoming, snooze, deleteReminder };
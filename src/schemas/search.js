@@ -0,0 +1,18 @@
+const { objectId, nonEmpty, limit } = require('./common');
+
+// Request schemas of src/routes/searchRoutes.js
+
+const search = {
+    query: {
+        type: 'object',
+        properties: {
+            q: nonEmpty('Words to look for'),
+            folder: objectId('Only search inside this folder and its subfolders'),
+            status: nonEmpty('Only tasks with this status (excludes folders)'),
+            limit: limit()
+        },
+        required: ['q']
+    }
+};
+
+module.exports = { search };
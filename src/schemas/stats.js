@@ -0,0 +1,16 @@
+const { nonEmpty } = require('./common');
+
+// Request schemas of src/routes/statsRoutes.js, and the stats query of the
+// folder stats and burndown routes
+
+const days = { type: 'integer', minimum: 1, maximum: 366, default: 30, description: 'Number of days, today included' };
+const weeks = { type: 'integer', minimum: 1, maximum: 104, default: 12, description: 'Number of weeks (from Monday), this one included' };
+const tz = { ...nonEmpty('IANA time zone days are counted in'), default: 'UTC' };
+
+const statsQuery = { type: 'object', properties: { days, weeks, tz } };
+
+const burndownQuery = { type: 'object', properties: { days, tz } };
+
+const getStats = { query: statsQuery };
+
+module.exports = { statsQuery, burndownQuery, getStats };
@@ -0,0 +1,26 @@
+const { idParams, nonEmpty } = require('./common');
+
+// Request schemas of src/routes/tagRoutes.js
+
+const color = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', description: 'Hex color, e.g. #ff8800' };
+
+const createTag = {
+    body: {
+        type: 'object',
+        properties: { name: nonEmpty(), color },
+        required: ['name']
+    }
+};
+
+const updateTag = {
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { name: nonEmpty(), color },
+        minProperties: 1
+    }
+};
+
+const deleteTag = { params: idParams('id') };
+
+module.exports = { createTag, updateTag, deleteTag };
@@ -0,0 +1,243 @@
+const { CHILD_MODES } = require('../utils/folderTree');
+const { FREQUENCIES, MAX_INTERVAL } = require('../utils/recurrence');
+const { objectId, idParams, nonEmpty, dateTime, priority, pageQuery, taskListQuery } = require('./common');
+const { reminderRule } = require('./reminders');
+
+// Request schemas of src/routes/taskRoutes.js. Statuses depend on the folder's
+// workflow and are checked by the controller.
+
+const BULK_ACTIONS = ['setStatus', 'setDueDate', 'move', 'delete', 'addTag'];
+const MAX_BULK_IDS = 500;
+const MAX_COMMENT_LENGTH = 5000;
+
+const taskId = idParams('taskId');
+
+// Either the fields or an rrule: parseRecurrence() (src/utils/recurrence.js)
+// checks how they combine
+const recurrence = {
+    type: 'object',
+    properties: {
+        frequency: { type: 'string', enum: FREQUENCIES },
+        interval: { type: 'integer', minimum: 1, maximum: MAX_INTERVAL, description: 'Every N days/weeks/months' },
+        weekdays: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0, maximum: 6 }, description: 'Weekly only, 0 = Sunday' },
+        monthDay: { type: 'integer', minimum: 1, maximum: 31, description: 'Monthly only, clamped to the last day of shorter months' },
+        until: { ...dateTime, nullable: true },
+        count: { type: 'integer', minimum: 1, nullable: true, description: 'Total number of occurrences' },
+        rrule: nonEmpty('Instead of the fields: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT')
+    },
+    minProperties: 1
+};
+
+const listTasks = { query: taskListQuery() };
+
+const listFolderTasks = { params: idParams('folderId'), query: taskListQuery('folder') };
+
+const listTasksWithoutFolder = { query: taskListQuery('folder') };
+
+const createTask = {
+    body: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['task', 'folder'] },
+            title: nonEmpty('Task title, or folder name'),
+            folder: { ...objectId('Folder of the task'), nullable: true },
+            parent: { ...objectId('Enclosing folder of a new folder'), nullable: true },
+            dueDate: { ...dateTime, nullable: true },
+            status: nonEmpty('A status of the folder\'s workflow, its first one by default'),
+            priority,
+            autoComplete: { type: 'boolean', description: 'Complete the task once every checklist item is done' },
+            tags: { type: 'array', items: objectId() },
+            recurrence: { ...recurrence, nullable: true, description: 'Needs a dueDate' }
+        },
+        required: ['title', 'type']
+    }
+};
+
+const getTask = { params: taskId };
+
+const updateTask = {
+    params: taskId,
+    body: {
+        type: 'object',
+        properties: {
+            title: nonEmpty('New title (the new name of a folder)'),
+            status: nonEmpty('A status the folder\'s workflow allows moving to'),
+            priority,
+            autoComplete: { type: 'boolean' }
+        },
+        minProperties: 1
+    }
+};
+
+const moveTask = {
+    params: taskId,
+    body: {
+        type: 'object',
+        properties: {
+            before: objectId('Task to move right before'),
+            after: objectId('Task to move right after')
+        },
+        minProperties: 1
+    }
+};
+
+const deleteQuery = {
+    type: 'object',
+    properties: {
+        children: {
+            type: 'string',
+            enum: CHILD_MODES.delete,
+            description: 'Required for folders with subfolders: delete them too (cascade) or move them up a level (reparent)'
+        }
+    }
+};
+
+const deleteTyped = {
+    params: {
+        type: 'object',
+        properties: { type: { type: 'string', enum: ['task', 'folder'] }, id: objectId() },
+        required: ['type', 'id']
+    },
+    query: deleteQuery
+};
+
+const deleteById = { params: taskId, query: deleteQuery };
+
+const bulkUpdate = {
+    body: {
+        type: 'object',
+        properties: {
+            ids: { type: 'array', minItems: 1, maxItems: MAX_BULK_IDS, items: objectId() },
+            action: { type: 'string', enum: BULK_ACTIONS },
+            status: nonEmpty('setStatus: a status of each task\'s workflow'),
+            dueDate: { ...dateTime, nullable: true, description: 'setDueDate; null clears it' },
+            folder: { ...objectId('move; null takes the tasks out of their folder'), nullable: true },
+            tag: objectId('addTag'),
+            atomic: { type: 'boolean', default: false, description: 'Change nothing unless every task can be changed' }
+        },
+        required: ['ids', 'action']
+    }
+};
+
+// Checklists
+
+const checklistItem = idParams('taskId', 'itemId');
+
+const addChecklistItem = {
+    params: taskId,
+    body: {
+        type: 'object',
+        properties: {
+            title: nonEmpty(),
+            position: { type: 'integer', minimum: 0, description: 'Index to insert the item at, the end by default' }
+        },
+        required: ['title']
+    }
+};
+
+const reorderChecklist = {
+    params: taskId,
+    body: {
+        type: 'object',
+        properties: { order: { type: 'array', items: objectId(), description: 'Every item id, in the new order' } },
+        required: ['order']
+    }
+};
+
+const updateChecklistItem = {
+    params: checklistItem,
+    body: {
+        type: 'object',
+        properties: { title: nonEmpty(), done: { type: 'boolean' } },
+        minProperties: 1
+    }
+};
+
+const deleteChecklistItem = { params: checklistItem };
+
+// Recurrence, reminders, tags and activity
+
+const setRecurrence = { params: taskId, body: recurrence };
+
+const stopRecurrence = { params: taskId };
+
+const createReminder = { params: taskId, body: reminderRule };
+
+const getReminders = { params: taskId };
+
+const taskTag = { params: idParams('taskId', 'tagId') };
+
+const getActivity = { params: taskId, query: pageQuery() };
+
+// Comments
+
+const commentBody = { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH };
+
+const getComments = { params: taskId, query: pageQuery() };
+
+const createComment = {
+    params: taskId,
+    body: {
+        type: 'object',
+        properties: {
+            body: commentBody,
+            parent: { ...objectId('Comment this one answers'), nullable: true }
+        },
+        required: ['body']
+    }
+};
+
+const updateComment = {
+    params: idParams('taskId', 'commentId'),
+    body: {
+        type: 'object',
+        properties: { body: commentBody },
+        required: ['body']
+    }
+};
+
+const deleteComment = { params: idParams('taskId', 'commentId') };
+
+// Attachments: the uploaded file is the raw request body, see src/middleware/uploadMiddleware.js
+
+const uploadAttachment = {
+    params: taskId,
+    query: {
+        type: 'object',
+        properties: { filename: nonEmpty('Name of the file (or the X-Filename header)') }
+    }
+};
+
+const getAttachments = { params: taskId };
+
+const attachment = { params: idParams('taskId', 'attachmentId') };
+
+module.exports = {
+    createTask,
+    listTasks,
+    listFolderTasks,
+    listTasksWithoutFolder,
+    getTask,
+    updateTask,
+    moveTask,
+    deleteTyped,
+    deleteById,
+    bulkUpdate,
+    addChecklistItem,
+    reorderChecklist,
+    updateChecklistItem,
+    deleteChecklistItem,
+    setRecurrence,
+    stopRecurrence,
+    createReminder,
+    getReminders,
+    taskTag,
+    getActivity,
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    uploadAttachment,
+    getAttachments,
+    attachment
+};
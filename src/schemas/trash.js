@@ -0,0 +1,11 @@
+const { idParams, taskListQuery } = require('./common');
+
+// Request schemas of src/routes/trashRoutes.js
+
+const getTrash = { query: taskListQuery() };
+
+const restoreItem = { params: idParams('id') };
+
+const purgeItem = { params: idParams('id') };
+
+module.exports = { getTrash, restoreItem, purgeItem };
@@ -0,0 +1,35 @@
+const { EVENT_TYPES } = require('../services/events');
+const { idParams, nonEmpty, pageQuery } = require('./common');
+
+// Request schemas of src/routes/webhookRoutes.js. Urls must also point to a
+// public address, which the controller checks (src/utils/safeUrl.js).
+
+const url = nonEmpty('http(s) url the events are POSTed to');
+const events = { type: 'array', minItems: 1, items: { type: 'string', enum: ['*', ...EVENT_TYPES] }, description: '"*" for every event' };
+const description = { type: 'string' };
+
+const createWebhook = {
+    body: {
+        type: 'object',
+        properties: { url, events, description },
+        required: ['url', 'events']
+    }
+};
+
+const updateWebhook = {
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { url, events, description, active: { type: 'boolean' } },
+        minProperties: 1
+    }
+};
+
+const deleteWebhook = { params: idParams('id') };
+
+const getDeliveries = {
+    params: idParams('id'),
+    query: pageQuery({ status: { type: 'string', enum: ['pending', 'success', 'failed'] } })
+};
+
+module.exports = { createWebhook, updateWebhook, deleteWebhook, getDeliveries };
@@ -0,0 +1,62 @@
+const Activity = require('../models/activity');
+const Task = require('../models/task');
+const { onEvent } = require('./events');
+
+const ACTION_BY_EVENT = {
+    'task.created': 'created',
+    'task.updated': 'updated',
+    'task.deleted': 'deleted',
+    'task.restored': 'restored'
+};
+
+// A move (to another folder or place in the list) or a status change is
+// recorded as such; anything else is a plain update.
+const actionFor = (type, changes) => {
+    const action = ACTION_BY_EVENT[type];
+    if (action !== 'updated') return action;
+    const fields = changes.map((change) => change.field);
+    if (fields.includes('folder') || fields.includes('position')) return 'moved';
+    if (fields.includes('status')) return 'status_changed';
+    return 'updated';
+};
+
+const entryFor = (event, task, action, changes = []) => ({
+    task: task._id,
+    folder: task.folder || null,
+    actor: event.actor,
+    action,
+    changes,
+    title: task.title,
+    createdAt: event.createdAt
+});
+
+const record = async (event) => {
+    try {
+        // clearing or deleting a folder trashes its tasks at once
+        if (event.type === 'folder.cleared' || event.type === 'folder.deleted') {
+            const tasks = await Task.find({ _id: { $in: event.data.deletedTasks }, deletedAt: { $ne: null } })
+                .select('title folder');
+            if (tasks.length) await Activity.insertMany(tasks.map((task) => entryFor(event, task, 'deleted')));
+            return;
+        }
+
+        if (!ACTION_BY_EVENT[event.type]) return;
+        const { task, changes } = event.data;
+        // an update that didn't change anything
+        if (changes && !changes.length) return;
+
+        await Activity.create(entryFor(event, task, actionFor(event.type, changes || []), changes));
+    } catch (err) {
+        console.error('Error recording activity:', err);
+    }
+};
+
+let started = false;
+
+const startActivityLog = () => {
+    if (started) return;
+    started = true;
+    onEvent(record);
+};
+
+module.exports = { startActivityLog };
@@ -0,0 +1,74 @@
+const path = require('path');
+const Attachment = require('../models/attachment');
+const { getStorage } = require('./fileStorage');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Overridable with a comma separated ATTACHMENT_TYPES
+const DEFAULT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'text/csv', 'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+const ALLOWED_TYPES = process.env.ATTACHMENT_TYPES
+    ? process.env.ATTACHMENT_TYPES.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_TYPES;
+
+// "Content-Type: image/png; charset=..." -> "image/png"
+const mimeTypeOf = (contentType) => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+// Keep the base name only, without control characters or quotes
+const cleanFilename = (name) => {
+    const base = path.basename(String(name || '').replace(/\\/g, '/'));
+    const clean = base.replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, 255);
+    return clean || 'attachment';
+};
+
+// Store the bytes then the record; the file is removed again if the record can't be saved
+const saveAttachment = async ({ task, user, filename, mimeType, data }) => {
+    const attachment = new Attachment({ task: task._id, user, filename, mimeType, size: data.length });
+    attachment.storageKey = `${task._id}/${attachment._id}`;
+
+    const storage = getStorage();
+    await storage.put(attachment.storageKey, data);
+    try {
+        await attachment.save();
+    } catch (err) {
+        await storage.remove(attachment.storageKey).catch(() => {});
+        throw err;
+    }
+    return attachment;
+};
+
+// Readable stream of the attachment's bytes
+const openAttachment = async (attachment) => {
+    const { storageKey } = await Attachment.findById(attachment._id).select('+storageKey').lean();
+    return getStorage().get(storageKey);
+};
+
+// Delete the attachments matching `filter` and their files
+const deleteAttachments = async (filter) => {
+    const attachments = await Attachment.find(filter).select('+storageKey').lean();
+    if (!attachments.length) return;
+    const storage = getStorage();
+    await Promise.all(attachments.map((a) => storage.remove(a.storageKey)));
+    await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+};
+
+const deleteTaskAttachments = (taskIds) => deleteAttachments({ task: { $in: [].concat(taskIds) } });
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    ALLOWED_TYPES,
+    mimeTypeOf,
+    cleanFilename,
+    saveAttachment,
+    openAttachment,
+    deleteAttachments,
+    deleteTaskAttachments
+};
@@ -0,0 +1,87 @@
+// Counter stores keep the expiring counters behind rate limits and login
+// lockouts (see src/middleware/rateLimitMiddleware.js and ./loginGuard).
+// They only need four methods:
+//   increment(key, ttlMs) -> promise of { count, resetAt }; a missing or expired
+//                            counter starts again at 1 and expires ttlMs later
+//   get(key)              -> promise of { count, resetAt }, or null
+//   set(key, count, ttlMs)-> promise
+//   remove(key)           -> promise
+// Pick one with RATE_LIMIT_STORE (memory), or plug in a shared one (e.g. Redis)
+// at startup with setStore() when running several processes: the memory store
+// only counts the requests of its own process.
+
+const SWEEP_MS = 60 * 1000;
+
+const memoryStore = () => {
+    // key -> { count, resetAt }
+    const counters = new Map();
+    let sweeper = null;
+
+    const live = (key) => {
+        const counter = counters.get(key);
+        if (!counter) return null;
+        if (counter.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter;
+    };
+
+    // expired counters are only dropped when read, so clear the rest now and then
+    const sweep = () => {
+        if (sweeper) return;
+        sweeper = setInterval(() => {
+            const now = Date.now();
+            for (const [key, counter] of counters) {
+                if (counter.resetAt <= now) counters.delete(key);
+            }
+        }, SWEEP_MS);
+        sweeper.unref();
+    };
+
+    return {
+        async increment(key, ttlMs) {
+            sweep();
+            const counter = live(key);
+            if (counter) {
+                counter.count += 1;
+                return { ...counter };
+            }
+            const created = { count: 1, resetAt: Date.now() + ttlMs };
+            counters.set(key, created);
+            return { ...created };
+        },
+        async get(key) {
+            const counter = live(key);
+            return counter ? { ...counter } : null;
+        },
+        async set(key, count, ttlMs) {
+            sweep();
+            counters.set(key, { count, resetAt: Date.now() + ttlMs });
+        },
+        async remove(key) {
+            counters.delete(key);
+        }
+    };
+};
+
+const stores = {
+    memory: () => memoryStore()
+};
+
+let store = null;
+
+const getStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!stores[name]) throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+        store = stores[name]();
+    }
+    return store;
+};
+
+const setStore = (s) => {
+    store = s;
+};
+
+module.exports = { getStore, setStore, memoryStore };
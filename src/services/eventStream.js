@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const Session = require('../models/session');
+const { onEvent } = require('./events');
+
+// Pushes the events of the bus (see ./events) to connected clients over
+// Server-Sent Events. Each client only gets the events its user may see,
+// optionally narrowed to some folders. Events are kept for a while so a client
+// that reconnects with Last-Event-ID gets what it missed; when they are gone
+// it gets a `resync` event and should reload its data.
+// Everything is in memory: with several processes behind a load balancer the
+// bus itself would have to be shared first.
+
+const HEARTBEAT_MS = 25 * 1000;
+const SESSION_CHECK_MS = 5 * 60 * 1000;
+const BUFFER_SIZE = parseInt(process.env.EVENT_STREAM_BUFFER, 10) || 1000;
+const MAX_CLIENTS_PER_USER = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS, 10) || 10;
+const TICKET_TTL_MS = 60 * 1000;
+
+// userId -> Set of clients
+const clients = new Map();
+// recent events with who may see them, oldest first
+const recent = [];
+// ticket hash -> { userId, sessionId, expiresAt }
+const tickets = new Map();
+
+let started = false;
+
+const hashTicket = (ticket) => crypto.createHash('sha256').update(ticket).digest('hex');
+
+// One-time ticket to open a stream, for clients that can't send an
+// Authorization header (EventSource in browsers)
+const issueTicket = (userId, sessionId) => {
+    const now = Date.now();
+    for (const [hash, entry] of tickets) {
+        if (entry.expiresAt <= now) tickets.delete(hash);
+    }
+    const ticket = crypto.randomBytes(24).toString('hex');
+    tickets.set(hashTicket(ticket), { userId: String(userId), sessionId, expiresAt: now + TICKET_TTL_MS });
+    return { ticket, expiresIn: TICKET_TTL_MS / 1000 };
+};
+
+// { id, sessionId } of the ticket's user when it is valid (it is used up), or null
+const redeemTicket = (ticket) => {
+    if (typeof ticket !== 'string') return null;
+    const hash = hashTicket(ticket);
+    const entry = tickets.get(hash);
+    tickets.delete(hash);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { id: entry.userId, sessionId: entry.sessionId };
+};
+
+// Folders an event is about: the folder, or the task's folder and the one it
+// was moved out of
+const foldersOf = ({ data }) => {
+    if (data.folder && data.folder._id) return [String(data.folder._id)];
+    const folders = [];
+    if (data.task && data.task.folder) folders.push(String(data.task.folder._id || data.task.folder));
+    const moved = (data.changes || []).find((change) => change.field === 'folder');
+    if (moved && moved.from) folders.push(String(moved.from));
+    return folders;
+};
+
+const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+const wants = (client, event) => !client.folders || foldersOf(event).some((id) => client.folders.has(id));
+
+const publish = (event, userIds) => {
+    recent.push({ event, userIds });
+    if (recent.length > BUFFER_SIZE) recent.shift();
+
+    for (const userId of userIds) {
+        for (const client of clients.get(userId) || []) {
+            if (wants(client, event)) client.res.write(format(event));
+        }
+    }
+};
+
+// Events after `lastEventId` for the client, or null when they are no longer buffered
+const missedEvents = (client, lastEventId) => {
+    const index = recent.findIndex(({ event }) => event.id === lastEventId);
+    if (index === -1) return null;
+    return recent
+        .slice(index + 1)
+        .filter(({ event, userIds }) => userIds.includes(client.userId) && wants(client, event))
+        .map(({ event }) => event);
+};
+
+const clientCount = (userId) => (clients.get(String(userId)) || new Set()).size;
+
+// Stream events to `res` until the client goes away or its session is revoked.
+// `folders` is a list of folder ids to narrow the stream to (null for everything).
+const openStream = (req, res, { userId, sessionId, folders = null }) => {
+    const client = { userId: String(userId), res, folders: folders && new Set(folders.map(String)) };
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        const missed = missedEvents(client, lastEventId);
+        if (missed) missed.forEach((event) => res.write(format(event)));
+        else res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available.' })}\n\n`);
+    }
+
+    if (!clients.has(client.userId)) clients.set(client.userId, new Set());
+    clients.get(client.userId).add(client);
+
+    let lastSessionCheck = Date.now();
+    const heartbeat = setInterval(async () => {
+        res.write(': ping\n\n');
+        if (Date.now() - lastSessionCheck < SESSION_CHECK_MS) return;
+        lastSessionCheck = Date.now();
+        try {
+            if (!await Session.exists({ _id: sessionId, user: client.userId, revokedAt: null })) res.end();
+        } catch (err) {
+            console.error('Error checking event stream session:', err);
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const close = () => {
+        clearInterval(heartbeat);
+        const set = clients.get(client.userId);
+        if (!set) return;
+        set.delete(client);
+        if (!set.size) clients.delete(client.userId);
+    };
+    res.on('close', close);
+};
+
+const startEventStream = () => {
+    if (started) return;
+    started = true;
+    onEvent(publish);
+};
+
+module.exports = {
+    MAX_CLIENTS_PER_USER,
+    issueTicket,
+    redeemTicket,
+    clientCount,
+    openStream,
+    startEventStream
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Folder = require('../models/folder');
+const Task = require('../models/task');
+const { snapshotTask, taskChanges } = require('../utils/taskChanges');
+
+// In-process bus for task and folder changes. Controllers emit, delivery
+// mechanisms (webhooks, the event stream, ...) subscribe with onEvent().
+// Events carry the changed document as it is after the change, so clients can
+// apply them without fetching it again.
+const EVENT_TYPES = [
+    'task.created',
+    'task.updated',
+    'task.completed',
+    'task.deleted',
+    'task.restored',
+    'folder.created',
+    'folder.updated',
+    'folder.deleted',
+    'folder.restored',
+    'folder.cleared',
+    'folder.progress_reset',
+    'comment.created',
+    'comment.updated',
+    'comment.deleted'
+];
+
+const bus = new EventEmitter();
+
+const toPlain = (doc) => (doc && typeof doc.toJSON === 'function' ? doc.toJSON() : doc);
+
+// everyone with a role on the folder
+const folderAudience = (folder) => [folder.user, ...(folder.members || []).map((m) => m.user)].map(String);
+
+// Listeners get (event, userIds): the users allowed to see the change.
+// `actor` is the user who made the change, null for the server's own changes.
+const emitEvent = (type, data, userIds, actor = null) => {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date(), actor: actor && String(actor), data };
+    bus.emit('event', event, [...new Set(userIds.map(String))]);
+};
+
+// Tasks in a folder are visible to all its members, other tasks to their creator only
+const taskAudience = async (task, folder) => {
+    if (!task.folder) return [String(task.user)];
+    const taskFolder = folder || await Folder.findById(task.folder);
+    return taskFolder ? folderAudience(taskFolder) : [String(task.user)];
+};
+
+// With `before` (a snapshotTask() taken before the change) the event lists the changes.
+// `extra` is merged into the event data. `from` is the folder a moved task
+// left: its members are told as well, the task is gone from their view.
+// Never throws: a failing listener must not fail the request that made the change.
+const emitTaskEvent = async (type, task, folder = null, { actor = null, before = null, extra = {}, from = null } = {}) => {
+    try {
+        // taken right away, the caller may keep changing the task
+        const data = { task: toPlain(task), ...extra };
+        if (before) data.changes = taskChanges(before, task);
+
+        const audience = await taskAudience(task, folder);
+        if (from) audience.push(...folderAudience(from));
+        emitEvent(type, data, audience, actor);
+    } catch (err) {
+        console.error(`Error emitting ${type}:`, err);
+    }
+};
+
+// Run `update` (bulk writes to the tasks matching `filter`) and emit
+// task.updated for every one of them it changed, so each gets its own activity
+// entry. Resolves to what `update` resolved to.
+const emitTaskUpdates = async (filter, update, folder = null, { actor = null } = {}) => {
+    const snapshots = new Map((await Task.find(filter)).map((task) => [String(task._id), snapshotTask(task)]));
+    const result = await update();
+    if (snapshots.size) {
+        const tasks = await Task.find({ _id: { $in: [...snapshots.keys()] } });
+        for (const task of tasks) {
+            const before = snapshots.get(String(task._id));
+            if (taskChanges(before, task).length) emitTaskEvent('task.updated', task, folder, { actor, before });
+        }
+    }
+    return result;
+};
+
+// Comments are seen by everyone who can see their task
+const emitCommentEvent = async (type, comment, task, folder = null, { actor = null } = {}) => {
+    try {
+        const data = { comment: toPlain(comment), task: { _id: task._id, title: task.title, folder: task.folder } };
+        emitEvent(type, data, await taskAudience(task, folder), actor);
+    } catch (err) {
+        console.error(`Error emitting ${type}:`, err);
+    }
+};
+
+// `notify` adds users who can't see the folder anymore but should hear about it
+// (a member who was just removed)
+const emitFolderEvent = (type, folder, extra = {}, { actor = null, notify = [] } = {}) => {
+    try {
+        emitEvent(type, { folder: toPlain(folder), ...extra }, [...folderAudience(folder), ...notify], actor);
+    } catch (err) {
+        console.error(`Error emitting ${type}:`, err);
+    }
+};
+
+const onEvent = (listener) => bus.on('event', listener);
+
+module.exports = {
+    EVENT_TYPES,
+    emitTaskEvent,
+    emitTaskUpdates,
+    emitCommentEvent,
+    emitFolderEvent,
+    onEvent
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Storages hold the bytes of uploaded files under a key chosen by the caller
+// (never a user-supplied name). They only need three methods:
+//   put(key, buffer) -> promise
+//   get(key)         -> promise of a readable stream, rejected if the file is missing
+//   remove(key)      -> promise, resolving even if the file was already gone
+// Pick one with FILE_STORAGE (local), or plug in another one (e.g. an object
+// store) at startup with setStorage().
+
+const localStorage = (dir = process.env.UPLOAD_DIR || 'uploads') => {
+    const root = path.resolve(dir);
+    const fileOf = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return file;
+    };
+
+    return {
+        async put(key, buffer) {
+            const file = fileOf(key);
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            await fsp.writeFile(file, buffer);
+        },
+        async get(key) {
+            const file = fileOf(key);
+            await fsp.access(file);
+            return fs.createReadStream(file);
+        },
+        async remove(key) {
+            await fsp.rm(fileOf(key), { force: true });
+        }
+    };
+};
+
+const storages = {
+    local: () => localStorage()
+};
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.FILE_STORAGE || 'local';
+        if (!storages[name]) throw new Error(`Unknown FILE_STORAGE "${name}"`);
+        storage = storages[name]();
+    }
+    return storage;
+};
+
+const setStorage = (s) => {
+    storage = s;
+};
+
+module.exports = { getStorage, setStorage, localStorage };
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { PRIORITIES } = require('../utils/taskQuery');
+const { parseNewTask } = require('../utils/taskInput');
+const { subfolderFields } = require('../utils/folderTree');
+const { workflowOf, statusNames, parseWorkflow } = require('../utils/workflow');
+const { positionBetween } = require('../utils/taskOrder');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { emitTaskEvent, emitFolderEvent } = require('./events');
+
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Columns of the CSV export, and the fields a CSV import can map columns to.
+// `folder` is the folder's path from the top ("Work / Project"); on folder rows
+// it is the path of the enclosing folder. A "/" or "\" in a folder name is
+// escaped with a backslash ("Clients / A\/B"), so the name stays one folder.
+const CSV_COLUMNS = ['type', 'title', 'folder', 'status', 'priority', 'dueDate', 'tags', 'autoComplete'];
+const PATH_SEPARATOR = ' / ';
+
+const joinPath = (names) => names.map((name) => name.replace(/[\\/]/g, '\\$&')).join(PATH_SEPARATOR);
+
+// "Clients / A\/B" -> ['Clients', 'A/B']; a backslash not followed by "/" or
+// "\" is kept as it is
+const splitPath = (text) => {
+    const names = [''];
+    const chars = String(text || '');
+    for (let i = 0; i < chars.length; i++) {
+        if (chars[i] === '\\' && (chars[i + 1] === '/' || chars[i + 1] === '\\')) {
+            names[names.length - 1] += chars[++i];
+        } else if (chars[i] === '/') {
+            names.push('');
+        } else {
+            names[names.length - 1] += chars[i];
+        }
+    }
+    return names.map((name) => name.trim()).filter(Boolean);
+};
+
+const pathKey = (names) => names.join('\u0000');
+
+// -------------------------------------------
+// Export
+// -------------------------------------------
+
+// The user's own folders (at any depth) with every task in them, plus their
+// tasks without a folder. Folders reference their parent and tasks their
+// folder by the `id` the folder has in the export.
+const exportData = async (userId) => {
+    const folders = await Folder.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    const exported = new Set(folders.map((f) => String(f._id)));
+
+    const tasks = await Task.find({
+        $or: [{ folder: { $in: folders.map((f) => f._id) } }, { user: userId, folder: null }]
+    })
+        .sort({ folder: 1, position: 1, _id: 1 })
+        .populate({ path: 'tags', select: 'name' })
+        .lean();
+
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        folders: folders.map((folder) => ({
+            id: String(folder._id),
+            name: folder.name,
+            // a subfolder of someone else's folder comes out at the top level
+            parent: folder.parent && exported.has(String(folder.parent)) ? String(folder.parent) : null,
+            workflow: folder.workflow ? { statuses: folder.workflow.statuses, transitions: folder.workflow.transitions } : null
+        })),
+        tasks: tasks.map((task) => {
+            let recurrence = null;
+            if (task.recurrence) {
+                const { occurrence, ...rule } = task.recurrence;
+                recurrence = rule;
+            }
+            return {
+                title: task.title,
+                folder: task.folder ? String(task.folder) : null,
+                status: task.status,
+                priority: task.priority,
+                dueDate: task.dueDate || null,
+                tags: task.tags.map((tag) => tag.name),
+                autoComplete: task.autoComplete,
+                checklist: task.checklist.map((item) => ({ title: item.title, done: item.done })),
+                recurrence,
+                createdAt: task.createdAt
+            };
+        })
+    };
+};
+
+// Folder id -> array of names from the top, for the folders of an export
+const folderPaths = (folders) => {
+    const byId = new Map(folders.map((folder) => [folder.id, folder]));
+    const paths = new Map();
+    const pathOf = (folder, seen = new Set()) => {
+        if (paths.has(folder.id)) return paths.get(folder.id);
+        if (seen.has(folder.id)) return null;
+        seen.add(folder.id);
+        const parent = folder.parent === null || folder.parent === undefined ? null : byId.get(String(folder.parent));
+        if (folder.parent != null && !parent) return null;
+        const parentPath = parent ? pathOf(parent, seen) : [];
+        const path = parentPath && [...parentPath, folder.name];
+        paths.set(folder.id, path);
+        return path;
+    };
+    folders.forEach((folder) => pathOf(folder));
+    return paths;
+};
+
+// One row per folder (parents first), then one per task
+const exportCsv = (data) => {
+    const paths = folderPaths(data.folders);
+    const pathText = (id) => (id ? joinPath(paths.get(id)) : '');
+
+    const folderRows = data.folders
+        .map((folder) => ({ path: paths.get(folder.id), folder }))
+        .sort((a, b) => a.path.length - b.path.length)
+        .map(({ folder }) => ({ type: 'folder', title: folder.name, folder: pathText(folder.parent) }));
+
+    const taskRows = data.tasks.map((task) => ({
+        type: 'task',
+        title: task.title,
+        folder: pathText(task.folder),
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate ? task.dueDate.toISOString() : '',
+        tags: task.tags.join(', '),
+        autoComplete: task.autoComplete
+    }));
+
+    return toCsv([...folderRows, ...taskRows], CSV_COLUMNS);
+};
+
+// -------------------------------------------
+// Import
+// -------------------------------------------
+// Both formats are first turned into the same items:
+//   { row, type: 'folder', path, workflow }             path includes the folder's own name
+//   { row, type: 'task', folderPath, tags, input }      input as for POST /task
+// `row` tells the user where an error is: a CSV row number or "tasks[3]".
+
+// The user's export document ({ folders, tasks }). Returns { items, errors } or { error }.
+const readJsonImport = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'Expected an object with folders and tasks.' };
+    }
+    const folders = data.folders === undefined ? [] : data.folders;
+    const tasks = data.tasks === undefined ? [] : data.tasks;
+    if (!Array.isArray(folders) || !Array.isArray(tasks)) {
+        return { error: 'folders and tasks must be arrays.' };
+    }
+    if (folders.length + tasks.length > MAX_IMPORT_ROWS) {
+        return { error: `Too many items (max ${MAX_IMPORT_ROWS}).` };
+    }
+
+    const items = [];
+    const errors = [];
+
+    const validFolders = [];
+    folders.forEach((folder, i) => {
+        const row = `folders[${i}]`;
+        if (!folder || typeof folder !== 'object') return errors.push({ row, error: 'Folder must be an object.' });
+        if (!folder.name || typeof folder.name !== 'string') return errors.push({ row, error: 'Folder name is required.' });
+        if (folder.id === undefined || folder.id === null) return errors.push({ row, error: 'Folder id is required.' });
+        let workflow = null;
+        if (folder.workflow !== undefined && folder.workflow !== null) {
+            const parsed = parseWorkflow(folder.workflow);
+            if (parsed.error) return errors.push({ row, error: parsed.error });
+            workflow = parsed.workflow;
+        }
+        validFolders.push({ row, id: String(folder.id), name: folder.name, parent: folder.parent, workflow });
+    });
+
+    const paths = folderPaths(validFolders);
+    validFolders.forEach((folder) => {
+        const path = paths.get(folder.id);
+        if (!path) return errors.push({ row: folder.row, error: 'Unknown parent folder, or a cycle of parents.' });
+        items.push({ row: folder.row, type: 'folder', path, workflow: folder.workflow });
+    });
+
+    tasks.forEach((task, i) => {
+        const row = `tasks[${i}]`;
+        if (!task || typeof task !== 'object') return errors.push({ row, error: 'Task must be an object.' });
+
+        let folderPath = [];
+        if (task.folder !== undefined && task.folder !== null) {
+            folderPath = paths.get(String(task.folder));
+            if (!folderPath) return errors.push({ row, error: 'Unknown folder.' });
+        }
+
+        const { tags = [], checklist = [], ...input } = task;
+        items.push({ row, type: 'task', folderPath, tags, checklist, input });
+    });
+
+    return { items, errors };
+};
+
+const parseBoolean = (val) => {
+    const text = String(val).trim().toLowerCase();
+    if (['true', 'yes', '1', 'x'].includes(text)) return true;
+    if (['false', 'no', '0', ''].includes(text)) return false;
+    return val;
+};
+
+// Case-insensitive match against the allowed values; unknown values are kept
+// as-is so validation reports them
+const normalize = (val, allowed) => allowed.find((a) => a.toLowerCase() === val.toLowerCase()) || val;
+
+// CSV with a header row. `mapping` ({ field: 'Column header' }) picks the
+// column of each field; unmapped fields use the column named like the field.
+// Returns { items, errors } or { error }.
+const readCsvImport = (text, mapping = {}) => {
+    const parsed = parseCsv(text);
+    if (parsed.error) return parsed;
+    const [header, ...rows] = parsed.rows;
+    if (!header) return { error: 'The CSV file is empty.' };
+    if (rows.length > MAX_IMPORT_ROWS) return { error: `Too many rows (max ${MAX_IMPORT_ROWS}).` };
+
+    const unknownFields = Object.keys(mapping).filter((field) => !CSV_COLUMNS.includes(field));
+    if (unknownFields.length) {
+        return { error: `Unknown mapped field(s): ${unknownFields.join(', ')}. Fields: ${CSV_COLUMNS.join(', ')}.` };
+    }
+
+    const headers = header.map((h) => h.trim().toLowerCase());
+    const columns = {};
+    for (const field of CSV_COLUMNS) {
+        const name = mapping[field] !== undefined ? String(mapping[field]) : field;
+        const index = headers.indexOf(name.trim().toLowerCase());
+        if (index === -1 && mapping[field] !== undefined) return { error: `Column "${name}" not found.` };
+        if (index !== -1) columns[field] = index;
+    }
+    if (columns.title === undefined) return { error: 'No title column.' };
+
+    const items = [];
+    const errors = [];
+    rows.forEach((cells, i) => {
+        // the header is row 1
+        const row = i + 2;
+        const cell = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+        const type = (cell('type') || 'task').toLowerCase();
+        const folderPath = splitPath(cell('folder'));
+
+        if (type === 'folder') {
+            if (!cell('title')) return errors.push({ row, error: 'Folder name is required.' });
+            return items.push({ row, type: 'folder', path: [...folderPath, cell('title')], workflow: null });
+        }
+        if (type !== 'task') return errors.push({ row, error: 'type must be task or folder.' });
+
+        const input = { title: cell('title') };
+        if (cell('status')) input.status = cell('status');
+        if (cell('priority')) input.priority = normalize(cell('priority'), PRIORITIES);
+        if (cell('dueDate')) input.dueDate = cell('dueDate');
+        if (columns.autoComplete !== undefined) input.autoComplete = parseBoolean(cell('autoComplete'));
+        const tags = cell('tags').split(',').map((name) => name.trim()).filter(Boolean);
+
+        items.push({ row, type: 'task', folderPath, tags, checklist: [], input });
+    });
+
+    return { items, errors };
+};
+
+// Validate an item the way POST /task would in the folder it goes to, plus what
+// the schema checks. Returns an error message, or null.
+const validateItem = (item, workflow, userId) => {
+    if (item.type === 'folder') return null;
+
+    // statuses are matched case-insensitively against the folder's workflow
+    const input = typeof item.input.status === 'string'
+        ? { ...item.input, status: normalize(item.input.status.trim(), statusNames(workflow)) }
+        : item.input;
+    const parsed = parseNewTask(input, workflow);
+    if (parsed.error) return parsed.error;
+    item.fields = parsed.fields;
+
+    if (!Array.isArray(item.tags) || item.tags.some((name) => typeof name !== 'string' || !name.trim())) {
+        return 'tags must be a list of tag names.';
+    }
+    if (!Array.isArray(item.checklist)
+        || item.checklist.some((c) => !c || typeof c.title !== 'string' || !c.title.trim()
+            || (c.done !== undefined && typeof c.done !== 'boolean'))) {
+        return 'checklist must be a list of { title, done } items.';
+    }
+
+    const invalid = new Task({
+        ...item.fields,
+        user: userId,
+        checklist: item.checklist.map((c) => ({ title: c.title.trim(), done: c.done === true }))
+    }).validateSync();
+    return invalid ? Object.values(invalid.errors)[0].message : null;
+};
+
+// Path key -> folder, for the user's own folders whose whole path is theirs
+const ownFolderPaths = async (userId) => {
+    const folders = await Folder.find({ user: userId });
+    const byId = new Map(folders.map((f) => [String(f._id), f]));
+    const paths = new Map();
+    for (const folder of folders) {
+        const chain = [...folder.ancestors.map((id) => byId.get(String(id))), folder];
+        if (chain.every(Boolean)) {
+            const key = pathKey(chain.map((f) => f.name));
+            if (!paths.has(key)) paths.set(key, folder);
+        }
+    }
+    return paths;
+};
+
+// The workflow tasks at `path` will get: the existing folder's, else the one
+// the import gives the folder, else (new folders copy their parent's) the parent's.
+const workflowAt = (path, folderByPath, importedWorkflows) => {
+    if (!path.length) return workflowOf(null);
+    const key = pathKey(path);
+    if (folderByPath.has(key)) return workflowOf(folderByPath.get(key));
+    if (importedWorkflows.get(key)) return importedWorkflows.get(key);
+    return workflowAt(path.slice(0, -1), folderByPath, importedWorkflows);
+};
+
+// Path key -> workflow given to a folder in the import
+const importedWorkflowsOf = (items) => new Map(items
+    .filter((item) => item.type === 'folder' && item.workflow)
+    .map((item) => [pathKey(item.path), item.workflow]));
+
+// Write the validated items: folders are matched by path with the user's own
+// folders (`folderByPath`) and created when missing, tags by name likewise.
+// Everything is prepared in memory first and anything written is removed again
+// on failure, so an import lands completely or not at all.
+const writeImport = async (items, folderByPath, userId) => {
+    const importedWorkflows = importedWorkflowsOf(items);
+    const newFolders = [];
+
+    const folderFor = (path) => {
+        if (!path.length) return null;
+        const key = pathKey(path);
+        if (!folderByPath.has(key)) {
+            const parent = folderFor(path.slice(0, -1));
+            const folder = new Folder({ name: path[path.length - 1], user: userId, ...subfolderFields(parent, userId) });
+            if (importedWorkflows.has(key)) folder.workflow = importedWorkflows.get(key);
+            folderByPath.set(key, folder);
+            newFolders.push(folder);
+        }
+        return folderByPath.get(key);
+    };
+
+    const tasks = items.filter((item) => item.type === 'task');
+    items.filter((item) => item.type === 'folder').forEach((item) => folderFor(item.path));
+
+    // tags by name
+    const tagNames = [...new Set(tasks.flatMap((item) => item.tags.map((name) => name.trim())))];
+    const existingTags = await Tag.find({ user: userId, name: { $in: tagNames } });
+    const tagByName = new Map(existingTags.map((tag) => [tag.name, tag]));
+    const newTags = tagNames.filter((name) => !tagByName.has(name)).map((name) => new Tag({ name, user: userId }));
+    newTags.forEach((tag) => tagByName.set(tag.name, tag));
+
+    // tasks go to the end of their list, in import order
+    const lastPosition = new Map();
+    const nextPosition = async (folder) => {
+        const key = folder ? String(folder._id) : 'none';
+        if (!lastPosition.has(key)) {
+            const last = folder && folder.isNew
+                ? null
+                : await Task.findOne({ ...(folder ? { folder: folder._id } : { user: userId, folder: null }), position: { $ne: null } })
+                    .sort({ position: -1 })
+                    .select('position');
+            lastPosition.set(key, last && last.position);
+        }
+        const position = positionBetween(lastPosition.get(key), null);
+        lastPosition.set(key, position);
+        return position;
+    };
+
+    const newTasks = [];
+    const pushed = new Map();
+    for (const item of tasks) {
+        const folder = folderFor(item.folderPath);
+        const _id = new mongoose.Types.ObjectId();
+        newTasks.push({
+            task: new Task({
+                _id,
+                ...item.fields,
+                folder: folder ? folder._id : null,
+                user: userId,
+                position: await nextPosition(folder),
+                tags: [...new Set(item.tags.map((name) => tagByName.get(name.trim())._id))],
+                checklist: item.checklist.map((c) => ({ title: c.title.trim(), done: c.done === true, doneAt: c.done ? new Date() : null })),
+                series: item.fields.recurrence ? _id : null
+            }),
+            folder
+        });
+        if (folder && folder.isNew) folder.tasks.push(_id);
+        else if (folder) pushed.set(folder, [...(pushed.get(folder) || []), _id]);
+    }
+
+    const taskIds = newTasks.map(({ task }) => task._id);
+    try {
+        if (newTags.length) await Tag.insertMany(newTags);
+        if (newFolders.length) await Folder.insertMany(newFolders);
+        if (newTasks.length) await Task.insertMany(newTasks.map(({ task }) => task));
+        for (const [folder, ids] of pushed) {
+            await Folder.updateOne({ _id: folder._id }, { $push: { tasks: { $each: ids } } });
+        }
+    } catch (err) {
+        await Task.deleteMany({ _id: { $in: taskIds } });
+        await Folder.deleteMany({ _id: { $in: newFolders.map((f) => f._id) } });
+        await Tag.deleteMany({ _id: { $in: newTags.map((t) => t._id) } });
+        await Folder.updateMany({ _id: { $in: [...pushed.keys()].map((f) => f._id) } }, { $pullAll: { tasks: taskIds } });
+        throw err;
+    }
+
+    newFolders.forEach((folder) => emitFolderEvent('folder.created', folder, {}, { actor: userId }));
+    newTasks.forEach(({ task, folder }) => emitTaskEvent('task.created', task, folder, { actor: userId }));
+
+    return { folders: newFolders.length, tasks: newTasks.length, tags: newTags.length };
+};
+
+// Validate every item, then write them all. Resolves to { imported } or
+// { errors } (one per invalid row, nothing written) or { error }.
+const importData = async ({ items, errors }, userId) => {
+    const folderByPath = await ownFolderPaths(userId);
+    const importedWorkflows = importedWorkflowsOf(items);
+    for (const item of items) {
+        const workflow = item.type === 'task' ? workflowAt(item.folderPath, folderByPath, importedWorkflows) : null;
+        const error = validateItem(item, workflow, userId);
+        if (error) errors.push({ row: item.row, error });
+    }
+    if (errors.length) return { errors };
+    if (!items.length) return { error: 'Nothing to import.' };
+
+    return { imported: await writeImport(items, folderByPath, userId) };
+};
+
+module.exports = {
+    MAX_IMPORT_BYTES,
+    MAX_IMPORT_ROWS,
+    CSV_COLUMNS,
+    exportData,
+    exportCsv,
+    readJsonImport,
+    readCsvImport,
+    importData
+};
@@ -0,0 +1,56 @@
+const { getStore } = require('./counterStore');
+
+// Brute-force protection for login (and password changes, which check the
+// current password the same way). Failed attempts are counted per account
+// and per client IP; past the limit, logins from that IP or to that account are
+// locked for a while, twice as long with each further failure. Unknown
+// usernames are counted like real ones so the lockout doesn't reveal which
+// accounts exist.
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 60) * 1000;
+const MAX_LOCKOUT_MS = (parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS, 10) || 60 * 60) * 1000;
+// failures are forgotten a day after the first one (or on a successful login)
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const subjectsOf = (ip, username) => [
+    { key: `account:${username}`, max: MAX_ATTEMPTS },
+    { key: `ip:${ip}`, max: MAX_ATTEMPTS_PER_IP }
+];
+
+const lockoutFor = (failures, max) => Math.min(LOCKOUT_MS * 2 ** (failures - max), MAX_LOCKOUT_MS);
+
+// { resetAt } when logins from `ip` or to `username` are locked, null otherwise
+const loginLockout = async (ip, username) => {
+    const store = getStore();
+    const locks = await Promise.all(subjectsOf(ip, username).map(({ key }) => store.get(`login:lock:${key}`)));
+    const resetAt = Math.max(0, ...locks.filter(Boolean).map((lock) => lock.resetAt));
+    return resetAt ? { resetAt } : null;
+};
+
+const recordLoginFailure = async (ip, username) => {
+    const store = getStore();
+    await Promise.all(subjectsOf(ip, username).map(async ({ key, max }) => {
+        const { count } = await store.increment(`login:failures:${key}`, FAILURE_TTL_MS);
+        if (count >= max) await store.set(`login:lock:${key}`, count, lockoutFor(count, max));
+    }));
+};
+
+// The account's failures are cleared, the IP's are kept: a valid login must
+// not let an IP go on guessing the passwords of other accounts
+const recordLoginSuccess = async (username) => {
+    const store = getStore();
+    await Promise.all([
+        store.remove(`login:failures:account:${username}`),
+        store.remove(`login:lock:account:${username}`)
+    ]);
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    MAX_ATTEMPTS_PER_IP,
+    loginLockout,
+    recordLoginFailure,
+    recordLoginSuccess
+};
@@ -0,0 +1,53 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Mail transports only need a `send({ to, subject, text })` method returning a promise.
+// Pick one with MAIL_TRANSPORT (console | file), or plug in a real one
+// (SMTP, SES, ...) at startup with setTransport(). Outside production the
+// console is the default; in production there is none, so mails that would only
+// end up in the server log (password reset links) are never sent.
+
+const consoleTransport = {
+    async send({ to, subject, text }) {
+        console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    }
+};
+
+// Writes each message as a JSON file, handy for local testing of links in mails
+const fileTransport = (dir = process.env.MAIL_DIR || 'mail-outbox') => ({
+    async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+    }
+});
+
+const transports = {
+    console: () => consoleTransport,
+    file: () => fileTransport()
+};
+
+let transport = null;
+
+const defaultTransport = () => (process.env.NODE_ENV === 'production' ? null : 'console');
+
+// false when mails can't be sent (production without a transport)
+const mailConfigured = () => !!(transport || process.env.MAIL_TRANSPORT || defaultTransport());
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || defaultTransport();
+        if (!name) throw new Error('No mail transport: set MAIL_TRANSPORT or call setTransport()');
+        if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+const setTransport = (t) => {
+    transport = t;
+};
+
+const sendMail = async (message) => getTransport().send({ from: process.env.MAIL_FROM || 'no-reply@tasklist.local', ...message });
+
+module.exports = { sendMail, setTransport, mailConfigured, consoleTransport, fileTransport };
@@ -0,0 +1,60 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Notifiers only need a `notify(notification)` method returning a promise that
+// rejects when delivery failed. Pick one with NOTIFIER (log | file | webhook),
+// or plug in another one at startup with setNotifier().
+
+const logNotifier = {
+    async notify(notification) {
+        console.log(`🔔 ${notification.type}: ${notification.message}`);
+    }
+};
+
+// Appends one JSON line per notification
+const fileNotifier = (file = process.env.NOTIFIER_FILE || path.join('notifications', 'notifications.log')) => ({
+    async notify(notification) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, JSON.stringify({ ...notification, date: new Date() }) + '\n');
+    }
+});
+
+const webhookNotifier = (url = process.env.NOTIFIER_WEBHOOK_URL) => {
+    if (!url) throw new Error('NOTIFIER_WEBHOOK_URL is required for the webhook notifier');
+    return {
+        async notify(notification) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(notification),
+                signal: AbortSignal.timeout(10000)
+            });
+            if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+        }
+    };
+};
+
+const notifiers = {
+    log: () => logNotifier,
+    file: () => fileNotifier(),
+    webhook: () => webhookNotifier()
+};
+
+let notifier = null;
+
+const getNotifier = () => {
+    if (!notifier) {
+        const name = process.env.NOTIFIER || 'log';
+        if (!notifiers[name]) throw new Error(`Unknown NOTIFIER "${name}"`);
+        notifier = notifiers[name]();
+    }
+    return notifier;
+};
+
+const setNotifier = (n) => {
+    notifier = n;
+};
+
+const notify = (notification) => getNotifier().notify(notification);
+
+module.exports = { notify, setNotifier, logNotifier, fileNotifier, webhookNotifier };
@@ -0,0 +1,70 @@
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const { nextDueDate } = require('../utils/recurrence');
+const { workflowOf, initialStatus, statusFields } = require('../utils/workflow');
+const { copyTaskReminders } = require('./reminderScheduler');
+const { emitTaskEvent } = require('./events');
+
+// Pin the defaults taken from the first due date, so month-end clamping or a
+// moved occurrence doesn't make the series drift.
+const anchorRecurrence = (recurrence, dueDate) => {
+    const anchored = { ...recurrence };
+    if (anchored.frequency === 'weekly' && !anchored.weekdays) anchored.weekdays = [dueDate.getUTCDay()];
+    if (anchored.frequency === 'monthly' && !anchored.monthDay) anchored.monthDay = dueDate.getUTCDate();
+    return anchored;
+};
+
+// Called when an occurrence is completed: create the next one of the series.
+// Does nothing if the task doesn't recur, already has a successor, or the series is over.
+// Resolves to the new task, or null.
+const createNextOccurrence = async (task) => {
+    if (!task.recurrence || !task.dueDate || task.nextOccurrence) return null;
+
+    const recurrence = task.recurrence.toObject ? task.recurrence.toObject() : task.recurrence;
+    const occurrence = recurrence.occurrence || 1;
+    const dueDate = nextDueDate(recurrence, task.dueDate, occurrence);
+    if (!dueDate) return null;
+
+    // claim the successor slot first (pointing at itself until the next task
+    // exists) so concurrent completions don't create two
+    const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, nextOccurrence: null },
+        { nextOccurrence: task._id },
+        { new: true }
+    );
+    if (!claimed) return null;
+
+    // the next occurrence starts in the first status of its folder's workflow
+    const workflow = workflowOf(task.folder && await Folder.findById(task.folder).select('workflow'));
+
+    let next;
+    try {
+        next = await Task.create({
+            title: task.title,
+            dueDate,
+            ...statusFields(workflow, initialStatus(workflow)),
+            priority: task.priority,
+            folder: task.folder,
+            user: task.user,
+            autoComplete: task.autoComplete,
+            checklist: (task.checklist || []).map((item) => ({ title: item.title })),
+            recurrence: { ...recurrence, occurrence: occurrence + 1 },
+            series: task.series || task._id
+        });
+    } catch (err) {
+        await Task.updateOne({ _id: task._id }, { nextOccurrence: null });
+        throw err;
+    }
+
+    await Task.updateOne({ _id: task._id }, { nextOccurrence: next._id });
+    task.nextOccurrence = next._id;
+    if (next.folder) {
+        await Folder.updateOne({ _id: next.folder }, { $push: { tasks: next._id } });
+    }
+    await copyTaskReminders(task, next);
+    emitTaskEvent('task.created', next);
+
+    return next;
+};
+
+module.exports = { anchorRecurrence, createNextOccurrence };
@@ -0,0 +1,129 @@
+const Reminder = require('../models/reminder');
+const Task = require('../models/task');
+const { computeFireAt } = require('../utils/reminderTime');
+const { notify } = require('./notifier');
+
+const POLL_MS = parseInt(process.env.REMINDER_POLL_MS, 10) || 30 * 1000;
+const LOCK_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+// how long a reminder of a trashed task waits before it is looked at again
+const TRASHED_RETRY_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Claim one due reminder. The lock is taken atomically, so a reminder is only
+// delivered by one process; a crash mid-delivery frees it once the lock expires.
+const claimNext = (now) => Reminder.findOneAndUpdate(
+    {
+        status: 'pending',
+        fireAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { fireAt: 1 } }
+);
+
+const deliver = async (reminder) => {
+    const task = await Task.findById(reminder.task);
+
+    // the task is in the trash: keep the reminder in case it gets restored
+    if (!task && await Task.exists({ _id: reminder.task, deletedAt: { $ne: null } })) {
+        await Reminder.updateOne({ _id: reminder._id }, {
+            lockedUntil: new Date(Date.now() + TRASHED_RETRY_MS),
+            $inc: { attempts: -1 }
+        });
+        return;
+    }
+
+    // nothing to remind about anymore
+    if (!task || !task.dueDate || task.done) {
+        await Reminder.deleteOne({ _id: reminder._id });
+        return;
+    }
+
+    try {
+        await notify({
+            type: 'task.reminder',
+            message: `"${task.title}" is due ${task.dueDate.toISOString()}`,
+            user: reminder.user,
+            reminder: reminder._id,
+            task: { _id: task._id, title: task.title, dueDate: task.dueDate, folder: task.folder }
+        });
+        await Reminder.updateOne(
+            { _id: reminder._id },
+            { status: 'sent', sentAt: new Date(), lockedUntil: null, lastError: null }
+        );
+    } catch (err) {
+        // retry with exponential backoff (1, 2, 4, 8 minutes) then give up
+        const failed = reminder.attempts >= MAX_ATTEMPTS;
+        await Reminder.updateOne({ _id: reminder._id }, {
+            status: failed ? 'failed' : 'pending',
+            lockedUntil: failed ? null : new Date(Date.now() + 2 ** (reminder.attempts - 1) * 60 * 1000),
+            lastError: err.message
+        });
+    }
+};
+
+// Deliver every reminder that is due, in batches
+const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const reminder = await claimNext(new Date());
+            if (!reminder) break;
+            await deliver(reminder);
+        }
+    } catch (err) {
+        console.error('Reminder scheduler error:', err);
+    } finally {
+        running = false;
+    }
+};
+
+const startReminderScheduler = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_MS);
+    timer.unref();
+    tick();
+};
+
+const stopReminderScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+// Recompute pending reminders after the task's due date changed
+const rescheduleTaskReminders = async (task) => {
+    const reminders = await Reminder.find({ task: task._id, status: 'pending' });
+    await Promise.all(reminders.map((reminder) => {
+        reminder.fireAt = computeFireAt(reminder.rule, task.dueDate);
+        return reminder.save();
+    }));
+};
+
+// Give a new occurrence of a recurring task the same reminders as the previous one
+const copyTaskReminders = async (fromTask, toTask) => {
+    const reminders = await Reminder.find({ task: fromTask._id }).lean();
+    if (!reminders.length) return;
+    await Reminder.insertMany(reminders.map((reminder) => ({
+        task: toTask._id,
+        user: reminder.user,
+        rule: reminder.rule,
+        fireAt: computeFireAt(reminder.rule, toTask.dueDate)
+    })));
+};
+
+const deleteTaskReminders = (taskIds) =>
+    Reminder.deleteMany({ task: { $in: [].concat(taskIds) } });
+
+module.exports = {
+    startReminderScheduler,
+    stopReminderScheduler,
+    tick,
+    rescheduleTaskReminders,
+    copyTaskReminders,
+    deleteTaskReminders
+};
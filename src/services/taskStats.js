@@ -0,0 +1,162 @@
+const Task = require('../models/task');
+
+// Task statistics, computed by mongo aggregations over the tasks matching a
+// `$match` filter (ids in it must be ObjectIds, aggregations don't cast).
+// Completions are counted from `completedAt`, so a task that was reopened
+// only counts once it is done again. Days and weeks (starting on Monday) are
+// calendar days in the `tz` time zone, keyed by their first day: "2024-05-13".
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = (field) => ({ $eq: [{ $type: field }, 'date'] });
+
+const periodKey = (field, unit, tz) => ({
+    $dateToString: {
+        date: { $dateTrunc: { date: field, unit, timezone: tz, ...(unit === 'week' ? { startOfWeek: 'monday' } : {}) } },
+        format: '%Y-%m-%d',
+        timezone: tz
+    }
+});
+
+// "YYYY-MM-DD" of `date` in `tz`
+const dayOf = (date, tz) =>
+    new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// Calendar arithmetic on day keys
+const addDays = (day, n) => {
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+};
+const mondayOf = (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// The last `count` days (or weeks), oldest first, the current one included
+const periodKeys = (unit, count, tz) => {
+    const today = dayOf(new Date(), tz);
+    const last = unit === 'week' ? mondayOf(today) : today;
+    const step = unit === 'week' ? 7 : 1;
+    return Array.from({ length: count }, (_, i) => addDays(last, (i - count + 1) * step));
+};
+
+const isValidTimeZone = (tz) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// total, done, completion percentage, overdue (past due and not done) and the
+// average time from creation to completion, per `groupBy` (null for one group)
+const summaryGroup = (groupBy, now) => ({
+    $group: {
+        _id: groupBy,
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $eq: ['$done', true] }, 1, 0] } },
+        overdue: {
+            $sum: { $cond: [{ $and: [{ $ne: ['$done', true] }, isDate('$dueDate'), { $lt: ['$dueDate', now] }] }, 1, 0] }
+        },
+        completionMs: {
+            $avg: {
+                $cond: [
+                    { $and: [{ $eq: ['$done', true] }, isDate('$completedAt')] },
+                    { $subtract: ['$completedAt', '$createdAt'] },
+                    null
+                ]
+            }
+        }
+    }
+});
+
+const formatSummary = ({ total = 0, done = 0, overdue = 0, completionMs = null } = {}) => ({
+    total,
+    done,
+    percent: total ? Math.round((done / total) * 100) : 0,
+    overdue,
+    averageCompletionHours: completionMs === null ? null : Math.round(completionMs / 36e5 * 10) / 10
+});
+
+// Resolves to the summary of the tasks matching `match`
+const summarize = async (match) => {
+    const [group] = await Task.aggregate([{ $match: match }, summaryGroup(null, new Date())]);
+    return formatSummary(group);
+};
+
+// Resolves to a map folder id -> summary of its tasks
+const summarizeByFolder = async (match) => {
+    const groups = await Task.aggregate([{ $match: match }, summaryGroup('$folder', new Date())]);
+    return new Map(groups.map((group) => [String(group._id), formatSummary(group)]));
+};
+
+// Tasks completed in each of the last `count` days or weeks:
+// [{ period: "YYYY-MM-DD", count }], oldest first, empty periods included
+const completedPer = async (match, unit, count, tz) => {
+    const keys = periodKeys(unit, count, tz);
+    // a day of margin either way for the time zone, the keys trim it
+    const since = new Date(Date.now() - ((unit === 'week' ? 7 : 1) * count + 1) * DAY_MS);
+
+    const groups = await Task.aggregate([
+        { $match: { ...match, done: true, completedAt: { $gte: since } } },
+        { $group: { _id: periodKey('$completedAt', unit, tz), count: { $sum: 1 } } }
+    ]);
+    const countOf = new Map(groups.map((group) => [group._id, group.count]));
+    return keys.map((period) => ({ period, count: countOf.get(period) || 0 }));
+};
+
+// Open tasks at the end of each of the last `days` days, with what was created
+// and completed that day: [{ date, remaining, created, completed }]
+const burndown = async (match, days, tz) => {
+    const keys = periodKeys('day', days, tz);
+    const since = new Date(Date.now() - (days + 1) * DAY_MS);
+
+    const [facets] = await Task.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                created: [
+                    { $match: { createdAt: { $gte: since } } },
+                    { $group: { _id: periodKey('$createdAt', 'day', tz), count: { $sum: 1 } } }
+                ],
+                completed: [
+                    { $match: { done: true, completedAt: { $gte: since } } },
+                    { $group: { _id: periodKey('$completedAt', 'day', tz), count: { $sum: 1 } } }
+                ],
+                openBefore: [
+                    { $match: { createdAt: { $lt: since } } },
+                    {
+                        $group: {
+                            _id: null,
+                            count: { $sum: { $cond: [{ $and: [{ $eq: ['$done', true] }, { $lt: ['$completedAt', since] }] }, 0, 1] } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // whatever falls before the first day (the margin) counts as the starting point
+    let remaining = facets.openBefore.length ? facets.openBefore[0].count : 0;
+    const created = new Map();
+    const completed = new Map();
+    for (const [list, counts, sign] of [[facets.created, created, 1], [facets.completed, completed, -1]]) {
+        for (const { _id: day, count } of list) {
+            if (day < keys[0]) remaining += sign * count;
+            else counts.set(day, count);
+        }
+    }
+
+    return keys.map((date) => {
+        remaining += (created.get(date) || 0) - (completed.get(date) || 0);
+        return { date, remaining, created: created.get(date) || 0, completed: completed.get(date) || 0 };
+    });
+};
+
+module.exports = {
+    mondayOf,
+    periodKeys,
+    isValidTimeZone,
+    summarize,
+    summarizeByFolder,
+    completedPer,
+    burndown
+};
@@ -0,0 +1,102 @@
+const Task = require('../models/task');
+const Folder = require('../models/folder');
+const Comment = require('../models/comment');
+const { TRASH_RETENTION_DAYS } = require('../models/plugins/softDelete');
+const { deleteTaskReminders } = require('./reminderScheduler');
+const { deleteTaskAttachments } = require('./attachments');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+let timer = null;
+
+// Trash fields (see src/models/plugins/softDelete.js)
+const trashedBy = (userId, withFolder = null) => ({ deletedAt: new Date(), deletedBy: userId, deletedWith: withFolder });
+const RESTORED = { deletedAt: null, deletedBy: null, deletedWith: null };
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Move the tasks matching `filter` to the user's trash. Resolves to their ids.
+// Reminders and attachments are kept so a restored task still has them; they
+// go when the task is purged from the trash.
+const trashTasks = async (filter, userId) => {
+    const ids = await Task.find(filter).distinct('_id');
+    if (ids.length) await Task.updateMany({ _id: { $in: ids } }, trashedBy(userId));
+    return ids;
+};
+
+// Move a folder to the user's trash, along with its tasks and the given
+// subfolders (and theirs). They all come back when the folder is restored.
+// Resolves to the trashed tasks (_id and folder).
+const trashFolder = async (folder, subfolders, userId) => {
+    const subfolderIds = subfolders.map((f) => f._id);
+    const tasks = await Task.find({ folder: { $in: [folder._id, ...subfolderIds] } }).select('folder');
+    await Task.updateMany({ _id: { $in: tasks.map((t) => t._id) } }, trashedBy(userId, folder._id));
+    await Folder.updateMany({ _id: { $in: subfolderIds } }, trashedBy(userId, folder._id));
+    await Folder.updateOne({ _id: folder._id }, trashedBy(userId));
+    return tasks;
+};
+
+// Bring back a trashed folder with everything that was trashed along with it
+const restoreFolder = async (folder) => {
+    await Task.updateMany({ deletedWith: folder._id, ...IN_TRASH }, RESTORED);
+    await Folder.updateMany({ deletedWith: folder._id, ...IN_TRASH }, RESTORED);
+    folder.set(RESTORED);
+    await folder.save();
+};
+
+// Permanently delete trashed tasks, with their reminders, comments and attached files
+const purgeTasks = async (taskIds) => {
+    if (!taskIds.length) return;
+    await deleteTaskReminders(taskIds);
+    await deleteTaskAttachments(taskIds);
+    await Comment.deleteMany({ task: { $in: taskIds } });
+    await Task.deleteMany({ _id: { $in: taskIds }, ...IN_TRASH });
+};
+
+// Permanently delete a trashed folder and everything trashed along with it
+const purgeFolder = async (folder) => {
+    await purgeTasks(await Task.find({ deletedWith: folder._id, ...IN_TRASH }).distinct('_id'));
+    await Folder.deleteMany({ $or: [{ _id: folder._id }, { deletedWith: folder._id }], ...IN_TRASH });
+};
+
+// Purge what has been in the trash longer than the retention period, a batch
+// at a time. Folders first: they take along what was trashed with them.
+const purgeExpiredTrash = async () => {
+    try {
+        const expired = { deletedAt: { $lte: new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) } };
+
+        for (;;) {
+            const folders = await Folder.find({ ...expired, deletedWith: null }).limit(PURGE_BATCH_SIZE);
+            for (const folder of folders) await purgeFolder(folder);
+            if (folders.length < PURGE_BATCH_SIZE) break;
+        }
+
+        for (;;) {
+            const tasks = await Task.find(expired).select('_id').limit(PURGE_BATCH_SIZE).lean();
+            await purgeTasks(tasks.map((task) => task._id));
+            if (tasks.length < PURGE_BATCH_SIZE) break;
+        }
+    } catch (err) {
+        console.error('Trash purge error:', err);
+    }
+};
+
+const startTrashPurger = () => {
+    if (timer) return;
+    timer = setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+    timer.unref();
+    purgeExpiredTrash();
+};
+
+module.exports = {
+    IN_TRASH,
+    RESTORED,
+    trashedBy,
+    trashTasks,
+    trashFolder,
+    restoreFolder,
+    purgeTasks,
+    purgeFolder,
+    purgeExpiredTrash,
+    startTrashPurger
+};
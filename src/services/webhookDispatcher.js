@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { onEvent } = require('./events');
+const { checkPublicUrl, publicLookup } = require('../utils/safeUrl');
+
+const POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 15 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const LOCK_MS = 60 * 1000;
+const MAX_ATTEMPTS = 6;
+const BATCH_SIZE = 50;
+
+// connects only to the public addresses it checked (see publicLookup)
+const agent = new Agent({ connect: { lookup: publicLookup } });
+
+let timer = null;
+let running = false;
+let pendingTick = false;
+
+// "sha256=<hex>" of "<timestamp>.<body>"; receivers recompute it with their
+// secret and should reject old timestamps to block replays.
+const sign = (secret, timestamp, body) =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 30s, 1m, 2m, 4m, 8m between attempts
+const backoffMs = (attempts) => 30 * 1000 * 2 ** (attempts - 1);
+
+// What the delivery log keeps of a failure: network error text (addresses,
+// ports, resolver details) stays in the server log
+const deliveryError = (err) => {
+    if (err.expose) return err.message;
+    // fetch wraps connection errors, like a host resolving to a private address
+    if (err.cause && err.cause.expose) return err.cause.message;
+    if (err.name === 'TimeoutError') return `No response within ${TIMEOUT_MS / 1000}s`;
+    console.error('Webhook delivery error:', err);
+    return 'Could not connect';
+};
+
+const failure = (message) => Object.assign(new Error(message), { expose: true });
+
+const claimNext = (now) => WebhookDelivery.findOneAndUpdate(
+    {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+const send = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { status: 'failed', lockedUntil: null, lastError: 'Webhook deleted or disabled' }
+        );
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    try {
+        // checked again on every attempt: the host may resolve elsewhere by now,
+        // and the agent checks the addresses it actually connects to
+        const urlError = await checkPublicUrl(webhook.url);
+        if (urlError) throw failure(urlError);
+
+        const res = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'tasklist-webhooks/1.0',
+                'X-Webhook-Id': String(delivery._id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            dispatcher: agent,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        responseStatus = res.status;
+        if (!res.ok) throw failure(`Responded ${res.status}`);
+
+        await WebhookDelivery.updateOne({ _id: delivery._id }, {
+            status: 'success',
+            responseStatus,
+            lastError: null,
+            lockedUntil: null,
+            deliveredAt: new Date()
+        });
+    } catch (err) {
+        const failed = delivery.attempts >= MAX_ATTEMPTS;
+        await WebhookDelivery.updateOne({ _id: delivery._id }, {
+            status: failed ? 'failed' : 'pending',
+            responseStatus,
+            lastError: deliveryError(err),
+            lockedUntil: null,
+            nextAttemptAt: new Date(Date.now() + backoffMs(delivery.attempts))
+        });
+    }
+};
+
+const tick = async () => {
+    if (running) {
+        pendingTick = true;
+        return;
+    }
+    running = true;
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const delivery = await claimNext(new Date());
+            if (!delivery) break;
+            await send(delivery);
+        }
+    } catch (err) {
+        console.error('Webhook dispatcher error:', err);
+    } finally {
+        running = false;
+        if (pendingTick) {
+            pendingTick = false;
+            setImmediate(tick);
+        }
+    }
+};
+
+// Queue a delivery for every active subscription of the users allowed to see the event
+const enqueue = async (event, userIds) => {
+    try {
+        const webhooks = await Webhook.find({
+            user: { $in: userIds },
+            active: true,
+            events: { $in: [event.type, '*'] }
+        }).select('_id');
+        if (!webhooks.length) return;
+
+        await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+            webhook: webhook._id,
+            event: event.type,
+            payload: event
+        })));
+        tick();
+    } catch (err) {
+        console.error('Error queueing webhook deliveries:', err);
+    }
+};
+
+const startWebhookDispatcher = () => {
+    if (timer) return;
+    onEvent(enqueue);
+    timer = setInterval(tick, POLL_MS);
+    timer.unref();
+    tick();
+};
+
+module.exports = { startWebhookDispatcher, sign, tick };
@@ -0,0 +1,26 @@
+// Every error response has the same shape:
+//   { code, message, details, error }
+// `code` is a machine-readable constant (see CODES), `details` lists what is
+// wrong with each field ({ in, field, message }) and is empty for other errors,
+// `error` repeats the message for clients written before this format.
+
+const CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'TOO_MANY_REQUESTS'
+};
+
+const codeFor = (status) => CODES[status] || (status >= 500 ? 'SERVER_ERROR' : 'ERROR');
+
+const errorBody = (status, message, { code = codeFor(status), details = [] } = {}) =>
+    ({ code, message, details, error: message });
+
+const sendError = (res, status, message, options) => res.status(status).json(errorBody(status, message, options));
+
+module.exports = { CODES, codeFor, errorBody, sendError };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const Task = require('../models/task');
+
+// Conditional requests on versioned documents (see src/models/plugins/versioned.js):
+// GETs send an ETag and answer 304 to a matching If-None-Match, writes with an
+// If-Match that no longer matches get a 412 instead of overwriting someone
+// else's change.
+
+const versionTag = (doc) => `${doc._id}.${doc.version || 0}`;
+
+// ETag of one document
+const etagOf = (doc) => `"${versionTag(doc)}"`;
+
+// ETag of a representation made of several documents
+const etagOfAll = (docs) =>
+    `"${crypto.createHash('sha1').update(docs.map(versionTag).join(',')).digest('base64url')}"`;
+
+// A folder is returned with its tasks: the ETag changes with any of them.
+// `tasks` are the folder's tasks when already loaded (with their version).
+const folderEtag = async (folder, tasks = null) => {
+    const loaded = tasks || await Task.find({ _id: { $in: folder.tasks } }).select('version');
+    return etagOfAll([folder, ...[...loaded].sort((a, b) => String(a._id).localeCompare(String(b._id)))]);
+};
+
+// The ETags of an If-Match / If-None-Match header, without weak markers;
+// ['*'] for "*" and null when the header is absent
+const parseEtags = (header) => {
+    if (header === undefined) return null;
+    if (header.trim() === '*') return ['*'];
+    return (header.match(/(W\/)?"[^"]*"/g) || []).map((tag) => tag.replace(/^W\//, ''));
+};
+
+// true when the client's copy is current (send 304)
+const notModified = (req, etag) => {
+    const tags = parseEtags(req.get('If-None-Match'));
+    return !!tags && (tags.includes('*') || tags.includes(etag));
+};
+
+// true when the request has no If-Match, or one matching `etag`
+const matches = (req, etag) => {
+    const tags = parseEtags(req.get('If-Match'));
+    return !tags || tags.includes('*') || tags.includes(etag);
+};
+
+// matches() for a folder, whose ETag is only computed when there is an If-Match
+const folderMatches = async (req, folder) =>
+    req.get('If-Match') === undefined || matches(req, await folderEtag(folder));
+
+// Filter to add to the write of `doc` so it only applies to the version the
+// client saw: { version } when the request has an If-Match, {} otherwise.
+// Documents from before versioning have no version field.
+const versionFilter = (req, doc) => {
+    if (req.get('If-Match') === undefined) return {};
+    return { version: doc.version ? doc.version : { $in: [0, null] } };
+};
+
+// Same for doc.save(): with an If-Match, a change made since the document was
+// loaded makes the save throw (see isConflict)
+const guardSave = (req, doc) => {
+    if (req.get('If-Match') !== undefined) doc.$where = versionFilter(req, doc);
+};
+
+const isConflict = (err) => !!err && err.name === 'DocumentNotFoundError';
+
+// Answer a GET with `etag`: sends the 304 itself and returns true when the
+// client's copy is current
+const sendNotModified = (req, res, etag) => {
+    res.set('ETag', etag);
+    if (!notModified(req, etag)) return false;
+    res.status(304).end();
+    return true;
+};
+
+// { status, error } result for a failed If-Match, like the loaders' errors
+const conflictError = (what = 'resource') =>
+    ({ status: 412, error: `The ${what} was changed since you loaded it. Fetch it again and retry.` });
+
+const preconditionFailed = (res, what) => {
+    const { status, error } = conflictError(what);
+    return res.status(status).json({ error });
+};
+
+module.exports = {
+    etagOf,
+    etagOfAll,
+    folderEtag,
+    notModified,
+    matches,
+    folderMatches,
+    versionFilter,
+    guardSave,
+    isConflict,
+    conflictError,
+    sendNotModified,
+    preconditionFailed
+};
@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV: comma separated, double quotes around fields that need
+// them, "" for a quote inside a quoted field, CRLF or LF line ends.
+
+// Spreadsheets run cells starting with these as formulas; such cells are
+// written with a leading apostrophe, which parseCsv strips again.
+const FORMULA_RE = /^[=+\-@]/;
+
+const escapeCell = (value) => {
+    let cell = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_RE.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// rows: array of objects, written in the order of `columns` (with a header row)
+const toCsv = (rows, columns) =>
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((cells) => cells.map(escapeCell).join(','))
+        .join('\r\n') + '\r\n';
+
+// Parse CSV text into an array of rows (arrays of strings), skipping empty rows.
+// Returns { rows } or { error }.
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    const endCell = () => {
+        row.push(cell.startsWith("'") && FORMULA_RE.test(cell.slice(1)) ? cell.slice(1) : cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some((c) => c !== '')) rows.push(row);
+        row = [];
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            endCell();
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += ch;
+        }
+        i++;
+    }
+    if (quoted) return { error: 'Unterminated quoted field.' };
+    if (cell !== '' || row.length) endRow();
+
+    return { rows };
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,101 @@
+const Folder = require('../models/folder');
+const Task = require('../models/task');
+
+// Folder roles, from least to most privileged:
+//   viewer - read the folder and its tasks
+//   editor - + create, update and delete tasks, reset/clear progress
+//   owner  - + rename/delete the folder and manage its members
+// The folder's creator (`folder.user`) is always an owner.
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const rolesAtLeast = (minRole) => ROLES.slice(ROLES.indexOf(minRole));
+
+const hasRole = (role, minRole) => !!role && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+const roleOf = (folder, userId) => {
+    if (String(folder.user) === String(userId)) return 'owner';
+    const member = (folder.members || []).find((m) => String(m.user) === String(userId));
+    return member ? member.role : null;
+};
+
+// Mongo filter for folders the user holds at least `minRole` on
+const folderAccessFilter = (userId, minRole = 'viewer') => ({
+    $or: [
+        { user: userId },
+        { members: { $elemMatch: { user: userId, role: { $in: rolesAtLeast(minRole) } } } }
+    ]
+});
+
+// Mongo filter for every task the user can see: their own tasks without a
+// folder, plus all tasks in folders shared with them.
+const taskAccessFilter = async (userId) => {
+    const folderIds = await Folder.find(folderAccessFilter(userId)).distinct('_id');
+    return {
+        $or: [
+            { user: userId, folder: null },
+            { folder: { $in: folderIds } }
+        ]
+    };
+};
+
+// Load a folder and check the user's role on it.
+// Resolves to { folder, role } or { status, error } ready to be sent back.
+// Users without any role get a 404 so folder ids can't be probed.
+const loadFolder = async (folderId, userId, minRole = 'viewer') => {
+    const folder = await Folder.findById(folderId);
+    const role = folder && roleOf(folder, userId);
+    if (!role) return { status: 404, error: 'Folder not found' };
+    if (!hasRole(role, minRole)) return { status: 403, error: `Requires ${minRole} access to the folder` };
+    return { folder, role };
+};
+
+// Same as loadFolder for a task: tasks in a folder follow the folder's roles,
+// tasks without a folder belong to their creator only.
+const loadTask = async (taskId, userId, minRole = 'viewer', filter = {}) => {
+    const task = await Task.findOne({ _id: taskId, ...filter });
+    if (!task) return { status: 404, error: 'Task not found' };
+
+    if (!task.folder) {
+        if (String(task.user) !== String(userId)) return { status: 404, error: 'Task not found' };
+        return { task, role: 'owner' };
+    }
+
+    const access = await loadFolder(task.folder, userId, minRole);
+    if (access.status === 404) return { status: 404, error: 'Task not found' };
+    if (access.error) return access;
+    return { task, folder: access.folder, role: access.role };
+};
+
+// loadFolder() / loadTask() for a route's path parameter (an id, checked by
+// the route schema), sending the error response themselves: they resolve to
+// null once it is sent.
+const loadFolderFor = async (req, res, minRole = 'viewer', param = 'id') => {
+    const { folder, status, error } = await loadFolder(req.params[param], req.user.id, minRole);
+    if (error) {
+        res.status(status).json({ error });
+        return null;
+    }
+    return folder;
+};
+
+// Resolves to { task, folder, role } (folder is undefined for tasks without one)
+const loadTaskFor = async (req, res, minRole = 'viewer', param = 'taskId') => {
+    const { status, error, ...access } = await loadTask(req.params[param], req.user.id, minRole);
+    if (error) {
+        res.status(status).json({ error });
+        return null;
+    }
+    return access;
+};
+
+module.exports = {
+    ROLES,
+    hasRole,
+    roleOf,
+    folderAccessFilter,
+    taskAccessFilter,
+    loadFolder,
+    loadTask,
+    loadFolderFor,
+    loadTaskFor
+};
@@ -0,0 +1,106 @@
+const Folder = require('../models/folder');
+const { roleOf, hasRole } = require('./folderAccess');
+
+// What happens to the subfolders of a folder that is deleted or cleared:
+//   cascade  - delete / clear them as well
+//   reparent - (delete) move them up to the deleted folder's parent
+//   keep     - (clear) leave their tasks alone
+const CHILD_MODES = {
+    delete: ['cascade', 'reparent'],
+    clear: ['cascade', 'keep']
+};
+
+// Every folder below `folder`, at any depth
+const descendantsOf = (folder) => Folder.find({ ancestors: folder._id });
+
+// Check the user holds `minRole` on every folder. Resolves to { status, error } or null.
+const checkRoleOnAll = (folders, userId, minRole) => {
+    const denied = folders.some((folder) => !hasRole(roleOf(folder, userId), minRole));
+    return denied ? { status: 403, error: `Requires ${minRole} access to every subfolder` } : null;
+};
+
+// Fields for a new folder created inside `parent`. It starts out shared like
+// its parent, so everyone who could see the parent sees the new subfolder too,
+// and with the same workflow.
+const subfolderFields = (parent, userId) => {
+    if (!parent) return { parent: null, ancestors: [] };
+
+    const members = parent.members
+        .filter((m) => !m.user.equals(userId))
+        .map((m) => ({ user: m.user, role: m.role }));
+    if (!parent.user.equals(userId)) members.push({ user: parent.user, role: 'owner' });
+
+    const workflow = parent.workflow ? JSON.parse(JSON.stringify(parent.workflow)) : null;
+    return { parent: parent._id, ancestors: [...parent.ancestors, parent._id], members, workflow };
+};
+
+// Put `folder` under `parent` (null for the top level) and fix up the path of
+// everything below it. Resolves to { error } if that would create a cycle.
+const moveFolder = async (folder, parent) => {
+    if (parent && (parent._id.equals(folder._id) || parent.ancestors.some((id) => id.equals(folder._id)))) {
+        return { error: 'A folder cannot be moved into itself or one of its subfolders.' };
+    }
+
+    folder.parent = parent ? parent._id : null;
+    folder.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    await folder.save();
+
+    const path = [...folder.ancestors, folder._id];
+    const descendants = await Folder.find({ ancestors: folder._id }).select('ancestors');
+    if (descendants.length) {
+        await Folder.bulkWrite(descendants.map((d) => {
+            const below = d.ancestors.slice(d.ancestors.findIndex((id) => id.equals(folder._id)) + 1);
+            return { updateOne: { filter: { _id: d._id }, update: { ancestors: [...path, ...below] } } };
+        }));
+    }
+    return { folder };
+};
+
+// Move the direct subfolders of `folder` up to its parent before it goes away
+const reparentChildren = async (folder) => {
+    await Folder.updateMany({ parent: folder._id }, { parent: folder.parent });
+    await Folder.updateMany({ ancestors: folder._id }, { $pull: { ancestors: folder._id } });
+};
+
+// Nest the folders the user can see. Folders whose parent they can't see are
+// shown at the top level. `counts` maps folder id -> { total, completed }.
+const buildTree = (folders, counts, userId) => {
+    const nodes = new Map(folders.map((folder) => {
+        const count = counts.get(String(folder._id)) || { total: 0, completed: 0 };
+        return [String(folder._id), {
+            _id: folder._id,
+            name: folder.name,
+            parent: folder.parent,
+            role: roleOf(folder, userId),
+            taskCount: count.total,
+            completedCount: count.completed,
+            children: []
+        }];
+    }));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        (parent ? parent.children : roots).push(node);
+    }
+
+    // tasks of the folder and of everything below it
+    const finish = (node) => {
+        node.children.sort((a, b) => a.name.localeCompare(b.name));
+        node.totalTaskCount = node.taskCount + node.children.reduce((sum, child) => sum + finish(child), 0);
+        return node.totalTaskCount;
+    };
+    roots.sort((a, b) => a.name.localeCompare(b.name)).forEach(finish);
+
+    return roots;
+};
+
+module.exports = {
+    CHILD_MODES,
+    descendantsOf,
+    checkRoleOnAll,
+    subfolderFields,
+    moveFolder,
+    reparentChildren,
+    buildTree
+};
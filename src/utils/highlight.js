@@ -0,0 +1,32 @@
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (str) => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Split a search query into lowercase terms, dropping quotes and $text negations ("-word").
+const searchTerms = (q) => String(q)
+    .toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t && !t.startsWith('-'));
+
+// Wrap every word that starts with a search term in <mark>…</mark>.
+// Mongo's $text matches on stems, so a trailing "s"/"es" is dropped from each
+// term to also catch "report" when searching for "reports".
+const highlight = (text, terms) => {
+    const stems = terms
+        .map((t) => t.replace(/(es|s)$/, '') || t)
+        .map(escapeRegex);
+    if (!stems.length) return escapeHtml(text);
+
+    const re = new RegExp(`\\b((?:${stems.join('|')})\\w*)`, 'gi');
+    return text
+        .split(re)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+};
+
+module.exports = { searchTerms, highlight };
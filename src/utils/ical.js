@@ -0,0 +1,61 @@
+// Just enough iCalendar (RFC 5545) to publish tasks as a read-only feed.
+
+const PRODID = '-//tasklist//tasks//EN';
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (val) => String(val)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines are folded at 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch);
+        if (size + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// 20261231T090000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261231
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// A due date at exactly midnight UTC was given without a time: an all-day date
+const isAllDay = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+// "DUE;VALUE=DATE:20261231" or "DUE:20261231T090000Z"
+const dateProperty = (name, date) =>
+    (isAllDay(date) ? `${name};VALUE=DATE:${formatDate(date)}` : `${name}:${formatDateTime(date)}`);
+
+// components: [{ type: 'VEVENT' | 'VTODO', properties: ['UID:...', ...] }]
+const buildCalendar = ({ name, components }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    for (const { type, properties } of components) {
+        lines.push(`BEGIN:${type}`, ...properties, `END:${type}`);
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { escapeText, formatDateTime, dateProperty, buildCalendar };
@@ -0,0 +1,149 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 366;
+
+// "20261231" or "20261231T090000Z" -> Date
+const parseRRuleDate = (val) => {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(val);
+    if (!m) return null;
+    return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59)));
+};
+
+// Supported RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (plain days
+// only, e.g. MO,WE), BYMONTHDAY (a single day), UNTIL and COUNT.
+const fromRRule = (rrule) => {
+    const rule = {};
+    const parts = String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    for (const part of parts) {
+        const [key, value] = part.split('=');
+        if (!value) return { error: `Invalid RRULE part "${part}".` };
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                rule.frequency = value.toLowerCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = value;
+                break;
+            case 'BYDAY': {
+                const days = value.toUpperCase().split(',').map((d) => RRULE_DAYS.indexOf(d));
+                if (days.includes(-1)) return { error: 'Only plain weekdays (MO,TU,...) are supported in BYDAY.' };
+                rule.weekdays = days;
+                break;
+            }
+            case 'BYMONTHDAY':
+                rule.monthDay = value;
+                break;
+            case 'UNTIL': {
+                const until = parseRRuleDate(value);
+                if (!until) return { error: 'Invalid RRULE UNTIL date.' };
+                rule.until = until;
+                break;
+            }
+            case 'COUNT':
+                rule.count = value;
+                break;
+            default:
+                return { error: `Unsupported RRULE part "${key}".` };
+        }
+    }
+    return { rule };
+};
+
+// Validate a recurrence from a request body into what is stored on the task.
+// Accepts { frequency, interval, weekdays, monthDay, until, count } or { rrule }.
+// Resolves to { recurrence } or { error }.
+const parseRecurrence = (input) => {
+    if (!input || typeof input !== 'object') return { error: 'Recurrence must be an object.' };
+
+    let rule = input;
+    if (input.rrule !== undefined) {
+        const parsed = fromRRule(input.rrule);
+        if (parsed.error) return parsed;
+        rule = parsed.rule;
+    }
+
+    const recurrence = {};
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return { error: `Recurrence frequency must be one of ${FREQUENCIES.join(', ')}.` };
+    }
+    recurrence.frequency = rule.frequency;
+
+    recurrence.interval = rule.interval === undefined ? 1 : parseInt(rule.interval, 10);
+    if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > MAX_INTERVAL) {
+        return { error: `Recurrence interval must be between 1 and ${MAX_INTERVAL}.` };
+    }
+
+    if (rule.weekdays !== undefined) {
+        if (recurrence.frequency !== 'weekly') return { error: 'weekdays only apply to weekly recurrences.' };
+        const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays.map(Number) : [];
+        if (!weekdays.length || weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return { error: 'weekdays must be a list of days from 0 (Sunday) to 6 (Saturday).' };
+        }
+        recurrence.weekdays = [...new Set(weekdays)].sort();
+    }
+
+    if (rule.monthDay !== undefined) {
+        if (recurrence.frequency !== 'monthly') return { error: 'monthDay only applies to monthly recurrences.' };
+        const monthDay = parseInt(rule.monthDay, 10);
+        if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+            return { error: 'monthDay must be between 1 and 31.' };
+        }
+        recurrence.monthDay = monthDay;
+    }
+
+    if (rule.until !== undefined && rule.until !== null) {
+        const until = new Date(rule.until);
+        if (isNaN(until.getTime())) return { error: 'Invalid recurrence until date.' };
+        recurrence.until = until;
+    }
+
+    if (rule.count !== undefined && rule.count !== null) {
+        const count = parseInt(rule.count, 10);
+        if (!Number.isInteger(count) || count < 1) return { error: 'Recurrence count must be a positive integer.' };
+        recurrence.count = count;
+    }
+
+    return { recurrence };
+};
+
+const startOfUtcWeek = (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - d.getUTCDay());
+
+const daysInUtcMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Due date of the occurrence after the one due at `from`, keeping the time of day.
+// Months without `monthDay` (e.g. the 31st) fall back to their last day.
+// Returns null once the series is over (until / count reached).
+const nextDueDate = (recurrence, from, occurrence = 1) => {
+    if (recurrence.count && occurrence >= recurrence.count) return null;
+
+    const { frequency, interval = 1 } = recurrence;
+    let next;
+
+    if (frequency === 'daily') {
+        next = new Date(from.getTime() + interval * DAY_MS);
+    } else if (frequency === 'weekly') {
+        const weekdays = recurrence.weekdays && recurrence.weekdays.length ? recurrence.weekdays : [from.getUTCDay()];
+        const fromWeek = startOfUtcWeek(from);
+        for (let i = 1; i <= 7 * interval + 7; i++) {
+            const d = new Date(from.getTime() + i * DAY_MS);
+            const weeksApart = Math.round((startOfUtcWeek(d) - fromWeek) / (7 * DAY_MS));
+            if (weeksApart % interval === 0 && weekdays.includes(d.getUTCDay())) {
+                next = d;
+                break;
+            }
+        }
+    } else if (frequency === 'monthly') {
+        const monthIndex = from.getUTCMonth() + interval;
+        const year = from.getUTCFullYear() + Math.floor(monthIndex / 12);
+        const month = monthIndex % 12;
+        const day = Math.min(recurrence.monthDay || from.getUTCDate(), daysInUtcMonth(year, month));
+        next = new Date(Date.UTC(year, month, day, from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds()));
+    }
+
+    if (!next || (recurrence.until && next > recurrence.until)) return null;
+    return next;
+};
+
+module.exports = { FREQUENCIES, MAX_INTERVAL, parseRecurrence, nextDueDate };
@@ -0,0 +1,90 @@
+const MAX_BEFORE_MINUTES = 60 * 24 * 365;
+const MAX_DAYS_BEFORE = 365;
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Offset (ms) of `timeZone` from UTC at the given instant
+const tzOffset = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((p) => p.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// Validate a reminder rule from a request body:
+// { before: minutes } or { at: "HH:MM", daysBefore?, timeZone? }.
+// Resolves to { rule } or { error }.
+const parseReminderRule = (input) => {
+    if (!input || typeof input !== 'object') return { error: 'Reminder must be an object.' };
+
+    if (input.before !== undefined) {
+        if (input.at !== undefined) return { error: 'Use either before or at, not both.' };
+        const before = Number(input.before);
+        if (!Number.isInteger(before) || before < 0 || before > MAX_BEFORE_MINUTES) {
+            return { error: 'before must be a number of minutes (0 or more).' };
+        }
+        return { rule: { before } };
+    }
+
+    if (input.at !== undefined) {
+        const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(input.at));
+        if (!m) return { error: 'at must be a time of day like "09:00".' };
+
+        const daysBefore = input.daysBefore === undefined ? 0 : Number(input.daysBefore);
+        if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > MAX_DAYS_BEFORE) {
+            return { error: `daysBefore must be between 0 and ${MAX_DAYS_BEFORE}.` };
+        }
+
+        const timeZone = input.timeZone === undefined ? 'UTC' : String(input.timeZone);
+        if (!isValidTimeZone(timeZone)) return { error: 'Unknown timeZone.' };
+
+        return { rule: { at: String(input.at), daysBefore, timeZone } };
+    }
+
+    return { error: 'Reminder needs before (minutes) or at (time of day).' };
+};
+
+// Instant a reminder fires for a task due at `dueDate`, or null without a due date
+const computeFireAt = (rule, dueDate) => {
+    if (!dueDate) return null;
+    const due = new Date(dueDate);
+
+    if (rule.before !== undefined && rule.before !== null) {
+        return new Date(due.getTime() - rule.before * 60 * 1000);
+    }
+
+    // the due day as seen in the reminder's time zone
+    const timeZone = rule.timeZone || 'UTC';
+    const local = new Date(due.getTime() + tzOffset(due, timeZone));
+    const [hours, minutes] = rule.at.split(':').map(Number);
+    const wallClock = Date.UTC(
+        local.getUTCFullYear(),
+        local.getUTCMonth(),
+        local.getUTCDate() - (rule.daysBefore || 0),
+        hours,
+        minutes
+    );
+
+    // resolve the wall-clock time back to UTC, twice to settle DST changes in between
+    let fireAt = wallClock - tzOffset(due, timeZone);
+    fireAt = wallClock - tzOffset(new Date(fireAt), timeZone);
+    return new Date(fireAt);
+};
+
+module.exports = { MAX_BEFORE_MINUTES, MAX_DAYS_BEFORE, parseReminderRule, computeFireAt };
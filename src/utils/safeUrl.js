@@ -0,0 +1,71 @@
+const dns = require('dns');
+const net = require('net');
+
+// Outgoing requests to user-given urls (webhooks) must not reach the server's
+// own network: loopback, private ranges, link-local (cloud metadata at
+// 169.254.169.254), carrier-grade NAT, multicast and reserved addresses are
+// refused. WEBHOOK_ALLOW_PRIVATE=true lifts this for local development.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const PRIVATE_ADDRESS = 'The url must point to a public address.';
+
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it is
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (!family) return true;
+    return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Returns an error message, or null when `value` is an http(s) url whose host
+// only resolves to public addresses
+const checkPublicUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return 'A valid http(s) url is required.';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'A valid http(s) url is required.';
+    if (ALLOW_PRIVATE) return null;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (err) {
+        return `The host ${host} could not be resolved.`;
+    }
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+        return PRIVATE_ADDRESS;
+    }
+    return null;
+};
+
+// dns.lookup for the sockets of those requests (net.connect's `lookup`
+// option). checkPublicUrl alone isn't enough: the host could resolve to a
+// public address for the check and to a private one when connecting (DNS
+// rebinding). Here the addresses checked are the ones connected to. Hosts
+// that are IP addresses aren't looked up, checkPublicUrl covers them.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!ALLOW_PRIVATE && (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address)))) {
+            return callback(Object.assign(new Error(PRIVATE_ADDRESS), { expose: true }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { isPrivateAddress, checkPublicUrl, publicLookup };
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/tag');
+
+// Check that every id is one of the user's tags.
+// Resolves to { tags } (deduplicated ids) or { error }.
+const parseTagIds = async (tagIds, userId) => {
+    if (!Array.isArray(tagIds) || tagIds.some((t) => !mongoose.isValidObjectId(t))) {
+        return { error: 'tags must be an array of tag ids.' };
+    }
+    const tags = [...new Set(tagIds.map(String))];
+    const found = await Tag.countDocuments({ _id: { $in: tags }, user: userId });
+    return found === tags.length ? { tags } : { error: 'Unknown tag id(s).' };
+};
+
+module.exports = { parseTagIds };
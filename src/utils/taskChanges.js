@@ -0,0 +1,26 @@
+// Task fields whose changes are tracked (event payloads, activity log)
+const TRACKED_FIELDS = [
+    'title', 'dueDate', 'status', 'priority', 'folder', 'position',
+    'tags', 'autoComplete', 'checklist', 'recurrence'
+];
+
+// JSON-safe copy; tags are reduced to ids whether they are populated or not
+const plainValue = (field, value) => {
+    if (value == null) return null;
+    if (field === 'tags') return value.map((tag) => String(tag._id || tag));
+    return JSON.parse(JSON.stringify(value));
+};
+
+// Tracked fields of a task, taken before changing it
+const snapshotTask = (task) =>
+    Object.fromEntries(TRACKED_FIELDS.map((field) => [field, plainValue(field, task[field])]));
+
+// [{ field, from, to }] for every tracked field that differs from the snapshot
+const taskChanges = (before, task) => {
+    const after = snapshotTask(task);
+    return TRACKED_FIELDS
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map((field) => ({ field, from: before[field], to: after[field] }));
+};
+
+module.exports = { TRACKED_FIELDS, snapshotTask, taskChanges };
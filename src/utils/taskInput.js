@@ -0,0 +1,52 @@
+const { PRIORITIES } = require('./taskQuery');
+const { parseRecurrence } = require('./recurrence');
+const { DEFAULT_WORKFLOW, statusNames, initialStatus, statusFields } = require('./workflow');
+const { anchorRecurrence } = require('../services/recurringTasks');
+
+// Validate the fields of a new task as sent to POST /task (the folder and tags
+// are checked by the caller, against the database). `workflow` is the one of
+// the task's folder. Shared with imports so both accept exactly the same tasks.
+// Returns { fields } or { error }.
+const parseNewTask = ({ title, dueDate, status, priority, autoComplete, recurrence }, workflow = DEFAULT_WORKFLOW) => {
+    if (!title) return { error: "Title is required." };
+
+    if (status && !statusNames(workflow).includes(status)) {
+        return { error: `Invalid status value. Allowed: ${statusNames(workflow).join(', ')}.` };
+    }
+
+    if (priority !== undefined && !PRIORITIES.includes(priority)) {
+        return { error: "Invalid priority value." };
+    }
+
+    if (autoComplete !== undefined && typeof autoComplete !== "boolean") {
+        return { error: "autoComplete must be a boolean." };
+    }
+
+    let parsedDueDate = null;
+    if (dueDate) {
+        const d = new Date(dueDate);
+        if (isNaN(d.getTime())) return { error: "Invalid date format." };
+        parsedDueDate = d;
+    }
+
+    let parsedRecurrence = null;
+    if (recurrence !== undefined && recurrence !== null) {
+        if (!parsedDueDate) return { error: "A recurring task needs a due date." };
+        const parsed = parseRecurrence(recurrence);
+        if (parsed.error) return parsed;
+        parsedRecurrence = anchorRecurrence(parsed.recurrence, parsedDueDate);
+    }
+
+    return {
+        fields: {
+            title,
+            dueDate: parsedDueDate,
+            ...statusFields(workflow, status || initialStatus(workflow)),
+            priority: priority || "none",
+            autoComplete: autoComplete === true,
+            recurrence: parsedRecurrence
+        }
+    };
+};
+
+module.exports = { parseNewTask };
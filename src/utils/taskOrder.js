@@ -0,0 +1,23 @@
+// Manual task order. Each task has a fractional `position` within its list:
+// the folder it's in, or its creator's tasks without a folder.
+
+// gap between consecutive positions when appending or renumbering a list
+const POSITION_STEP = 1024;
+// below this gap two neighbours can't be told apart reliably anymore
+const MIN_GAP = 1e-6;
+
+// Mongo filter for the list a task is ordered in
+const taskList = (task) => (task.folder ? { folder: task.folder } : { user: task.user, folder: null });
+
+// Position halfway between two neighbours; a missing neighbour means the start
+// or end of the list. Returns null when the gap is too small and the list needs
+// renumbering first.
+const positionBetween = (prev, next) => {
+    if (prev == null && next == null) return POSITION_STEP;
+    if (prev == null) return next - POSITION_STEP;
+    if (next == null) return prev + POSITION_STEP;
+    if (next - prev < MIN_GAP) return null;
+    return (prev + next) / 2;
+};
+
+module.exports = { POSITION_STEP, taskList, positionBetween };
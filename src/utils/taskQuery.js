@@ -0,0 +1,142 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+const SORTABLE_FIELDS = ['position', 'createdAt', 'updatedAt', 'dueDate', 'title', 'status'];
+// task listings return tags with their name and color, and the number of comments
+const TAG_POPULATE = { path: 'tags', select: 'name color' };
+const LIST_POPULATE = [TAG_POPULATE, { path: 'commentCount' }];
+
+// ?page and ?limit, checked by the route schema (pageQuery in src/schemas/common.js)
+const parsePagination = (query = {}) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const listParam = (value) => String(value).split(',').map((s) => s.trim()).filter(Boolean);
+
+// Turn ?page, ?limit, ?status, ?done, ?priority, ?folder, ?tags, ?tagMode, ?dueFrom, ?dueTo,
+// ?overdue and ?sort, checked by the route schema (taskListQuery in src/schemas/common.js),
+// into a mongo filter + sort (manual order by default). Returns { error } for combinations
+// the schema can't rule out. `fixed` holds filter fields set by the route itself (e.g. the
+// folder in the path); asking to filter on one of them is an error rather than silently ignored.
+const parseTaskQuery = (query = {}, fixed = {}) => {
+    const filter = {};
+
+    const overridden = Object.keys(fixed).find((field) => query[field] !== undefined);
+    if (overridden) return { error: `${overridden} cannot be filtered on here.` };
+
+    // statuses are per folder (see utils/workflow), so any name is accepted;
+    // ?done filters on the done state whatever the workflow calls it
+    if (query.status !== undefined) {
+        const statuses = listParam(query.status);
+        filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    if (query.done !== undefined) filter.done = String(query.done) === 'true';
+
+    if (query.priority !== undefined) {
+        const priorities = listParam(query.priority);
+        filter.priority = priorities.length === 1 ? priorities[0] : { $in: priorities };
+    }
+
+    if (query.folder !== undefined) {
+        const folder = String(query.folder).trim();
+        filter.folder = folder === 'none' ? null : folder;
+    }
+
+    // ?tags=id1,id2 with ?tagMode=any (default) or all
+    if (query.tags !== undefined) {
+        const tags = listParam(query.tags);
+        filter.tags = query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+    }
+
+    const dueDate = {};
+    if (query.dueFrom !== undefined) dueDate.$gte = new Date(query.dueFrom);
+    if (query.dueTo !== undefined) dueDate.$lte = new Date(query.dueTo);
+
+    // overdue = past due and not done yet
+    if (String(query.overdue) === 'true') {
+        dueDate.$lt = new Date();
+        if (filter.done === true) return { error: 'overdue cannot be combined with done=true.' };
+        filter.done = false;
+    }
+    if (Object.keys(dueDate).length) filter.dueDate = dueDate;
+
+    // ?sort=dueDate,-title  (leading "-" = descending)
+    const sort = {};
+    for (const raw of listParam(query.sort || 'position')) {
+        const desc = raw.startsWith('-');
+        sort[desc ? raw.slice(1) : raw] = desc ? -1 : 1;
+    }
+    // _id as tie-breaker keeps page boundaries stable (and tasks from before
+    // manual ordering, which share a position, in creation order)
+    if (sort._id === undefined) sort._id = sort.createdAt || sort.position || -1;
+
+    return {
+        filter: { ...filter, ...fixed },
+        sort,
+        ...parsePagination(query)
+    };
+};
+
+// Run a paginated find and count in parallel.
+const findPage = async (Model, { filter, sort, page, limit, skip }, { populate } = {}) => {
+    const find = Model.find(filter).sort(sort).skip(skip).limit(limit);
+    if (populate) find.populate(populate);
+
+    const [items, total] = await Promise.all([
+        find,
+        Model.countDocuments(filter)
+    ]);
+
+    return {
+        items,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Listings that answer a bare array give their paging info in headers:
+// X-Total-Count, X-Page, X-Limit, X-Total-Pages and a Link to the first,
+// previous, next and last pages
+const PAGE_HEADERS = ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages', 'Link'];
+
+const setPageHeaders = (req, res, { page, limit, total, totalPages }) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    const link = (rel, to) => {
+        url.searchParams.set('page', String(to));
+        return `<${url}>; rel="${rel}"`;
+    };
+    const last = Math.max(totalPages, 1);
+    const links = [link('first', 1)];
+    if (page > 1) links.push(link('prev', Math.min(page - 1, last)));
+    if (page < last) links.push(link('next', page + 1));
+    links.push(link('last', last));
+
+    res.set({
+        'X-Total-Count': String(total),
+        'X-Page': String(page),
+        'X-Limit': String(limit),
+        'X-Total-Pages': String(totalPages),
+        Link: links.join(', ')
+    });
+};
+
+module.exports = {
+    parseTaskQuery,
+    parsePagination,
+    findPage,
+    setPageHeaders,
+    PAGE_HEADERS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PRIORITIES,
+    SORTABLE_FIELDS,
+    TAG_POPULATE,
+    LIST_POPULATE
+};
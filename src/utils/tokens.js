@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without indexing the hash, and a replayed (already rotated) secret can be detected.
+const parseRefreshToken = (token) => {
+    if (typeof token !== 'string') return null;
+    const [sessionId, secret] = token.split('.');
+    if (!sessionId || !secret) return null;
+    return { sessionId, secret };
+};
+
+const signAccessToken = (userId, sessionId) =>
+    jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// A new refresh secret: the session fields storing it, and the tokens to hand out once stored
+const newRefreshSecret = () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return {
+        fields: {
+            refreshTokenHash: hashToken(secret),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+        },
+        tokensFor: (session) => ({
+            token: signAccessToken(session.user, session._id),
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: ACCESS_TOKEN_TTL
+        })
+    };
+};
+
+// Generate a new refresh secret for the session, store its hash and return both tokens.
+const issueTokens = async (session) => {
+    const { fields, tokensFor } = newRefreshSecret();
+    session.set(fields);
+    await session.save();
+    return tokensFor(session);
+};
+
+// Swap a live session's refresh secret for a new one. The write only matches
+// the secret presented, so of two requests presenting the same token only one
+// wins. Resolves to the new tokens, or null when nothing matched.
+const rotateTokens = async (sessionId, presentedSecret) => {
+    const { fields, tokensFor } = newRefreshSecret();
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hashToken(presentedSecret), revokedAt: null, expiresAt: { $gt: new Date() } },
+        fields,
+        { new: true }
+    );
+    return session && tokensFor(session);
+};
+
+const createSession = async (userId, req) => {
+    const session = new Session({
+        user: userId,
+        refreshTokenHash: 'pending',
+        expiresAt: new Date(),
+        userAgent: req.headers['user-agent'],
+        ip: req.ip
+    });
+    return issueTokens(session);
+};
+
+const revokeAllSessions = (userId) =>
+    Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+module.exports = {
+    hashToken,
+    parseRefreshToken,
+    issueTokens,
+    rotateTokens,
+    createSession,
+    revokeAllSessions
+};
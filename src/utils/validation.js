@@ -0,0 +1,163 @@
+const { sendError } = require('./apiError');
+
+// Declarative request validation. A route schema is { params, query, body },
+// each an OpenAPI object schema (see src/schemas). validate() checks requests
+// against it before the controller runs, and openApiOf() turns the same schema
+// into the route's Swagger parameters and request body, so the docs describe
+// exactly what is enforced.
+// Supported keywords: type (string, integer, number, boolean, object, array),
+// nullable, enum, minLength, maxLength, pattern, format (objectid, date-time,
+// email), minimum, maximum, items, minItems, maxItems, properties, required,
+// minProperties, default (filled in when the value is missing) and
+// description. Body properties missing from `properties` are dropped; objects
+// without `properties` are kept as they are.
+
+const TYPES = {
+    string: { is: (v) => typeof v === 'string', name: 'a string' },
+    integer: { is: Number.isInteger, name: 'an integer' },
+    number: { is: (v) => typeof v === 'number' && Number.isFinite(v), name: 'a number' },
+    boolean: { is: (v) => typeof v === 'boolean', name: 'a boolean' },
+    object: { is: (v) => !!v && typeof v === 'object' && !Array.isArray(v), name: 'an object' },
+    array: { is: Array.isArray, name: 'an array' }
+};
+
+const FORMATS = {
+    objectid: { is: (v) => /^[0-9a-f]{24}$/i.test(v), name: 'an id' },
+    'date-time': { is: (v) => !isNaN(new Date(v).getTime()), name: 'a date' },
+    email: { is: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), name: 'an email address' }
+};
+
+// Path and query values are strings: read the numbers and booleans in them
+const coerce = (type, value) => {
+    if (typeof value !== 'string') return value;
+    if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+    if (type === 'number' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+const fieldName = (parent, name) => (parent ? `${parent}.${name}` : name);
+
+// The checked value; problems are pushed to `errors` as { field, message }
+const checkValue = (schema, input, field, errors, fromString) => {
+    if (input === null) {
+        if (!schema.nullable) errors.push({ field, message: 'must not be null' });
+        return null;
+    }
+
+    const value = fromString ? coerce(schema.type, input) : input;
+    const fail = (message) => {
+        errors.push({ field, message });
+        return value;
+    };
+
+    const type = TYPES[schema.type];
+    if (type && !type.is(value)) return fail(`must be ${type.name}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+
+    if (typeof value === 'string') {
+        const format = FORMATS[schema.format];
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail('has an invalid format');
+        if (format && !format.is(value)) return fail(`must be ${format.name}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} item(s)`);
+        return schema.items
+            ? value.map((item, i) => checkValue(schema.items, item, `${field}[${i}]`, errors, false))
+            : value;
+    }
+
+    if (schema.type === 'object' && schema.properties) return checkObject(schema, value, field, errors, fromString);
+    return value;
+};
+
+const checkObject = (schema, input, parent, errors, fromString) => {
+    const out = {};
+    for (const name of schema.required || []) {
+        if (input[name] === undefined) errors.push({ field: fieldName(parent, name), message: 'is required' });
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+        if (input[name] === undefined) {
+            if (property.default !== undefined) out[name] = property.default;
+            continue;
+        }
+        out[name] = checkValue(property, input[name], fieldName(parent, name), errors, fromString);
+    }
+    if (schema.minProperties !== undefined && Object.keys(out).length < schema.minProperties) {
+        errors.push({ field: parent, message: `must have at least one of ${Object.keys(schema.properties).join(', ')}` });
+    }
+    return out;
+};
+
+const SOURCES = ['params', 'query', 'body'];
+
+// Middleware checking the request against a route schema. On success the
+// checked values replace the raw ones (path and query values converted to
+// their type, defaults filled in, unknown body fields dropped); otherwise answers 400 with code
+// VALIDATION_ERROR and one detail per problem.
+const validate = (schema) => (req, res, next) => {
+    const details = [];
+    const checked = {};
+
+    for (const source of SOURCES) {
+        if (!schema[source]) continue;
+        const input = req[source] === undefined ? {} : req[source];
+        if (!TYPES.object.is(input)) {
+            details.push({ in: source, field: '', message: 'must be a JSON object' });
+            continue;
+        }
+        const errors = [];
+        checked[source] = checkObject(schema[source], input, '', errors, source !== 'body');
+        details.push(...errors.map((error) => ({ in: source, ...error })));
+    }
+
+    if (details.length) {
+        const message = details.map(({ in: source, field, message }) => `${field || source} ${message}`).join('; ');
+        return sendError(res, 400, message, { code: 'VALIDATION_ERROR', details });
+    }
+
+    if (checked.params) Object.assign(req.params, checked.params);
+    // req.query is a getter in Express 5; parameters the schema doesn't
+    // describe (e.g. the listing filters of src/utils/taskQuery.js) are kept
+    if (checked.query) Object.defineProperty(req, 'query', { value: { ...req.query, ...checked.query }, writable: true });
+    if (checked.body) req.body = checked.body;
+    next();
+};
+
+const parametersOf = (schema, where) => Object.entries(schema.properties).map(([name, { description, ...property }]) => ({
+    name,
+    in: where,
+    required: where === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: property
+}));
+
+// Swagger `parameters` (followed by `extra` ones, e.g. header refs) and
+// `requestBody` of a route schema, to spread into a path operation
+const openApiOf = (schema, extra = []) => ({
+    parameters: [
+        ...(schema.params ? parametersOf(schema.params, 'path') : []),
+        ...(schema.query ? parametersOf(schema.query, 'query') : []),
+        ...extra
+    ],
+    ...(schema.body && {
+        requestBody: {
+            // a body without required fields may be left out
+            required: !!(schema.body.required || schema.body.minProperties),
+            content: { 'application/json': { schema: schema.body } }
+        }
+    })
+});
+
+module.exports = { validate, openApiOf };
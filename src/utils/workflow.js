@@ -0,0 +1,110 @@
+// Task statuses are defined per folder: an ordered list of statuses (the board
+// columns), exactly one of them the "done" state, and optionally the allowed
+// transitions between them (any change is allowed when none are listed).
+// Tasks without a folder, and folders that never set one, use DEFAULT_WORKFLOW.
+// Tasks store whether their status is the done state in `done`, so queries
+// (overdue, progress, stats) don't need to know each folder's workflow.
+
+const DEFAULT_WORKFLOW = Object.freeze({
+    statuses: [
+        { name: 'Pending', done: false },
+        { name: 'Working', done: false },
+        { name: 'Completed', done: true }
+    ],
+    transitions: []
+});
+
+const MAX_STATUSES = 20;
+const MAX_NAME_LENGTH = 40;
+
+const workflowOf = (folder) =>
+    (folder && folder.workflow && folder.workflow.statuses && folder.workflow.statuses.length
+        ? folder.workflow
+        : DEFAULT_WORKFLOW);
+
+const statusNames = (workflow) => workflow.statuses.map((s) => s.name);
+
+const initialStatus = (workflow) => workflow.statuses[0].name;
+
+const doneStatus = (workflow) => workflow.statuses.find((s) => s.done).name;
+
+const isDoneStatus = (workflow, status) => workflow.statuses.some((s) => s.done && s.name === status);
+
+// Fields to set on a task to give it `status`. Given the task as it is now, a
+// task that stays done keeps the time it was completed.
+const statusFields = (workflow, status, task = null) => {
+    const done = isDoneStatus(workflow, status);
+    const completedAt = task && task.done ? task.completedAt : null;
+    return { status, done, completedAt: done ? completedAt || new Date() : null };
+};
+
+// Returns an error message, or null when a task may go from `from` to `to`
+const checkTransition = (workflow, from, to) => {
+    const names = statusNames(workflow);
+    if (!names.includes(to)) return `Invalid status. Allowed: ${names.join(', ')}.`;
+    if (from === to || !workflow.transitions || !workflow.transitions.length) return null;
+    // a task whose status isn't part of the workflow may go anywhere
+    if (!names.includes(from)) return null;
+    if (workflow.transitions.some((t) => t.from === from && t.to === to)) return null;
+    return `A task can't go from "${from}" to "${to}".`;
+};
+
+// Status for a task that moves to a folder with another workflow: kept when the
+// workflow has it, otherwise the done state for a done task, or the first status.
+const mapStatus = (workflow, status, done) => {
+    if (statusNames(workflow).includes(status)) return status;
+    return done ? doneStatus(workflow) : initialStatus(workflow);
+};
+
+// Validate a workflow from a request body:
+//   { statuses: [{ name, done }], transitions: [{ from, to }] }
+// Returns { workflow } or { error }.
+const parseWorkflow = (input) => {
+    if (!input || typeof input !== 'object') return { error: 'Workflow must be an object.' };
+
+    const { statuses, transitions = [] } = input;
+    if (!Array.isArray(statuses) || !statuses.length || statuses.length > MAX_STATUSES) {
+        return { error: `statuses must be a list of 1 to ${MAX_STATUSES} statuses.` };
+    }
+
+    const parsed = [];
+    for (const status of statuses) {
+        const name = status && typeof status.name === 'string' ? status.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `Each status needs a name of at most ${MAX_NAME_LENGTH} characters.` };
+        }
+        if (parsed.some((s) => s.name === name)) return { error: `Duplicate status "${name}".` };
+        if (status.done !== undefined && typeof status.done !== 'boolean') return { error: 'done must be a boolean.' };
+        parsed.push({ name, done: status.done === true });
+    }
+    if (parsed.filter((s) => s.done).length !== 1) return { error: 'Exactly one status must be the done state.' };
+
+    if (!Array.isArray(transitions)) return { error: 'transitions must be a list of { from, to }.' };
+    const names = parsed.map((s) => s.name);
+    const parsedTransitions = [];
+    for (const transition of transitions) {
+        const from = transition && typeof transition.from === 'string' ? transition.from.trim() : '';
+        const to = transition && typeof transition.to === 'string' ? transition.to.trim() : '';
+        if (!names.includes(from) || !names.includes(to) || from === to) {
+            return { error: 'Each transition must go from one status of the workflow to another.' };
+        }
+        if (!parsedTransitions.some((t) => t.from === from && t.to === to)) parsedTransitions.push({ from, to });
+    }
+
+    return { workflow: { statuses: parsed, transitions: parsedTransitions } };
+};
+
+module.exports = {
+    DEFAULT_WORKFLOW,
+    MAX_STATUSES,
+    MAX_NAME_LENGTH,
+    workflowOf,
+    statusNames,
+    initialStatus,
+    doneStatus,
+    isDoneStatus,
+    statusFields,
+    checkTransition,
+    mapStatus,
+    parseWorkflow
+};
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const { ROLES, hasRole, roleOf, folderAccessFilter } = require('../src/utils/folderAccess');
+
+const api = useApi('access');
+
+test('roles rank viewer < editor < owner, the creator being an owner', () => {
+    const folder = { user: 'creator', members: [{ user: 'ed', role: 'editor' }, { user: 'vi', role: 'viewer' }] };
+    assert.equal(roleOf(folder, 'creator'), 'owner');
+    assert.equal(roleOf(folder, 'ed'), 'editor');
+    assert.equal(roleOf(folder, 'stranger'), null);
+    assert.equal(hasRole('editor', 'viewer'), true);
+    assert.equal(hasRole('viewer', 'editor'), false);
+    assert.equal(hasRole(null, 'viewer'), false);
+    assert.deepEqual(ROLES, ['viewer', 'editor', 'owner']);
+});
+
+test('folderAccessFilter matches the creator and members with enough rights', () => {
+    assert.deepEqual(folderAccessFilter('u', 'editor'), {
+        $or: [{ user: 'u' }, { members: { $elemMatch: { user: 'u', role: { $in: ['editor', 'owner'] } } } }]
+    });
+});
+
+// A folder of `owner` shared with an editor and a viewer, holding one task
+const sharedFolder = async (prefix) => {
+    const [owner, editor, viewer, stranger] = await Promise.all(
+        ['owner', 'editor', 'viewer', 'stranger'].map((name) => api.signUp(`${prefix}-${name}`))
+    );
+    const folder = (await owner.post('/task', { type: 'folder', title: 'Shared' })).body.data;
+    assert.equal((await owner.post(`/folders/${folder._id}/members`, { username: editor.username, role: 'editor' })).status, 201);
+    assert.equal((await owner.post(`/folders/${folder._id}/members`, { username: viewer.username, role: 'viewer' })).status, 201);
+    const task = (await owner.post('/task', { type: 'task', title: 'Shared task', folder: folder._id })).body.data;
+    return { owner, editor, viewer, stranger, folder, task };
+};
+
+test('members see a shared folder and its tasks, strangers don\'t know it exists', needsDb, async () => {
+    const { viewer, stranger, folder, task } = await sharedFolder('see');
+
+    assert.equal((await viewer.get(`/folders/${folder._id}`)).status, 200);
+    assert.deepEqual((await viewer.get(`/task/folder/${folder._id}`)).body.map((t) => t._id), [task._id]);
+    assert.equal((await viewer.get(`/task/${task._id}`)).status, 200);
+
+    assert.equal((await stranger.get(`/folders/${folder._id}`)).status, 404);
+    assert.equal((await stranger.get(`/task/${task._id}`)).status, 404);
+    assert.equal((await stranger.patch(`/task/${task._id}`, { title: 'Mine now' })).status, 404);
+});
+
+test('viewers can\'t change anything, editors can change tasks but not members', needsDb, async () => {
+    const { editor, viewer, folder, task } = await sharedFolder('edit');
+
+    assert.equal((await viewer.patch(`/task/${task._id}`, { title: 'Viewer edit' })).status, 403);
+    assert.equal((await viewer.post('/task', { type: 'task', title: 'Viewer task', folder: folder._id })).status, 403);
+
+    assert.equal((await editor.patch(`/task/${task._id}`, { title: 'Editor edit' })).status, 200);
+    assert.equal((await editor.post('/task', { type: 'task', title: 'Editor task', folder: folder._id })).status, 201);
+    const invite = await editor.post(`/folders/${folder._id}/members`, { username: viewer.username, role: 'owner' });
+    assert.equal(invite.status, 403);
+});
+
+test('owners change and remove members, members can leave', needsDb, async () => {
+    const { owner, editor, viewer, folder, task } = await sharedFolder('members');
+
+    assert.equal((await owner.post(`/folders/${folder._id}/members`, { username: viewer.username, role: 'editor' })).status, 200);
+    assert.equal((await viewer.patch(`/task/${task._id}`, { title: 'Promoted' })).status, 200);
+
+    assert.equal((await owner.delete(`/folders/${folder._id}/members/${viewer.id}`)).status, 200);
+    assert.equal((await viewer.get(`/folders/${folder._id}`)).status, 404);
+
+    assert.equal((await editor.delete(`/folders/${folder._id}/members/${editor.id}`)).status, 200);
+    assert.equal((await editor.get(`/task/${task._id}`)).status, 404);
+
+    // the creator stays an owner whatever happens
+    assert.equal((await owner.delete(`/folders/${folder._id}/members/${owner.id}`)).status, 400);
+});
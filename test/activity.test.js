@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi, eventually } = require('./helpers/api');
+const { startActivityLog } = require('../src/services/activityLog');
+
+const api = useApi('activity');
+
+// only started by index.js when it runs the server
+before(() => startActivityLog());
+
+// Resolves to the entries of an activity feed once it has `count` of them
+const feed = async (user, path, count) => {
+    let activity = [];
+    await eventually(async () => {
+        activity = (await user.get(path)).body.activity;
+        return activity.length >= count;
+    });
+    return activity;
+};
+
+test('a task keeps the history of its changes, newest first', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const first = (await alice.post('/task', { type: 'task', title: 'first' })).body.data;
+    const task = (await alice.post('/task', { type: 'task', title: 'draft' })).body.data;
+
+    await alice.patch(`/task/${task._id}`, { title: 'final' });
+    // nothing changed, nothing recorded
+    await alice.patch(`/task/${task._id}`, { title: 'final' });
+    await alice.patch(`/task/${task._id}`, { status: 'Working' });
+    await alice.patch(`/task/${task._id}/position`, { before: first._id });
+
+    const activity = await feed(alice, `/task/${task._id}/activity`, 4);
+    assert.deepEqual(activity.map((entry) => entry.action), ['moved', 'status_changed', 'updated', 'created']);
+    assert.deepEqual(activity[2].changes, [{ field: 'title', from: 'draft', to: 'final' }]);
+    assert.equal(activity[0].actor.username, 'alice');
+});
+
+test('a folder feed covers its tasks, deleted ones included', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const folder = (await bob.post('/folders', { name: 'Chores' })).body;
+    await bob.post(`/folders/${folder._id}/members`, { username: 'carol', role: 'editor' });
+
+    const task = (await bob.post('/task', { type: 'task', title: 'dishes', folder: folder._id })).body.data;
+    await carol.patch(`/task/${task._id}`, { status: 'Working' });
+    await bob.delete(`/task/${task._id}`);
+
+    const activity = await feed(carol, `/folders/${folder._id}/activity`, 3);
+    assert.deepEqual(activity.map((entry) => [entry.action, entry.title]),
+        [['deleted', 'dishes'], ['status_changed', 'dishes'], ['created', 'dishes']]);
+
+    const byCarol = (await bob.get(`/folders/${folder._id}/activity?actor=${carol.id}`)).body.activity;
+    assert.deepEqual(byCarol.map((entry) => entry.action), ['status_changed']);
+});
+
+test('bulk folder changes are recorded for each task', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const folder = (await dave.post('/folders', { name: 'Sprint' })).body;
+    for (const title of ['one', 'two']) {
+        const task = (await dave.post('/task', { type: 'task', title, folder: folder._id })).body.data;
+        await dave.patch(`/task/${task._id}`, { status: 'Working' });
+    }
+    await feed(dave, `/folders/${folder._id}/activity`, 4);
+
+    assert.equal((await dave.patch(`/folders/${folder._id}/progress/reset`)).status, 200);
+    const activity = await feed(dave, `/folders/${folder._id}/activity`, 6);
+    const resets = activity.slice(0, 2);
+    assert.deepEqual(resets.map((entry) => entry.action), ['status_changed', 'status_changed']);
+    assert.deepEqual(resets.map((entry) => entry.title).sort(), ['one', 'two']);
+    assert.deepEqual(resets[0].changes.find((change) => change.field === 'status'),
+        { field: 'status', from: 'Working', to: 'Pending' });
+});
+
+test('activity is only shown to who can see the task or folder', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const frank = await api.signUp('frank');
+    const folder = (await erin.post('/folders', { name: 'Private' })).body;
+    const task = (await erin.post('/task', { type: 'task', title: 'secret', folder: folder._id })).body.data;
+
+    assert.equal((await frank.get(`/task/${task._id}/activity`)).status, 404);
+    assert.equal((await frank.get(`/folders/${folder._id}/activity`)).status, 404);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { needsDb, useApi } = require('./helpers/api');
+
+// read when the upload middleware loads
+process.env.ATTACHMENT_MAX_BYTES = '1024';
+
+const { setStorage, localStorage } = require('../src/services/fileStorage');
+const { cleanFilename } = require('../src/services/attachments');
+
+const api = useApi('attachments');
+
+// uploaded files go to a directory of this test run
+let dir;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-attachments-'));
+    setStorage(localStorage(dir));
+});
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    setStorage(null);
+});
+
+// The helper sends JSON; files go up as the raw request body
+const upload = async (user, task, data, type = 'text/plain', filename = 'notes.txt') => {
+    const res = await fetch(`${api.url}/api/v1/task/${task._id}/attachments?filename=${encodeURIComponent(filename)}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${user.token}`, 'Content-Type': type },
+        body: data
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+const storedFiles = (task) => {
+    const taskDir = path.join(dir, String(task._id));
+    return fs.existsSync(taskDir) ? fs.readdirSync(taskDir).length : 0;
+};
+
+test('file names keep their base name only', () => {
+    assert.equal(cleanFilename('../../etc/passwd'), 'passwd');
+    assert.equal(cleanFilename('C:\\Users\\me\\report.pdf'), 'report.pdf');
+    assert.equal(cleanFilename('say "hi"\n.txt'), 'say hi.txt');
+    assert.equal(cleanFilename(''), 'attachment');
+});
+
+test('a file is uploaded, listed and downloaded as it was sent', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const task = (await alice.post('/task', { type: 'task', title: 'Taxes' })).body.data;
+
+    const { status, body } = await upload(alice, task, 'line one\nline two', 'text/plain; charset=utf-8', 'reçu.txt');
+    assert.equal(status, 201);
+    assert.deepEqual([body.data.filename, body.data.mimeType, body.data.size], ['reçu.txt', 'text/plain', 17]);
+    assert.equal(body.data.user.username, 'alice');
+
+    const listed = (await alice.get(`/task/${task._id}/attachments`)).body;
+    assert.deepEqual(listed.map((a) => a._id), [body.data._id]);
+
+    const download = await alice.get(`/task/${task._id}/attachments/${body.data._id}`);
+    assert.equal(download.body, 'line one\nline two');
+    assert.match(download.headers.get('content-type'), /^text\/plain/);
+    assert.match(download.headers.get('content-disposition'), /^attachment; filename="re_u.txt"; filename\*=UTF-8''re%C3%A7u.txt$/);
+    assert.equal(download.headers.get('x-content-type-options'), 'nosniff');
+});
+
+test('uploads are refused when empty, too large or of another type', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const task = (await bob.post('/task', { type: 'task', title: 'Scan' })).body.data;
+
+    assert.equal((await upload(bob, task, '')).status, 400);
+    assert.equal((await upload(bob, task, 'x'.repeat(1025))).status, 413);
+    assert.equal((await upload(bob, task, '<html>', 'text/html')).status, 415);
+    assert.equal(storedFiles(task), 0);
+});
+
+test('viewers download, editors upload and delete', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const dave = await api.signUp('dave');
+    const stranger = await api.signUp('stranger');
+    const folder = (await carol.post('/folders', { name: 'Shared' })).body;
+    await carol.post(`/folders/${folder._id}/members`, { username: 'dave', role: 'viewer' });
+    const task = (await carol.post('/task', { type: 'task', title: 'Plans', folder: folder._id })).body.data;
+    const file = (await upload(carol, task, 'plans')).body.data;
+
+    assert.equal((await dave.get(`/task/${task._id}/attachments/${file._id}`)).body, 'plans');
+    assert.equal((await upload(dave, task, 'mine')).status, 403);
+    assert.equal((await dave.delete(`/task/${task._id}/attachments/${file._id}`)).status, 403);
+    assert.equal((await stranger.get(`/task/${task._id}/attachments`)).status, 404);
+
+    assert.equal((await carol.delete(`/task/${task._id}/attachments/${file._id}`)).status, 200);
+    assert.equal(storedFiles(task), 0);
+    assert.equal((await carol.get(`/task/${task._id}/attachments/${file._id}`)).status, 404);
+});
+
+test('files stay with a trashed task and go when it is purged', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const task = (await erin.post('/task', { type: 'task', title: 'Receipts' })).body.data;
+    await upload(erin, task, 'receipt');
+
+    await erin.delete(`/task/${task._id}`);
+    assert.equal(storedFiles(task), 1);
+    await erin.post(`/trash/${task._id}/restore`);
+    assert.equal((await erin.get(`/task/${task._id}/attachments`)).body.length, 1);
+
+    await erin.delete(`/task/${task._id}`);
+    assert.equal((await erin.delete(`/trash/${task._id}`)).status, 200);
+    assert.equal(storedFiles(task), 0);
+});
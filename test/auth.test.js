@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { needsDb, useApi } = require('./helpers/api');
+
+const ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const api = useApi('auth');
+
+// the token checks answer before any database query
+const get = (path, headers) => api.request('GET', path, { headers });
+
+test('API routes need a bearer token', async () => {
+    for (const path of ['/task', `/folders/${ID}`, '/trash', `/task/${ID}/comments`]) {
+        const { status, body } = await get(path);
+        assert.equal(status, 401, path);
+        assert.equal(body.code, 'UNAUTHORIZED');
+        assert.equal(body.message, 'Access denied, token missing');
+    }
+});
+
+test('tokens signed with another secret or expired are refused', async () => {
+    const forged = jwt.sign({ id: ID, sid: ID }, 'not-the-secret');
+    assert.equal((await get('/trash', { Authorization: `Bearer ${forged}` })).body.message, 'Invalid token');
+
+    const expired = jwt.sign({ id: ID, sid: ID, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+    assert.equal((await get(`/folders/${ID}`, { Authorization: `Bearer ${expired}` })).status, 401);
+});
+
+const refresh = (refreshToken) => api.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+test('a refresh rotates the refresh token, and replaying the old one ends the session', needsDb, async () => {
+    const alice = await api.signUp('alice');
+
+    const first = await refresh(alice.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, alice.refreshToken);
+    assert.equal((await api.as({ token: first.body.token }).get('/task/nofolder')).status, 200);
+
+    assert.equal((await refresh(alice.refreshToken)).status, 401);
+    // the thief's copy is dead, and so is everything the session handed out since
+    assert.equal((await refresh(first.body.refreshToken)).status, 401);
+    assert.equal((await api.as({ token: first.body.token }).get('/task/nofolder')).status, 401);
+});
+
+test('two refreshes racing with the same token: one wins and the session is revoked', needsDb, async () => {
+    const bob = await api.signUp('bob');
+
+    const raced = await Promise.all([refresh(bob.refreshToken), refresh(bob.refreshToken)]);
+    assert.deepEqual(raced.map((r) => r.status).sort(), [200, 401]);
+
+    const winner = raced.find((r) => r.status === 200);
+    assert.equal((await refresh(winner.body.refreshToken)).status, 401);
+});
+
+test('refresh tokens of unknown sessions or with a bad secret are refused', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const [sessionId] = carol.refreshToken.split('.');
+
+    assert.equal((await refresh(`${ID}.abc`)).status, 401);
+    assert.equal((await refresh('no-dot')).status, 400);
+    // guessing at a session's secret revokes it
+    assert.equal((await refresh(`${sessionId}.guess`)).status, 401);
+    assert.equal((await refresh(carol.refreshToken)).status, 401);
+});
+
+test('logout ends the current session, logout-all every session', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const login = await api.request('POST', '/auth/login', { body: { username: 'dave', password: dave.password } });
+    const laptop = api.as({ token: login.body.token });
+
+    assert.equal((await dave.post('/auth/logout')).status, 200);
+    assert.equal((await dave.get('/task/nofolder')).status, 401);
+    assert.equal((await laptop.get('/task/nofolder')).status, 200);
+
+    const again = await api.request('POST', '/auth/login', { body: { username: 'dave', password: dave.password } });
+    const phone = api.as({ token: again.body.token });
+    const { body } = await phone.post('/auth/logout-all');
+    assert.equal(body.sessionsRevoked, 2);
+    assert.equal((await laptop.get('/task/nofolder')).status, 401);
+    assert.equal((await refresh(login.body.refreshToken)).status, 401);
+});
+
+test('failed logins lock the account, whether or not it exists', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const login = (username, password) => api.request('POST', '/auth/login', { body: { username, password } });
+
+    for (const username of ['erin', 'nobody']) {
+        for (let i = 0; i < 5; i++) {
+            const { status, body } = await login(username, 'wrong-password');
+            assert.equal(status, 401);
+            assert.equal(body.message, 'Invalid username or password');
+        }
+        const locked = await login(username, username === 'erin' ? erin.password : 'any');
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    }
+});
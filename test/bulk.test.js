@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi, eventually } = require('./helpers/api');
+const { onEvent } = require('../src/services/events');
+
+const api = useApi('bulk');
+
+const MISSING = '0123456789abcdef01234567';
+
+const newTasks = async (user, titles, folder = null) => {
+    const tasks = [];
+    for (const title of titles) tasks.push((await user.post('/task', { type: 'task', title, folder })).body.data);
+    return tasks;
+};
+
+const statuses = async (user, path = '/task/nofolder') =>
+    (await user.get(path)).body.map((task) => [task.title, task.status]);
+
+test('each task gets its own result', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const [a, b] = await newTasks(alice, ['a', 'b']);
+
+    const { status, body } = await alice.post('/task/bulk', { ids: [a._id, MISSING, b._id], action: 'setStatus', status: 'Working' });
+    assert.equal(status, 200);
+    assert.deepEqual([body.succeeded, body.failed], [2, 1]);
+    assert.deepEqual(body.results.map((r) => [r.ok, r.status]), [[true, undefined], [false, 404], [true, undefined]]);
+    assert.deepEqual(await statuses(alice), [['a', 'Working'], ['b', 'Working']]);
+
+    const unknown = await alice.post('/task/bulk', { ids: [a._id], action: 'setStatus', status: 'Nope' });
+    assert.deepEqual(unknown.body.results.map((r) => [r.ok, r.status]), [[false, 400]]);
+});
+
+test('atomic requests change nothing unless every task can be changed', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const [mine] = await newTasks(bob, ['mine']);
+    const [theirs] = await newTasks(carol, ['theirs']);
+
+    const { status, body } = await bob.post('/task/bulk', { ids: [mine._id, theirs._id], action: 'delete', atomic: true });
+    assert.equal(status, 422);
+    assert.deepEqual(body.results.map((r) => r.status), [409, 404]);
+    assert.deepEqual(await statuses(bob), [['mine', 'Pending']]);
+    assert.equal((await carol.get(`/task/${theirs._id}`)).status, 200);
+});
+
+test('moved tasks go to the end of their new list, in the order given', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const folder = (await dave.post('/folders', { name: 'Later' })).body;
+    await newTasks(dave, ['already there'], folder._id);
+    const [x, y] = await newTasks(dave, ['x', 'y']);
+
+    const { body } = await dave.post('/task/bulk', { ids: [y._id, x._id], action: 'move', folder: folder._id });
+    assert.equal(body.succeeded, 2);
+    assert.deepEqual((await dave.get(`/task/folder/${folder._id}`)).body.map((t) => t.title), ['already there', 'y', 'x']);
+    assert.deepEqual(await statuses(dave), []);
+
+    await dave.post('/task/bulk', { ids: [x._id], action: 'move', folder: null });
+    assert.deepEqual(await statuses(dave), [['x', 'Pending']]);
+});
+
+test('only its creator takes a task out of a shared folder', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const frank = await api.signUp('frank');
+    const folder = (await erin.post('/folders', { name: 'Team' })).body;
+    await erin.post(`/folders/${folder._id}/members`, { username: 'frank', role: 'editor' });
+    const [task] = await newTasks(erin, ['report'], folder._id);
+
+    const { body } = await frank.post('/task/bulk', { ids: [task._id], action: 'move', folder: null });
+    assert.deepEqual(body.results.map((r) => [r.ok, r.status]), [[false, 403]]);
+});
+
+test('the members of the folder a task leaves are told of the move', needsDb, async () => {
+    const grace = await api.signUp('grace');
+    const heidi = await api.signUp('heidi');
+    const shared = (await grace.post('/folders', { name: 'Shared' })).body;
+    const own = (await grace.post('/folders', { name: 'Own' })).body;
+    await grace.post(`/folders/${shared._id}/members`, { username: 'heidi', role: 'viewer' });
+    const [task] = await newTasks(grace, ['moving'], shared._id);
+
+    const events = [];
+    onEvent((event, userIds) => {
+        if (event.type === 'task.updated' && event.data.task._id === task._id) events.push({ event, userIds });
+    });
+    await grace.post('/task/bulk', { ids: [task._id], action: 'move', folder: own._id });
+
+    const [{ event, userIds }] = await eventually(() => events.length && events);
+    assert.deepEqual(userIds.sort(), [grace.id, heidi.id].sort());
+    assert.deepEqual(event.data.changes.find((change) => change.field === 'folder'),
+        { field: 'folder', from: shared._id, to: own._id });
+    assert.equal((await heidi.get(`/task/${task._id}`)).status, 404);
+});
+
+test('bulk deletes go to the trash, bulk due dates keep recurring tasks dated', needsDb, async () => {
+    const ivan = await api.signUp('ivan');
+    const dueDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const recurring = (await ivan.post('/task', { type: 'task', title: 'weekly', dueDate })).body.data;
+    await ivan.put(`/task/${recurring._id}/recurrence`, { frequency: 'weekly' });
+    const [plain] = await newTasks(ivan, ['plain']);
+
+    const cleared = await ivan.post('/task/bulk', { ids: [recurring._id, plain._id], action: 'setDueDate', dueDate: null });
+    assert.deepEqual(cleared.body.results.map((r) => [r.ok, r.status]), [[false, 400], [true, undefined]]);
+
+    await ivan.post('/task/bulk', { ids: [plain._id], action: 'delete' });
+    assert.deepEqual((await ivan.get('/trash')).body.tasks.map((t) => t.title), ['plain']);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('checklist');
+
+const newTask = async (user, fields = {}) => (await user.post('/task', { type: 'task', title: 'Pack', ...fields })).body.data;
+
+const titles = (task) => task.checklist.map((item) => item.title);
+
+test('items are added at the end or at a position, and counted in progress', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const task = await newTask(alice);
+
+    await alice.post(`/task/${task._id}/checklist`, { title: 'Tent' });
+    await alice.post(`/task/${task._id}/checklist`, { title: 'Stove' });
+    const { status, body } = await alice.post(`/task/${task._id}/checklist`, { title: '  Map ', position: 0 });
+    assert.equal(status, 201);
+    assert.deepEqual(titles(body.data), ['Map', 'Tent', 'Stove']);
+    assert.deepEqual(body.data.progress, { done: 0, total: 3, percent: 0 });
+
+    const tent = body.data.checklist[1];
+    const done = await alice.patch(`/task/${task._id}/checklist/${tent._id}`, { done: true });
+    assert.deepEqual(done.body.data.progress, { done: 1, total: 3, percent: 33 });
+    assert.ok(done.body.data.checklist[1].doneAt);
+
+    assert.equal((await alice.post(`/task/${task._id}/checklist`, { title: 'Far', position: 9 })).status, 400);
+});
+
+test('reordering needs every item exactly once', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const task = await newTask(bob);
+    for (const title of ['a', 'b', 'c']) await bob.post(`/task/${task._id}/checklist`, { title });
+    const ids = (await bob.get(`/task/${task._id}`)).body.checklist.map((item) => item._id);
+
+    const reordered = await bob.post(`/task/${task._id}/checklist/reorder`, { order: [ids[2], ids[0], ids[1]] });
+    assert.deepEqual(titles(reordered.body.data), ['c', 'a', 'b']);
+
+    assert.equal((await bob.post(`/task/${task._id}/checklist/reorder`, { order: [ids[0], ids[0], ids[1]] })).status, 400);
+    assert.equal((await bob.post(`/task/${task._id}/checklist/reorder`, { order: ids.slice(1) })).status, 400);
+
+    const removed = await bob.delete(`/task/${task._id}/checklist/${ids[0]}`);
+    assert.deepEqual(titles(removed.body.data), ['c', 'b']);
+    assert.equal((await bob.delete(`/task/${task._id}/checklist/${ids[0]}`)).status, 404);
+});
+
+test('with autoComplete, checking the last item completes the task', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const task = await newTask(carol, { autoComplete: true });
+    const first = (await carol.post(`/task/${task._id}/checklist`, { title: 'One' })).body.data.checklist[0];
+    const second = (await carol.post(`/task/${task._id}/checklist`, { title: 'Two' })).body.data.checklist[1];
+
+    const half = await carol.patch(`/task/${task._id}/checklist/${first._id}`, { done: true });
+    assert.equal(half.body.data.status, 'Pending');
+
+    const all = await carol.patch(`/task/${task._id}/checklist/${second._id}`, { done: true });
+    assert.equal(all.body.data.status, 'Completed');
+    assert.equal(all.body.data.done, true);
+});
+
+test('only editors of the task change its checklist', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const erin = await api.signUp('erin');
+    const task = await newTask(dave);
+    assert.equal((await erin.post(`/task/${task._id}/checklist`, { title: 'Sneaky' })).status, 404);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('comments');
+
+const comment = async (user, task, body, parent) =>
+    (await user.post(`/task/${task._id}/comments`, { body, parent })).body.data;
+
+// A folder of `owner` shared with `member` as `role`, with one task in it
+const sharedTask = async (owner, member, role) => {
+    const folder = (await owner.post('/folders', { name: 'Shared' })).body;
+    await owner.post(`/folders/${folder._id}/members`, { username: member.username, role });
+    return (await owner.post('/task', { type: 'task', title: 'Discuss', folder: folder._id })).body.data;
+};
+
+test('replies are grouped under the thread they belong to', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const task = (await alice.post('/task', { type: 'task', title: 'Plan' })).body.data;
+
+    const first = await comment(alice, task, '  first  ');
+    assert.equal(first.body, 'first');
+    assert.equal(first.user.username, 'alice');
+    const reply = await comment(alice, task, 'reply', first._id);
+    // a reply to a reply stays in the same thread
+    await comment(alice, task, 'reply to reply', reply._id);
+    await comment(alice, task, 'second');
+
+    const { body } = await alice.get(`/task/${task._id}/comments`);
+    assert.deepEqual(body.comments.map((c) => [c.body, c.replies.map((r) => r.body)]),
+        [['first', ['reply', 'reply to reply']], ['second', []]]);
+    assert.equal(body.commentCount, 4);
+    assert.equal(body.pagination.total, 2);
+
+    // listings carry the count
+    const [listed] = (await alice.get('/task/nofolder')).body;
+    assert.equal(listed.commentCount, 4);
+});
+
+test('comments are refused when empty or answering another task', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const one = (await bob.post('/task', { type: 'task', title: 'one' })).body.data;
+    const two = (await bob.post('/task', { type: 'task', title: 'two' })).body.data;
+    const onOne = await comment(bob, one, 'hi');
+
+    assert.equal((await bob.post(`/task/${one._id}/comments`, { body: '   ' })).status, 400);
+    const elsewhere = await bob.post(`/task/${two._id}/comments`, { body: 'hi', parent: onOne._id });
+    assert.equal(elsewhere.status, 400);
+    assert.match(elsewhere.body.message, /Parent comment not found/);
+});
+
+test('viewers read, editors write, only authors edit', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const dave = await api.signUp('dave');
+    const erin = await api.signUp('erin');
+    const task = await sharedTask(carol, dave, 'viewer');
+    await carol.post(`/folders/${task.folder}/members`, { username: 'erin', role: 'editor' });
+    const byCarol = await comment(carol, task, 'from the owner');
+
+    assert.equal((await dave.get(`/task/${task._id}/comments`)).body.comments.length, 1);
+    assert.equal((await dave.post(`/task/${task._id}/comments`, { body: 'me too' })).status, 403);
+
+    const byErin = await comment(erin, task, 'from an editor');
+    assert.equal((await erin.patch(`/task/${task._id}/comments/${byCarol._id}`, { body: 'changed' })).status, 403);
+
+    const edited = await erin.patch(`/task/${task._id}/comments/${byErin._id}`, { body: 'edited' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.data.body, 'edited');
+    assert.ok(edited.body.data.editedAt);
+
+    const stranger = await api.signUp('stranger');
+    assert.equal((await stranger.get(`/task/${task._id}/comments`)).status, 404);
+});
+
+test('authors and owners delete, threads with replies stay readable', needsDb, async () => {
+    const frank = await api.signUp('frank');
+    const grace = await api.signUp('grace');
+    const task = await sharedTask(frank, grace, 'editor');
+    const byFrank = await comment(frank, task, 'question');
+    const byGrace = await comment(grace, task, 'answer', byFrank._id);
+    const alone = await comment(grace, task, 'aside');
+
+    assert.equal((await grace.delete(`/task/${task._id}/comments/${byFrank._id}`)).status, 403);
+    // the owner deletes anyone's comment; this one has a reply, so it is blanked
+    assert.equal((await frank.delete(`/task/${task._id}/comments/${byFrank._id}`)).status, 200);
+    assert.equal((await grace.delete(`/task/${task._id}/comments/${alone._id}`)).status, 200);
+
+    const { body } = await frank.get(`/task/${task._id}/comments`);
+    assert.deepEqual(body.comments.map((c) => [c.body, c.replies.map((r) => r._id)]), [['', [byGrace._id]]]);
+    assert.ok(body.comments[0].deletedAt);
+    assert.equal(body.commentCount, 1);
+});
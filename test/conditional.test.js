@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const { etagOfAll, folderEtag, versionFilter } = require('../src/utils/conditional');
+
+const api = useApi('conditional');
+
+test('versionFilter pins the write to the version the client saw', () => {
+    const req = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+    assert.deepEqual(versionFilter(req(undefined), { version: 4 }), {});
+    assert.deepEqual(versionFilter(req('"x"'), { version: 4 }), { version: 4 });
+    // documents from before versioning
+    assert.deepEqual(versionFilter(req('"x"'), {}), { version: { $in: [0, null] } });
+});
+
+test('a folder ETag changes with any of its tasks, whatever their order', async () => {
+    const folder = { _id: 'f', version: 1 };
+    const tasks = [{ _id: 'a', version: 1 }, { _id: 'b', version: 1 }];
+    const etag = await folderEtag(folder, tasks);
+    assert.equal(await folderEtag(folder, [...tasks].reverse()), etag);
+    assert.notEqual(await folderEtag(folder, [tasks[0], { _id: 'b', version: 2 }]), etag);
+    assert.equal(etag, etagOfAll([folder, ...tasks]));
+});
+
+test('GET sends the ETag and answers 304 to a current If-None-Match', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const task = (await alice.post('/task', { type: 'task', title: 'Draft' })).body.data;
+
+    const first = await alice.get(`/task/${task._id}`);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    const cached = await alice.get(`/task/${task._id}`, { 'If-None-Match': `W/"other", ${etag}` });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.body, '');
+
+    assert.equal((await alice.get(`/task/${task._id}`, { 'If-None-Match': '"stale"' })).status, 200);
+});
+
+test('a write with a stale If-Match answers 412 and changes nothing', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const task = (await bob.post('/task', { type: 'task', title: 'Draft' })).body.data;
+    const etag = (await bob.get(`/task/${task._id}`)).headers.get('etag');
+
+    const saved = await bob.patch(`/task/${task._id}`, { title: 'Final' }, { 'If-Match': etag });
+    assert.equal(saved.status, 200);
+    assert.notEqual(saved.headers.get('etag'), etag);
+
+    const lost = await bob.patch(`/task/${task._id}`, { title: 'Lost update' }, { 'If-Match': etag });
+    assert.equal(lost.status, 412);
+    assert.equal(lost.body.code, 'PRECONDITION_FAILED');
+    assert.match(lost.body.message, /task was changed/);
+    assert.equal((await bob.get(`/task/${task._id}`)).body.title, 'Final');
+
+    // without If-Match, or with If-Match: *, writes are not conditional
+    assert.equal((await bob.patch(`/task/${task._id}`, { title: 'Any' })).status, 200);
+    assert.equal((await bob.patch(`/task/${task._id}`, { title: 'Star' }, { 'If-Match': '*' })).status, 200);
+});
+
+test('of two writes made from the same version, one wins', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const task = (await carol.post('/task', { type: 'task', title: 'Draft' })).body.data;
+    const etag = (await carol.get(`/task/${task._id}`)).headers.get('etag');
+
+    const results = await Promise.all(['One', 'Two'].map((title) =>
+        carol.patch(`/task/${task._id}`, { title }, { 'If-Match': etag })));
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 412]);
+    const winner = results.find((r) => r.status === 200).body.data.title;
+    assert.equal((await carol.get(`/task/${task._id}`)).body.title, winner);
+});
+
+test('a folder ETag follows its tasks, and guards folder and task writes', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const folder = (await dave.post('/folders', { name: 'Home' })).body;
+    const task = (await dave.post('/task', { type: 'task', title: 'Paint', folder: folder._id })).body.data;
+
+    const folderTag = (await dave.get(`/folders/${folder._id}`)).headers.get('etag');
+    const taskTag = (await dave.get(`/task/${task._id}`)).headers.get('etag');
+    assert.equal((await dave.get(`/folders/${folder._id}`, { 'If-None-Match': folderTag })).status, 304);
+
+    const changed = await dave.patch(`/folders/${folder._id}/tasks/${task._id}`, { title: 'Paint walls' }, { 'If-Match': taskTag });
+    assert.equal(changed.status, 200);
+    assert.equal((await dave.get(`/folders/${folder._id}`, { 'If-None-Match': folderTag })).status, 200);
+
+    const stale = await dave.patch(`/folders/${folder._id}/tasks/${task._id}`, { title: 'Paint doors' }, { 'If-Match': taskTag });
+    assert.equal(stale.status, 412);
+    const moved = await dave.patch(`/folders/${folder._id}/parent`, { parent: null }, { 'If-Match': folderTag });
+    assert.equal(moved.status, 412);
+    assert.match(moved.body.message, /folder was changed/);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../src/utils/csv');
+const { exportCsv, readCsvImport } = require('../src/services/importExport');
+
+test('toCsv quotes the cells that need it', () => {
+    const csv = toCsv([{ title: 'Buy milk, eggs', notes: 'say "hi"\nthen leave', n: 3 }, { title: null }], ['title', 'notes', 'n']);
+    assert.equal(csv, 'title,notes,n\r\n"Buy milk, eggs","say ""hi""\nthen leave",3\r\n,,\r\n');
+});
+
+test('toCsv defuses formulas and parseCsv takes them back', () => {
+    const csv = toCsv([{ title: '=SUM(A1:A2)' }, { title: '-1' }], ['title']);
+    assert.equal(csv, "title\r\n'=SUM(A1:A2)\r\n'-1\r\n");
+    assert.deepEqual(parseCsv(csv).rows, [['title'], ['=SUM(A1:A2)'], ['-1']]);
+});
+
+test('parseCsv reads what toCsv writes', () => {
+    const rows = [{ a: 'x,y', b: 'multi\r\nline' }, { a: '"quoted"', b: '' }];
+    const { rows: parsed } = parseCsv(toCsv(rows, ['a', 'b']));
+    assert.deepEqual(parsed, [['a', 'b'], ['x,y', 'multi\r\nline'], ['"quoted"', '']]);
+});
+
+test('parseCsv skips a BOM and empty lines, with LF or CRLF line ends', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\n\n1,2\r\n,\r\n3,4').rows, [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('parseCsv reports an unterminated quote', () => {
+    assert.deepEqual(parseCsv('a,"b\n1,2'), { error: 'Unterminated quoted field.' });
+});
+
+test('folder names with slashes stay one folder through an export and import', () => {
+    const csv = exportCsv({
+        folders: [
+            { id: 'f1', name: 'Clients', parent: null },
+            { id: 'f2', name: 'A/B \\ C', parent: 'f1' }
+        ],
+        tasks: [{ title: 'Invoice', folder: 'f2', status: 'Pending', priority: 'medium', dueDate: null, tags: [], autoComplete: false }]
+    });
+    assert.ok(csv.includes('task,Invoice,Clients / A\\/B \\\\ C,'));
+
+    const { items, errors } = readCsvImport(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(items.map((item) => item.path || item.folderPath),
+        [['Clients'], ['Clients', 'A/B \\ C'], ['Clients', 'A/B \\ C']]);
+});
@@ -0,0 +1,95 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi, eventually } = require('./helpers/api');
+const { startEventStream } = require('../src/services/eventStream');
+
+const api = useApi('event-stream');
+
+// only started by index.js when it runs the server
+before(() => startEventStream());
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ type, data }]
+const parseEvents = (text) => text.split('\n\n')
+    .map((block) => Object.fromEntries(block.split('\n')
+        .map((line) => line.match(/^(event|data): (.*)$/))
+        .filter(Boolean)
+        .map(([, field, value]) => [field, value])))
+    .filter((fields) => fields.event && fields.data)
+    .map((fields) => ({ type: fields.event, data: JSON.parse(fields.data).data }));
+
+// Open the stream as `user` and keep reading it until close()
+const openStream = async (user, query = '') => {
+    const controller = new AbortController();
+    const res = await fetch(`${api.url}/api/v1/events/stream${query}`, {
+        headers: { Authorization: `Bearer ${user.token}` },
+        signal: controller.signal
+    });
+    let text = '';
+    const reading = (async () => {
+        const decoder = new TextDecoder();
+        try {
+            for await (const chunk of res.body) text += decoder.decode(chunk, { stream: true });
+        } catch {
+            // aborted by close()
+        }
+    })();
+    return {
+        status: res.status,
+        events: () => parseEvents(text),
+        close: async () => {
+            controller.abort();
+            await reading;
+        }
+    };
+};
+
+test('a ticket gets past authentication once', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const { status, body } = await alice.post('/events/tickets');
+    assert.equal(status, 201);
+    assert.equal(body.expiresIn, 60);
+
+    // the ticket was accepted: the folder list is what is refused
+    const badFolders = await api.request('GET', `/events/stream?ticket=${body.ticket}&folders=nope`);
+    assert.equal(badFolders.status, 400);
+    assert.equal(badFolders.body.details[0].field, 'folders');
+
+    const reused = await api.request('GET', `/events/stream?ticket=${body.ticket}`);
+    assert.equal(reused.status, 401);
+});
+
+test('a stream only carries the changes its user can see', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const folder = (await bob.post('/folders', { name: 'Team' })).body;
+    await bob.post(`/folders/${folder._id}/members`, { username: 'carol', role: 'viewer' });
+
+    const stream = await openStream(carol);
+    assert.equal(stream.status, 200);
+    await bob.post('/task', { type: 'task', title: 'private' });
+    await bob.post('/task', { type: 'task', title: 'shared', folder: folder._id });
+
+    const created = () => stream.events().filter((e) => e.type === 'task.created').map((e) => e.data.task.title);
+    await eventually(() => created().length);
+    await stream.close();
+    assert.deepEqual(created(), ['shared']);
+});
+
+test('a stream narrowed to a folder sees its tasks leave', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const erin = await api.signUp('erin');
+    const shared = (await dave.post('/folders', { name: 'Shared' })).body;
+    const own = (await dave.post('/folders', { name: 'Own' })).body;
+    await dave.post(`/folders/${shared._id}/members`, { username: 'erin', role: 'viewer' });
+    const task = (await dave.post('/task', { type: 'task', title: 'moving', folder: shared._id })).body.data;
+
+    assert.equal((await openStream(erin, `?folders=${own._id}`)).status, 404);
+
+    const stream = await openStream(erin, `?folders=${shared._id}`);
+    await dave.post('/task/bulk', { ids: [task._id], action: 'move', folder: own._id });
+
+    const updated = () => stream.events().filter((e) => e.type === 'task.updated');
+    await eventually(() => updated().length);
+    await stream.close();
+    assert.equal(updated()[0].data.task.folder, own._id);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('folder-tree');
+
+const newFolder = async (user, name, parent) => (await user.post('/folders', { name, parent })).body;
+
+// Home > Garden > Shed, each with one task
+const seed = async (user) => {
+    const home = await newFolder(user, 'Home');
+    const garden = await newFolder(user, 'Garden', home._id);
+    const shed = await newFolder(user, 'Shed', garden._id);
+    for (const folder of [home, garden, shed]) {
+        await user.post('/task', { type: 'task', title: `${folder.name} task`, folder: folder._id });
+    }
+    return { home, garden, shed };
+};
+
+const namesOf = (nodes) => nodes.map((node) => [node.name, namesOf(node.children)]);
+
+test('the tree nests folders and counts the tasks below each one', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    await seed(alice);
+    await newFolder(alice, 'Attic');
+
+    const tree = (await alice.get('/folders/tree')).body;
+    assert.deepEqual(namesOf(tree), [['Attic', []], ['Home', [['Garden', [['Shed', []]]]]]]);
+    const home = tree[1];
+    assert.equal(home.taskCount, 1);
+    assert.equal(home.totalTaskCount, 3);
+    assert.equal(home.role, 'owner');
+});
+
+test('a folder moves with everything below it, never inside itself', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const { home, garden, shed } = await seed(bob);
+
+    const inside = await bob.patch(`/folders/${home._id}/parent`, { parent: shed._id });
+    assert.equal(inside.status, 400);
+
+    assert.equal((await bob.patch(`/folders/${garden._id}/parent`, { parent: null })).status, 200);
+    assert.deepEqual(namesOf((await bob.get('/folders/tree')).body), [['Garden', [['Shed', []]]], ['Home', []]]);
+
+    // the search scope follows the move
+    const found = await bob.get(`/search?q=shed&folder=${garden._id}`);
+    assert.ok(found.body.results.some((r) => r.type === 'folder' && r.data._id === shed._id));
+});
+
+test('deleting a folder with subfolders says what to do with them', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const { home, garden } = await seed(carol);
+
+    const unsure = await carol.delete(`/task/folder/${home._id}`);
+    assert.equal(unsure.status, 400);
+    assert.match(unsure.body.message, /children=cascade/);
+
+    assert.equal((await carol.delete(`/task/folder/${home._id}?children=reparent`)).status, 200);
+    assert.deepEqual(namesOf((await carol.get('/folders/tree')).body), [['Garden', [['Shed', []]]]]);
+
+    assert.equal((await carol.delete(`/task/folder/${garden._id}?children=cascade`)).status, 200);
+    assert.deepEqual((await carol.get('/folders/tree')).body, []);
+});
+
+test('clearing a folder can leave its subfolders alone', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const { home, garden } = await seed(dave);
+
+    assert.equal((await dave.delete(`/folders/${home._id}/clearTasks`)).status, 400);
+    assert.equal((await dave.delete(`/folders/${home._id}/clearTasks?children=keep`)).status, 200);
+
+    const tree = (await dave.get('/folders/tree')).body;
+    assert.equal(tree[0].taskCount, 0);
+    assert.equal(tree[0].totalTaskCount, 2);
+    assert.equal((await dave.get(`/task/folder/${garden._id}`)).body.length, 1);
+});
+
+test('subfolders need editor access on their parent', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const frank = await api.signUp('frank');
+    const home = await newFolder(erin, 'Home');
+    await erin.post(`/folders/${home._id}/members`, { username: 'frank', role: 'viewer' });
+
+    assert.equal((await frank.post('/folders', { name: 'Mine', parent: home._id })).status, 403);
+});
@@ -0,0 +1,108 @@
+const { before, after } = require('node:test');
+const mongoose = require('mongoose');
+const { listen } = require('./server');
+
+// Request-level tests: the real app, its routes and controllers, against a
+// real MongoDB. MONGO_TEST_URI names a server the tests may create and drop
+// databases on; without it the tests marked needsDb are skipped.
+//   const { needsDb, useApi } = require('./helpers/api');
+//   const api = useApi('tasks');
+//   test('...', needsDb, async () => {
+//       const alice = await api.signUp('alice');
+//       const { status, body } = await alice.post('/task', { type: 'task', title: 'Milk' });
+//   });
+// Require this before anything from src/: the limits below are read when
+// those modules load.
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+
+// options for test() of the tests that need the database
+const needsDb = MONGO_TEST_URI ? {} : { skip: 'set MONGO_TEST_URI to run the tests that need MongoDB' };
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// every test signs its users up from the same address
+process.env.AUTH_RATE_LIMIT_MAX = '0';
+process.env.RATE_LIMIT_MAX = '0';
+
+// Serve the app, on an empty database of the test file's own (test files may
+// run side by side) when there is one
+const startApi = async (name) => {
+    const app = require('../../index');
+    if (MONGO_TEST_URI) {
+        await mongoose.connect(MONGO_TEST_URI, { dbName: `todo-test-${name}`, autoIndex: false });
+        await mongoose.connection.dropDatabase();
+        // text indexes and unique ones are part of what is tested
+        for (const model of Object.values(mongoose.models)) await model.createIndexes();
+    } else {
+        // tests without the database fail at once if they reach it
+        mongoose.set('bufferCommands', false);
+    }
+
+    const server = await listen(app);
+
+    // resolves to { status, headers, body }, body parsed when it is JSON
+    const request = async (method, path, { token, body, headers = {} } = {}) => {
+        const res = await fetch(`${server.url}/api/v1${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').includes('json');
+        return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text };
+    };
+
+    // Requests made as a user, with their access token
+    const as = (user) => ({
+        ...user,
+        get: (path, headers) => request('GET', path, { token: user.token, headers }),
+        post: (path, body, headers) => request('POST', path, { token: user.token, body, headers }),
+        put: (path, body, headers) => request('PUT', path, { token: user.token, body, headers }),
+        patch: (path, body, headers) => request('PATCH', path, { token: user.token, body, headers }),
+        delete: (path, headers) => request('DELETE', path, { token: user.token, headers })
+    });
+
+    // Register and log in; resolves to { id, username, password, token, refreshToken, get, post, ... }
+    const signUp = async (username, { password = 'secret-password', email } = {}) => {
+        const registered = await request('POST', '/auth/register', { body: { username, password, email } });
+        if (registered.status !== 201) throw new Error(`Could not register ${username}: ${JSON.stringify(registered.body)}`);
+        const { body } = await request('POST', '/auth/login', { body: { username, password } });
+        return as({ id: String(registered.body.userId), username, password, token: body.token, refreshToken: body.refreshToken });
+    };
+
+    const close = async () => {
+        await server.close();
+        if (MONGO_TEST_URI) await mongoose.disconnect();
+    };
+
+    return { url: server.url, request, signUp, as, close };
+};
+
+// The API of startApi() for the tests of a file, started before them and
+// closed after them
+const useApi = (name) => {
+    const api = {};
+    before(async () => {
+        Object.assign(api, await startApi(name));
+    });
+    after(() => api.close());
+    return api;
+};
+
+// Resolves once `check` returns something truthy (for work done after the
+// response, like event listeners); fails after `ms`
+const eventually = async (check, ms = 2000) => {
+    const until = Date.now() + ms;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > until) throw new Error('Timed out waiting for a condition');
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+};
+
+module.exports = { needsDb, useApi, eventually };
@@ -0,0 +1,19 @@
+// Runs an express app on a free port for the requests of a test file:
+//   const server = await listen(app);
+//   await fetch(`${server.url}/api/v1/...`);
+//   await server.close();
+const listen = (app) => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+            url: `http://127.0.0.1:${port}`,
+            close: () => new Promise((done) => {
+                // fetch keeps connections alive, which would hold close() up
+                server.closeAllConnections();
+                server.close(done);
+            })
+        });
+    });
+});
+
+module.exports = { listen };
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const { escapeText, formatDateTime, dateProperty, buildCalendar } = require('../src/utils/ical');
+
+const api = useApi('ical');
+
+test('escapeText escapes TEXT values', () => {
+    assert.equal(escapeText('a\\b;c,d\r\ne'), 'a\\\\b\\;c\\,d\\ne');
+});
+
+test('dates are all-day at midnight UTC, date-times otherwise', () => {
+    assert.equal(formatDateTime(new Date('2026-12-31T09:05:00.123Z')), '20261231T090500Z');
+    assert.equal(dateProperty('DUE', new Date('2026-12-31T00:00:00Z')), 'DUE;VALUE=DATE:20261231');
+    assert.equal(dateProperty('DUE', new Date('2026-12-31T09:00:00Z')), 'DUE:20261231T090000Z');
+});
+
+test('buildCalendar wraps the components with CRLF line ends', () => {
+    const ics = buildCalendar({ name: 'Work, home', components: [{ type: 'VTODO', properties: ['UID:1@tasks', 'SUMMARY:One'] }] });
+    const lines = ics.split('\r\n');
+    assert.deepEqual(lines.slice(0, 2), ['BEGIN:VCALENDAR', 'VERSION:2.0']);
+    assert.ok(lines.includes('X-WR-CALNAME:Work\\, home'));
+    assert.deepEqual(lines.slice(-6), ['BEGIN:VTODO', 'UID:1@tasks', 'SUMMARY:One', 'END:VTODO', 'END:VCALENDAR', '']);
+});
+
+test('buildCalendar folds lines at 75 octets without splitting characters', () => {
+    const summary = `SUMMARY:${'é'.repeat(60)}`;
+    const ics = buildCalendar({ name: 'x', components: [{ type: 'VEVENT', properties: [summary] }] });
+    const folded = ics.split('\r\n').filter((line) => line.startsWith('SUMMARY:') || line.startsWith(' é'));
+    assert.ok(folded.length > 1);
+    for (const line of folded) assert.ok(Buffer.byteLength(line) <= 75);
+    assert.equal(folded.map((line, i) => (i ? line.slice(1) : line)).join(''), summary);
+});
+
+test('a feed is checked before its token is looked up', async () => {
+    const { status, body } = await api.request('GET', '/calendar/feed/abc.ics?as=journal');
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ in: 'query', field: 'as', message: 'must be one of event, todo' }]);
+});
+
+// The feed at the URL of a new feed; the URL is the only credential
+const fetchFeed = async (url, query = '') => {
+    const res = await fetch(`${url}${query}`);
+    return { status: res.status, text: await res.text(), type: res.headers.get('content-type') };
+};
+
+test('a feed lists the dated tasks as events or to-dos', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const dueDate = '2026-12-24T00:00:00.000Z';
+    const task = (await alice.post('/task', { type: 'task', title: 'Gifts, wrap', dueDate, priority: 'high' })).body.data;
+    await alice.post('/task', { type: 'task', title: 'Someday' });
+
+    const { status, body } = await alice.post('/calendar/feeds', {});
+    assert.equal(status, 201);
+
+    const events = await fetchFeed(body.data.url);
+    assert.equal(events.status, 200);
+    assert.match(events.type, /^text\/calendar/);
+    const lines = events.text.split('\r\n');
+    assert.ok(lines.includes(`UID:${task._id}@tasklist`));
+    assert.ok(lines.includes('SUMMARY:Gifts\\, wrap'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261224'));
+    assert.ok(lines.includes('PRIORITY:3'));
+    assert.ok(!events.text.includes('Someday'));
+
+    const todos = (await fetchFeed(body.data.url, '?as=todo')).text.split('\r\n');
+    assert.ok(todos.includes('DUE;VALUE=DATE:20261224'));
+    assert.ok(todos.includes('STATUS:NEEDS-ACTION'));
+});
+
+test('a revoked feed, or one of a folder no longer shared, stops working', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const folder = (await bob.post('/folders', { name: 'Team' })).body;
+    await bob.post(`/folders/${folder._id}/members`, { username: 'carol', role: 'viewer' });
+    await bob.post('/task', { type: 'task', title: 'Launch', folder: folder._id, dueDate: '2026-11-02T09:30:00.000Z' });
+
+    const own = (await bob.post('/calendar/feeds', { name: 'Mine' })).body.data;
+    const shared = (await carol.post('/calendar/feeds', { folder: folder._id })).body.data;
+    const feed = await fetchFeed(shared.url);
+    assert.ok(feed.text.split('\r\n').includes('X-WR-CALNAME:Team'));
+    assert.ok(feed.text.includes('DTSTART:20261102T093000Z'));
+
+    assert.equal((await bob.delete(`/folders/${folder._id}/members/${carol.id}`)).status, 200);
+    assert.equal((await fetchFeed(shared.url)).status, 404);
+
+    assert.equal((await carol.delete(`/calendar/feeds/${own._id}`)).status, 404);
+    assert.equal((await bob.delete(`/calendar/feeds/${own._id}`)).status, 200);
+    assert.equal((await fetchFeed(own.url)).status, 404);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('ordering');
+
+// tasks a, b, c (in that order) in the user's list without a folder
+const seed = async (user, folder = null) => {
+    const tasks = {};
+    for (const title of ['a', 'b', 'c']) {
+        tasks[title] = (await user.post('/task', { type: 'task', title, folder })).body.data;
+    }
+    return tasks;
+};
+
+const order = async (user, path = '/task/nofolder') => (await user.get(path)).body.map((task) => task.title);
+
+test('new tasks go to the end of their list, which is the default order', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    await seed(alice);
+    assert.deepEqual(await order(alice), ['a', 'b', 'c']);
+});
+
+test('a task moves before or after another one of its list', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const { a, b, c } = await seed(bob);
+
+    const moved = await bob.patch(`/task/${c._id}/position`, { before: a._id });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(await order(bob), ['c', 'a', 'b']);
+
+    await bob.patch(`/task/${c._id}/position`, { after: b._id });
+    assert.deepEqual(await order(bob), ['a', 'b', 'c']);
+
+    assert.equal((await bob.patch(`/task/${a._id}/position`, { before: a._id })).status, 400);
+    assert.equal((await bob.patch(`/task/${a._id}/position`, { before: b._id, after: c._id })).status, 400);
+});
+
+test('tasks only move within their own list', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const folder = (await carol.post('/task', { type: 'folder', title: 'Work' })).body.data;
+    const loose = await seed(carol);
+    const inFolder = await seed(carol, folder._id);
+
+    const { status, body } = await carol.patch(`/task/${loose.a._id}/position`, { before: inFolder.a._id });
+    assert.equal(status, 400);
+    assert.match(body.message, /same list/);
+
+    await carol.patch(`/task/${inFolder.a._id}/position`, { after: inFolder.c._id });
+    assert.deepEqual(await order(carol, `/task/folder/${folder._id}`), ['b', 'c', 'a']);
+    assert.deepEqual(await order(carol), ['a', 'b', 'c']);
+});
+
+test('repeated moves into the same gap keep a strict order', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const { a, b, c } = await seed(dave);
+    // b and c take turns right after a, halving the gap every time until the list is renumbered
+    for (let i = 0; i < 60; i++) {
+        const task = i % 2 ? b : c;
+        assert.equal((await dave.patch(`/task/${task._id}/position`, { after: a._id })).status, 200);
+    }
+    assert.deepEqual(await order(dave), ['a', 'b', 'c']);
+});
+
+test('priorities are set, changed and filtered on', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const low = (await erin.post('/task', { type: 'task', title: 'low', priority: 'low' })).body.data;
+    await erin.post('/task', { type: 'task', title: 'urgent', priority: 'urgent' });
+    assert.equal(low.priority, 'low');
+    assert.equal((await erin.post('/task', { type: 'task', title: 'x', priority: 'soon' })).status, 400);
+
+    await erin.patch(`/task/${low._id}`, { priority: 'high' });
+    assert.deepEqual((await erin.get('/task/nofolder?priority=high')).body.map((t) => t.title), ['low']);
+});
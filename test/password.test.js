@@ -0,0 +1,99 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const { setTransport } = require('../src/services/mailer');
+
+const api = useApi('password');
+
+// mails are kept here instead of being sent
+let outbox = [];
+beforeEach(() => {
+    outbox = [];
+    setTransport({ send: async (message) => { outbox.push(message); } });
+});
+
+const login = (username, password) => api.request('POST', '/auth/login', { body: { username, password } });
+
+const tokenOf = (mail) => mail.text.match(/token=(\w+)/)[1];
+
+test('changing the password ends every other session and keeps this device logged in', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const laptop = api.as({ token: (await login('alice', alice.password)).body.token });
+
+    const wrong = await alice.post('/auth/password', { currentPassword: 'nope', newPassword: 'new-password' });
+    assert.equal(wrong.status, 400);
+
+    const { status, body } = await alice.post('/auth/password', { currentPassword: alice.password, newPassword: 'new-password' });
+    assert.equal(status, 200);
+    assert.equal((await laptop.get('/task/nofolder')).status, 401);
+    assert.equal((await alice.get('/task/nofolder')).status, 401);
+    assert.equal((await api.as({ token: body.token }).get('/task/nofolder')).status, 200);
+
+    assert.equal((await login('alice', alice.password)).status, 401);
+    assert.equal((await login('alice', 'new-password')).status, 200);
+});
+
+test('wrong current passwords lock the account like failed logins', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    for (let i = 0; i < 5; i++) {
+        const wrong = await erin.post('/auth/password', { currentPassword: 'nope', newPassword: 'new-password' });
+        assert.equal(wrong.status, 400);
+    }
+
+    const locked = await erin.post('/auth/password', { currentPassword: erin.password, newPassword: 'new-password' });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    assert.equal((await login('erin', erin.password)).status, 429);
+});
+
+test('a reset link sets a new password once and ends every session', needsDb, async () => {
+    const bob = await api.signUp('bob', { email: 'Bob@Example.com' });
+
+    const forgot = await api.request('POST', '/auth/password/forgot', { body: { email: 'bob@example.com' } });
+    assert.equal(forgot.status, 200);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'bob@example.com');
+    const token = tokenOf(outbox[0]);
+
+    const reset = () => api.request('POST', '/auth/password/reset', { body: { token, password: 'fresh-password' } });
+    assert.equal((await reset()).status, 200);
+    assert.equal((await reset()).status, 400);
+
+    assert.equal((await bob.get('/task/nofolder')).status, 401);
+    assert.equal((await login('bob', 'fresh-password')).status, 200);
+});
+
+test('asking for a reset answers the same whether or not the account exists', needsDb, async () => {
+    await api.signUp('carol');
+    const unknown = await api.request('POST', '/auth/password/forgot', { body: { username: 'nobody' } });
+    // an account without an email can't get a link either
+    const noEmail = await api.request('POST', '/auth/password/forgot', { body: { username: 'carol' } });
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(noEmail.body, unknown.body);
+    assert.equal(outbox.length, 0);
+});
+
+test('requesting a new link leaves the older ones valid until one is used', needsDb, async () => {
+    await api.signUp('dave', { email: 'dave@example.com' });
+    for (let i = 0; i < 2; i++) {
+        await api.request('POST', '/auth/password/forgot', { body: { username: 'dave' } });
+    }
+    const [older, newer] = outbox.map(tokenOf);
+
+    assert.equal((await api.request('POST', '/auth/password/reset', { body: { token: newer, password: 'first-change' } })).status, 200);
+    assert.equal((await api.request('POST', '/auth/password/reset', { body: { token: older, password: 'second-change' } })).status, 400);
+});
+
+test('without a mail transport, resets are unavailable rather than silently dropped', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    setTransport(null);
+    try {
+        const { status } = await api.request('POST', '/auth/password/forgot', { body: { username: 'anyone' } });
+        assert.equal(status, 503);
+    } finally {
+        if (env === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = env;
+    }
+});
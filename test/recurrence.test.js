@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const { parseRecurrence, nextDueDate } = require('../src/utils/recurrence');
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+test('parseRecurrence fills in the interval and sorts weekdays', () => {
+    assert.deepEqual(parseRecurrence({ frequency: 'weekly', weekdays: [5, 1, 1] }), {
+        recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 5] }
+    });
+});
+
+test('parseRecurrence reads an rrule', () => {
+    const { recurrence } = parseRecurrence({ rrule: 'RRULE:FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=31;COUNT=6' });
+    assert.deepEqual(recurrence, { frequency: 'monthly', interval: 2, monthDay: 31, count: 6 });
+
+    const { recurrence: until } = parseRecurrence({ rrule: 'FREQ=DAILY;UNTIL=20261231' });
+    assert.equal(until.until.toISOString(), '2026-12-31T23:59:59.000Z');
+});
+
+test('parseRecurrence refuses rules it does not support', () => {
+    assert.match(parseRecurrence({ frequency: 'yearly' }).error, /frequency/);
+    assert.match(parseRecurrence({ frequency: 'daily', interval: 0 }).error, /interval/);
+    assert.match(parseRecurrence({ frequency: 'daily', weekdays: [1] }).error, /weekly/);
+    assert.match(parseRecurrence({ frequency: 'monthly', monthDay: 32 }).error, /monthDay/);
+    assert.match(parseRecurrence({ rrule: 'FREQ=WEEKLY;BYDAY=1MO' }).error, /plain weekdays/);
+    assert.match(parseRecurrence({ rrule: 'FREQ=DAILY;BYHOUR=9' }).error, /Unsupported/);
+});
+
+test('nextDueDate keeps the time of day', () => {
+    const next = nextDueDate({ frequency: 'daily', interval: 3 }, utc('2026-03-01T09:30:00'));
+    assert.equal(next.toISOString(), '2026-03-04T09:30:00.000Z');
+});
+
+test('nextDueDate goes to the next listed weekday, skipping weeks by interval', () => {
+    // 2026-03-02 is a Monday
+    const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 3] };
+    assert.equal(nextDueDate(rule, utc('2026-03-02T08:00:00')).toISOString(), '2026-03-04T08:00:00.000Z');
+    assert.equal(nextDueDate(rule, utc('2026-03-04T08:00:00')).toISOString(), '2026-03-16T08:00:00.000Z');
+});
+
+test('nextDueDate falls back to the last day of shorter months', () => {
+    const rule = { frequency: 'monthly', interval: 1, monthDay: 31 };
+    assert.equal(nextDueDate(rule, utc('2026-01-31T12:00:00')).toISOString(), '2026-02-28T12:00:00.000Z');
+    assert.equal(nextDueDate(rule, utc('2026-02-28T12:00:00')).toISOString(), '2026-03-31T12:00:00.000Z');
+    assert.equal(nextDueDate({ frequency: 'monthly', interval: 1 }, utc('2026-12-15T00:00:00')).toISOString(), '2027-01-15T00:00:00.000Z');
+});
+
+test('nextDueDate ends the series at until and count', () => {
+    const from = utc('2026-03-01T09:00:00');
+    assert.equal(nextDueDate({ frequency: 'daily', until: utc('2026-03-01T23:59:59') }, from), null);
+    assert.equal(nextDueDate({ frequency: 'daily', count: 3 }, from, 3), null);
+    assert.notEqual(nextDueDate({ frequency: 'daily', count: 3 }, from, 2), null);
+});
+
+const api = useApi('recurrence');
+
+const weekly = { type: 'task', title: 'Report', dueDate: '2026-10-19T09:00:00.000Z', recurrence: { frequency: 'weekly' } };
+
+test('completing a recurring task creates the next occurrence', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const task = (await alice.post('/task', weekly)).body.data;
+    assert.equal(task.series, task._id);
+
+    assert.equal((await alice.patch(`/task/${task._id}`, { status: 'Completed' })).status, 200);
+
+    const next = (await alice.get('/task/nofolder?done=false')).body;
+    assert.equal(next.length, 1);
+    assert.equal(next[0].dueDate, '2026-10-26T09:00:00.000Z');
+    assert.equal(next[0].series, task._id);
+    assert.equal(next[0].recurrence.occurrence, 2);
+});
+
+test('a recurring task keeps its due date until its recurrence is stopped', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const folder = (await bob.post('/task', { type: 'folder', title: 'Chores' })).body.data;
+    const task = (await bob.post('/task', { ...weekly, folder: folder._id })).body.data;
+
+    const cleared = await bob.patch(`/folders/${folder._id}/tasks/${task._id}`, { dueDate: null });
+    assert.equal(cleared.status, 400);
+    assert.match(cleared.body.message, /recurring task needs a due date/);
+    const kept = (await bob.get(`/task/${task._id}`)).body;
+    assert.equal(kept.dueDate, weekly.dueDate);
+    assert.equal(kept.recurrence.frequency, 'weekly');
+
+    assert.equal((await bob.delete(`/task/${task._id}/recurrence`)).status, 200);
+    assert.equal((await bob.patch(`/folders/${folder._id}/tasks/${task._id}`, { dueDate: null })).status, 200);
+});
+
+test('a due date is needed to make a task recurring', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const { status } = await carol.post('/task', { ...weekly, dueDate: undefined });
+    assert.equal(status, 400);
+
+    const task = (await carol.post('/task', { type: 'task', title: 'Someday' })).body.data;
+    assert.equal((await carol.put(`/task/${task._id}/recurrence`, { frequency: 'daily' })).status, 400);
+});
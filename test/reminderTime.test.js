@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReminderRule, computeFireAt } = require('../src/utils/reminderTime');
+
+test('parseReminderRule accepts minutes before or a time of day', () => {
+    assert.deepEqual(parseReminderRule({ before: 30 }), { rule: { before: 30 } });
+    assert.deepEqual(parseReminderRule({ at: '09:00' }), { rule: { at: '09:00', daysBefore: 0, timeZone: 'UTC' } });
+    assert.deepEqual(
+        parseReminderRule({ at: '18:30', daysBefore: 1, timeZone: 'Asia/Manila' }),
+        { rule: { at: '18:30', daysBefore: 1, timeZone: 'Asia/Manila' } }
+    );
+});
+
+test('parseReminderRule refuses invalid rules', () => {
+    assert.match(parseReminderRule({}).error, /before .* or at/);
+    assert.match(parseReminderRule({ before: 10, at: '09:00' }).error, /not both/);
+    assert.match(parseReminderRule({ before: -1 }).error, /before/);
+    assert.match(parseReminderRule({ at: '24:00' }).error, /time of day/);
+    assert.match(parseReminderRule({ at: '09:00', timeZone: 'Mars/Olympus' }).error, /timeZone/);
+});
+
+test('computeFireAt counts minutes back from the due date', () => {
+    const fireAt = computeFireAt({ before: 90 }, '2026-05-10T12:00:00Z');
+    assert.equal(fireAt.toISOString(), '2026-05-10T10:30:00.000Z');
+    assert.equal(computeFireAt({ before: 90 }, null), null);
+});
+
+test('computeFireAt takes the due day in the reminder time zone', () => {
+    // due 2026-05-10 20:00 UTC is already May 11 in Manila (UTC+8)
+    const rule = { at: '09:00', daysBefore: 0, timeZone: 'Asia/Manila' };
+    assert.equal(computeFireAt(rule, '2026-05-10T20:00:00Z').toISOString(), '2026-05-11T01:00:00.000Z');
+    assert.equal(computeFireAt({ ...rule, daysBefore: 2 }, '2026-05-10T20:00:00Z').toISOString(), '2026-05-09T01:00:00.000Z');
+});
+
+test('computeFireAt keeps the wall-clock time across a DST change', () => {
+    // Europe/Paris moves from UTC+1 to UTC+2 on 2026-03-29
+    const fireAt = computeFireAt({ at: '08:00', daysBefore: 2, timeZone: 'Europe/Paris' }, '2026-03-30T10:00:00Z');
+    assert.equal(fireAt.toISOString(), '2026-03-28T07:00:00.000Z');
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Agent, fetch } = require('undici');
+const { isPrivateAddress, checkPublicUrl, publicLookup } = require('../src/utils/safeUrl');
+
+test('isPrivateAddress blocks internal ranges', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '2606:4700:4700::1111', '::ffff:1.1.1.1']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+    assert.equal(isPrivateAddress('not an ip'), true);
+});
+
+test('checkPublicUrl wants a public http(s) url', async () => {
+    assert.match(await checkPublicUrl('ftp://8.8.8.8/'), /http\(s\)/);
+    assert.match(await checkPublicUrl('not a url'), /http\(s\)/);
+    assert.match(await checkPublicUrl('http://127.0.0.1:3000/hook'), /public address/);
+    assert.match(await checkPublicUrl('http://[::1]/hook'), /public address/);
+    assert.equal(await checkPublicUrl('https://8.8.8.8/hook'), null);
+});
+
+test('publicLookup refuses to connect to a host resolving to a private address', async () => {
+    const server = http.createServer((req, res) => res.end('reached'));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://localhost:${server.address().port}/hook`;
+    try {
+        // the same request without the check gets through
+        assert.equal(await (await fetch(url)).text(), 'reached');
+
+        const agent = new Agent({ connect: { lookup: publicLookup } });
+        await assert.rejects(fetch(url, { dispatcher: agent }), (err) => {
+            assert.equal(err.cause.message, 'The url must point to a public address.');
+            assert.equal(err.cause.expose, true);
+            return true;
+        });
+        await agent.close();
+    } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
+
+test('publicLookup refuses private addresses for single and all-address lookups alike', async () => {
+    const lookup = (options) => new Promise((resolve) => publicLookup('localhost', options, (...args) => resolve(args)));
+    for (const options of [{}, { all: true }]) {
+        const [err] = await lookup(options);
+        assert.match(err.message, /public address/);
+    }
+});
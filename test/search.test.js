@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('search');
+
+const create = async (user, fields) => {
+    const { status, body } = await user.post('/task', fields);
+    assert.equal(status, 201);
+    return body.data;
+};
+
+test('tasks and folders are ranked on one scale', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    await create(alice, { type: 'task', title: 'Read the weekly report about the quarterly budget numbers' });
+    await create(alice, { type: 'folder', title: 'Report' });
+
+    const { status, body } = await alice.get('/search?q=report');
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((r) => r.type), ['folder', 'task']);
+    // the short, exact folder name is the better match; the only task is not scaled up to it
+    assert.ok(body.results[0].score > body.results[1].score);
+    assert.equal(body.results[1].highlight, 'Read the weekly <mark>report</mark> about the quarterly budget numbers');
+});
+
+test('a folder scope covers its subfolders, and others\' tasks are never found', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const home = await create(bob, { type: 'folder', title: 'Home' });
+    const garden = await create(bob, { type: 'folder', title: 'Garden', parent: home._id });
+    const inside = await create(bob, { type: 'task', title: 'Paint the fence', folder: garden._id });
+    await create(bob, { type: 'task', title: 'Fence quote' });
+
+    const carol = await api.signUp('carol');
+    await create(carol, { type: 'task', title: 'Fence for carol' });
+
+    const scoped = await bob.get(`/search?q=fence&folder=${home._id}`);
+    assert.deepEqual(scoped.body.results.map((r) => r.data._id), [inside._id]);
+
+    const all = await bob.get('/search?q=fence');
+    assert.deepEqual(all.body.results.map((r) => r.data.title).sort(), ['Fence quote', 'Paint the fence']);
+});
+
+test('a blank query is refused', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const { status } = await dave.get('/search?q=%20%20');
+    assert.equal(status, 400);
+});
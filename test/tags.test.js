@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('tags');
+
+const newTag = async (user, name, color) => (await user.post('/tags', { name, color })).body.data;
+const newTask = async (user, title, tags = []) => (await user.post('/task', { type: 'task', title, tags })).body.data;
+
+const titles = (body) => body.map((task) => task.title).sort();
+
+test('tasks are listed by any or all of their tags', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const work = await newTag(alice, 'work', '#ff8800');
+    const urgent = await newTag(alice, 'urgent');
+    await newTask(alice, 'both', [work._id, urgent._id]);
+    await newTask(alice, 'work only', [work._id]);
+    await newTask(alice, 'none');
+
+    const any = await alice.get(`/task/nofolder?tags=${work._id},${urgent._id}`);
+    assert.deepEqual(titles(any.body), ['both', 'work only']);
+    const all = await alice.get(`/task/nofolder?tags=${work._id},${urgent._id}&tagMode=all`);
+    assert.deepEqual(titles(all.body), ['both']);
+
+    // listings carry the tag names and colors
+    assert.deepEqual(all.body[0].tags.map((tag) => tag.name).sort(), ['urgent', 'work']);
+    assert.equal(all.body[0].tags.find((tag) => tag.name === 'work').color, '#ff8800');
+
+    const tags = (await alice.get('/tags')).body;
+    assert.deepEqual(tags.map((tag) => [tag.name, tag.taskCount]), [['urgent', 1], ['work', 2]]);
+});
+
+test('tag names are unique per user and tags are private', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const home = await newTag(bob, 'home');
+
+    assert.equal((await bob.post('/tags', { name: 'home' })).status, 400);
+    assert.equal((await carol.post('/tags', { name: 'home' })).status, 201);
+    assert.equal((await bob.post('/tags', { name: 'odd', color: 'red' })).status, 400);
+
+    const task = await newTask(carol, 'carol task');
+    assert.equal((await carol.post(`/task/${task._id}/tags/${home._id}`)).status, 404);
+    assert.equal((await carol.post('/task', { type: 'task', title: 'x', tags: [home._id] })).status, 400);
+});
+
+test('tags are added and removed one at a time', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const tag = await newTag(dave, 'later');
+    const task = await newTask(dave, 'read');
+
+    const added = await dave.post(`/task/${task._id}/tags/${tag._id}`);
+    assert.deepEqual(added.body.data.tags.map((t) => t.name), ['later']);
+    // adding twice keeps one
+    const again = await dave.post(`/task/${task._id}/tags/${tag._id}`);
+    assert.equal(again.body.data.tags.length, 1);
+
+    const removed = await dave.delete(`/task/${task._id}/tags/${tag._id}`);
+    assert.deepEqual(removed.body.data.tags, []);
+});
+
+test('deleting a tag takes it off every task, trashed ones included', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const tag = await newTag(erin, 'gone');
+    const kept = await newTask(erin, 'kept', [tag._id]);
+    const trashed = await newTask(erin, 'trashed', [tag._id]);
+    assert.equal((await erin.delete(`/task/${trashed._id}`)).status, 200);
+
+    const { status, body } = await erin.delete(`/tags/${tag._id}`);
+    assert.equal(status, 200);
+    assert.equal(body.tasksUpdated, 2);
+
+    assert.deepEqual((await erin.get(`/task/${kept._id}`)).body.tags, []);
+    const restored = await erin.post(`/trash/${trashed._id}/restore`);
+    assert.deepEqual(restored.body.data.tags, []);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+
+const api = useApi('task-listing');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Three tasks without a folder: "a" overdue, "b" high priority, "c" done
+const seed = async (user) => {
+    const created = {};
+    for (const fields of [
+        { title: 'a', dueDate: new Date(Date.now() - DAY).toISOString() },
+        { title: 'b', priority: 'high', dueDate: new Date(Date.now() + DAY).toISOString() },
+        { title: 'c', status: 'Completed' }
+    ]) {
+        const { status, body } = await user.post('/task', { type: 'task', ...fields });
+        assert.equal(status, 201);
+        created[fields.title] = body.data;
+    }
+    return created;
+};
+
+const titles = (body) => body.map((task) => task.title);
+
+test('listings answer a page of tasks with the paging in headers', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    await seed(alice);
+
+    const first = await alice.get('/task/nofolder?limit=2&sort=title');
+    assert.equal(first.status, 200);
+    assert.deepEqual(titles(first.body), ['a', 'b']);
+    assert.equal(first.headers.get('x-total-count'), '3');
+    assert.equal(first.headers.get('x-total-pages'), '2');
+    assert.match(first.headers.get('link'), /[?&]page=2[^>]*>; rel="next"/);
+
+    const second = await alice.get('/task/nofolder?limit=2&page=2&sort=title');
+    assert.deepEqual(titles(second.body), ['c']);
+    assert.doesNotMatch(second.headers.get('link'), /rel="next"/);
+});
+
+test('listings filter on priority, done and overdue, and sort descending', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    await seed(bob);
+
+    assert.deepEqual(titles((await bob.get('/task/nofolder?priority=high,urgent')).body), ['b']);
+    assert.deepEqual(titles((await bob.get('/task/nofolder?done=true')).body), ['c']);
+    assert.deepEqual(titles((await bob.get('/task/nofolder?overdue=true')).body), ['a']);
+    assert.deepEqual(titles((await bob.get('/task/nofolder?sort=-title')).body), ['c', 'b', 'a']);
+});
+
+test('a listing refuses filters on what its route fixes', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const { status, body } = await carol.get('/task/nofolder?folder=none');
+    assert.equal(status, 400);
+    assert.match(body.message, /folder cannot be filtered on here/);
+
+    const both = await carol.get('/task/nofolder?overdue=true&done=true');
+    assert.equal(both.status, 400);
+});
+
+test('users only list their own tasks', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const erin = await api.signUp('erin');
+    await seed(dave);
+    const { body, headers } = await erin.get('/task/nofolder');
+    assert.deepEqual(body, []);
+    assert.equal(headers.get('x-total-count'), '0');
+});
+
+test('GET /task pages through every task the user can see, shared folders included', needsDb, async () => {
+    const frank = await api.signUp('frank');
+    const grace = await api.signUp('grace');
+    const shared = (await grace.post('/folders', { name: 'Shared' })).body;
+    await grace.post(`/folders/${shared._id}/members`, { username: 'frank', role: 'viewer' });
+    await grace.post('/task', { type: 'task', title: 'theirs', folder: shared._id });
+    await grace.post('/task', { type: 'task', title: 'private' });
+    await seed(frank);
+
+    const { status, body, headers } = await frank.get('/task?sort=title&limit=3');
+    assert.equal(status, 200);
+    assert.deepEqual(titles(body), ['a', 'b', 'c']);
+    assert.equal(headers.get('x-total-count'), '4');
+    const next = await frank.get('/task?sort=title&limit=3&page=2');
+    assert.deepEqual(titles(next.body), ['theirs']);
+});
+
+test('without ?limit a listing answers the first 20 tasks only', needsDb, async () => {
+    const heidi = await api.signUp('heidi');
+    const folder = (await heidi.post('/folders', { name: 'Big' })).body;
+    for (let i = 0; i < 21; i++) await heidi.post('/task', { type: 'task', title: `t${i}`, folder: folder._id });
+
+    const { body, headers } = await heidi.get(`/task/folder/${folder._id}`);
+    assert.equal(body.length, 20);
+    assert.equal(headers.get('x-total-count'), '21');
+    assert.equal((await heidi.get(`/task/folder/${folder._id}?limit=101`)).status, 400);
+});
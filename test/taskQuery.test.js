@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTaskQuery, parsePagination } = require('../src/utils/taskQuery');
+
+test('parsePagination defaults to the first page of 20', () => {
+    assert.deepEqual(parsePagination(), { page: 1, limit: 20, skip: 0 });
+    assert.deepEqual(parsePagination({ page: 3, limit: 10 }), { page: 3, limit: 10, skip: 20 });
+});
+
+test('parseTaskQuery builds the filter of the listing', () => {
+    const { filter } = parseTaskQuery({
+        status: 'Pending, Working',
+        priority: 'high',
+        folder: 'none',
+        tags: 'a,b',
+        tagMode: 'all',
+        dueFrom: '2026-01-01T00:00:00Z'
+    });
+    assert.deepEqual(filter, {
+        status: { $in: ['Pending', 'Working'] },
+        priority: 'high',
+        folder: null,
+        tags: { $all: ['a', 'b'] },
+        dueDate: { $gte: new Date('2026-01-01T00:00:00Z') }
+    });
+});
+
+test('parseTaskQuery turns overdue into not done and past due', () => {
+    const { filter } = parseTaskQuery({ overdue: true });
+    assert.equal(filter.done, false);
+    assert.ok(filter.dueDate.$lt instanceof Date);
+    assert.match(parseTaskQuery({ overdue: true, done: true }).error, /overdue/);
+});
+
+test('parseTaskQuery sorts with an _id tie-breaker', () => {
+    assert.deepEqual(parseTaskQuery({}).sort, { position: 1, _id: 1 });
+    assert.deepEqual(parseTaskQuery({ sort: 'dueDate,-createdAt' }).sort, { dueDate: 1, createdAt: -1, _id: -1 });
+});
+
+test('parseTaskQuery refuses filters the route fixes', () => {
+    assert.match(parseTaskQuery({ folder: 'none' }, { folder: 'f1' }).error, /folder cannot be filtered/);
+    assert.deepEqual(parseTaskQuery({ done: false }, { folder: 'f1' }).filter, { done: false, folder: 'f1' });
+});
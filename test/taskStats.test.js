@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mondayOf, periodKeys, isValidTimeZone } = require('../src/services/taskStats');
+
+const dayIn = (tz) =>
+    new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+
+test('mondayOf gives the Monday starting the week of a day', () => {
+    assert.equal(mondayOf('2026-10-19'), '2026-10-19');
+    assert.equal(mondayOf('2026-10-25'), '2026-10-19');
+    // across a month and a year
+    assert.equal(mondayOf('2026-03-01'), '2026-02-23');
+    assert.equal(mondayOf('2027-01-01'), '2026-12-28');
+});
+
+test('periodKeys lists the last days, oldest first, ending today in the time zone', () => {
+    for (const tz of ['UTC', 'Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+        const keys = periodKeys('day', 3, tz);
+        assert.equal(keys.length, 3);
+        assert.equal(keys[2], dayIn(tz));
+        assert.deepEqual(keys, [...keys].sort());
+        assert.equal(new Set(keys).size, 3);
+    }
+});
+
+test('periodKeys lists the last weeks by their Monday', () => {
+    const keys = periodKeys('week', 4, 'UTC');
+    assert.equal(keys[3], mondayOf(dayIn('UTC')));
+    for (const key of keys) assert.equal(new Date(`${key}T00:00:00Z`).getUTCDay(), 1);
+    for (let i = 1; i < keys.length; i++) {
+        assert.equal((new Date(keys[i]) - new Date(keys[i - 1])) / (24 * 60 * 60 * 1000), 7);
+    }
+});
+
+test('isValidTimeZone knows IANA names only', () => {
+    assert.equal(isValidTimeZone('Europe/Paris'), true);
+    assert.equal(isValidTimeZone('Europe/Nowhere'), false);
+});
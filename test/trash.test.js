@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const mongoose = require('mongoose');
+const Task = require('../src/models/task');
+const Folder = require('../src/models/folder');
+const Comment = require('../src/models/comment');
+const Reminder = require('../src/models/reminder');
+const { TRASH_RETENTION_DAYS } = require('../src/models/plugins/softDelete');
+const { IN_TRASH, RESTORED, trashedBy, purgeExpiredTrash } = require('../src/services/trash');
+
+const api = useApi('trash');
+
+// The queries are run (without a database they fail at once, see
+// helpers/api.js); the soft-delete hooks have run on them by then, which is
+// what is checked here
+
+const sent = async (query) => {
+    await query.exec().catch(() => {});
+    return query.getFilter();
+};
+
+const pipelineOf = async (aggregate) => {
+    await aggregate.exec().catch(() => {});
+    return aggregate.pipeline();
+};
+
+test('queries skip trashed documents', async () => {
+    assert.deepEqual(await sent(Task.find({ title: 'a' })), { title: 'a', deletedAt: null });
+    assert.deepEqual(await sent(Task.countDocuments({})), { deletedAt: null });
+    assert.deepEqual(await sent(Folder.updateMany({ user: 'u' }, { name: 'x' })), { user: 'u', deletedAt: null });
+    assert.deepEqual(await sent(Folder.findOneAndDelete({ _id: 'f' })), { _id: 'f', deletedAt: null });
+});
+
+test('queries naming deletedAt reach the trash', async () => {
+    assert.deepEqual(await sent(Task.find({ deletedBy: 'u', ...IN_TRASH })), { deletedBy: 'u', deletedAt: { $ne: null } });
+    assert.deepEqual(await sent(Task.updateMany({ deletedWith: 'f', ...IN_TRASH }, RESTORED)), { deletedWith: 'f', deletedAt: { $ne: null } });
+});
+
+test('aggregations skip trashed documents, after a leading $text match', async () => {
+    assert.deepEqual(await pipelineOf(Task.aggregate([{ $group: { _id: '$folder' } }])), [
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$folder' } }
+    ]);
+    assert.deepEqual(await pipelineOf(Task.aggregate([{ $match: { $text: { $search: 'milk' } } }])), [
+        { $match: { $text: { $search: 'milk' } } },
+        { $match: { deletedAt: null } }
+    ]);
+    assert.deepEqual(await pipelineOf(Task.aggregate([{ $match: IN_TRASH }])), [{ $match: IN_TRASH }]);
+});
+
+test('trashed documents are purged by the app, not by a TTL index', () => {
+    for (const Model of [Task, Folder]) {
+        const index = Model.schema.indexes().find(([fields]) => fields.deletedAt === 1);
+        assert.equal(index[1].expireAfterSeconds, undefined);
+    }
+});
+
+test('trashedBy records who deleted what along with which folder', () => {
+    const fields = trashedBy('u1', 'f1');
+    assert.ok(fields.deletedAt instanceof Date);
+    assert.deepEqual({ ...fields, deletedAt: null }, { deletedAt: null, deletedBy: 'u1', deletedWith: 'f1' });
+    assert.equal(trashedBy('u1').deletedWith, null);
+    assert.deepEqual(RESTORED, { deletedAt: null, deletedBy: null, deletedWith: null });
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('deleted tasks and folders wait in the trash and come back on restore', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const folder = (await alice.post('/folders', { name: 'Trip' })).body;
+    const task = (await alice.post('/task', { type: 'task', title: 'Tickets', folder: folder._id })).body.data;
+    const loose = (await alice.post('/task', { type: 'task', title: 'Loose' })).body.data;
+
+    assert.equal((await alice.delete(`/task/${loose._id}`)).status, 200);
+    assert.equal((await alice.delete(`/task/folder/${folder._id}`)).status, 200);
+    assert.equal((await alice.get(`/task/${task._id}`)).status, 404);
+
+    const trash = (await alice.get('/trash')).body;
+    // the folder's task comes back with it, it isn't listed on its own
+    assert.deepEqual(trash.tasks.map((t) => t.title), ['Loose']);
+    assert.deepEqual(trash.folders.map((f) => [f.name, f.taskCount]), [['Trip', 1]]);
+    const expiresIn = new Date(trash.tasks[0].expiresAt) - new Date(trash.tasks[0].deletedAt);
+    assert.equal(expiresIn, TRASH_RETENTION_DAYS * DAY);
+
+    assert.equal((await alice.post(`/trash/${folder._id}/restore`)).status, 200);
+    assert.equal((await alice.get(`/task/${task._id}`)).status, 200);
+    assert.deepEqual((await alice.get(`/task/folder/${folder._id}`)).body.map((t) => t.title), ['Tickets']);
+});
+
+test('the trash is per user', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const carol = await api.signUp('carol');
+    const task = (await bob.post('/task', { type: 'task', title: 'Private' })).body.data;
+    await bob.delete(`/task/${task._id}`);
+
+    assert.deepEqual((await carol.get('/trash')).body.tasks, []);
+    assert.equal((await carol.post(`/trash/${task._id}/restore`)).status, 404);
+    assert.equal((await carol.delete(`/trash/${task._id}`)).status, 404);
+});
+
+// A task with a comment and a reminder, deleted `daysAgo` days ago
+const trashedTask = async (user, title, daysAgo) => {
+    const dueDate = new Date(Date.now() + DAY).toISOString();
+    const task = (await user.post('/task', { type: 'task', title, dueDate })).body.data;
+    assert.equal((await user.post(`/task/${task._id}/comments`, { body: 'note' })).status, 201);
+    assert.equal((await user.post(`/task/${task._id}/reminders`, { before: 60 })).status, 201);
+    await user.delete(`/task/${task._id}`);
+    await Task.updateOne({ _id: task._id, ...IN_TRASH }, { deletedAt: new Date(Date.now() - daysAgo * DAY) });
+    return task._id;
+};
+
+// What is left of a task in the database, trashed or not
+const remaining = async (taskId) => {
+    const id = new mongoose.Types.ObjectId(taskId);
+    return {
+        task: await Task.collection.countDocuments({ _id: id }),
+        comments: await Comment.collection.countDocuments({ task: id }),
+        reminders: await Reminder.collection.countDocuments({ task: id })
+    };
+};
+
+test('expired trash is purged with what depends on it, the rest is kept', needsDb, async () => {
+    const dave = await api.signUp('dave');
+    const expired = await trashedTask(dave, 'Old', TRASH_RETENTION_DAYS + 1);
+    const recent = await trashedTask(dave, 'Recent', 1);
+
+    const folder = (await dave.post('/folders', { name: 'Old folder' })).body;
+    const inFolder = (await dave.post('/task', { type: 'task', title: 'In folder', folder: folder._id })).body.data;
+    await dave.delete(`/task/folder/${folder._id}`);
+    await Folder.updateOne({ _id: folder._id, ...IN_TRASH }, { deletedAt: new Date(Date.now() - (TRASH_RETENTION_DAYS + 1) * DAY) });
+
+    await purgeExpiredTrash();
+
+    assert.deepEqual(await remaining(expired), { task: 0, comments: 0, reminders: 0 });
+    assert.deepEqual(await remaining(recent), { task: 1, comments: 1, reminders: 1 });
+    assert.equal(await Folder.collection.countDocuments({ _id: new mongoose.Types.ObjectId(folder._id) }), 0);
+    assert.equal((await remaining(inFolder._id)).task, 0);
+});
+
+test('emptying the trash purges everything in it for good', needsDb, async () => {
+    const erin = await api.signUp('erin');
+    const taskId = await trashedTask(erin, 'Gone', 0);
+
+    const { body } = await erin.delete('/trash');
+    assert.equal(body.tasksDeleted, 1);
+    assert.deepEqual(await remaining(taskId), { task: 0, comments: 0, reminders: 0 });
+});
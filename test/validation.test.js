@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { needsDb, useApi } = require('./helpers/api');
+const { validate, openApiOf } = require('../src/utils/validation');
+const { errorFormat, errorHandler } = require('../src/middleware/errorMiddleware');
+const taskSchemas = require('../src/schemas/tasks');
+const folderSchemas = require('../src/schemas/folders');
+const webhookSchemas = require('../src/schemas/webhooks');
+const eventSchemas = require('../src/schemas/events');
+const { listen } = require('./helpers/server');
+
+const ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const api = useApi('validation');
+
+// Each route answers what validate() left in the request
+const app = express();
+app.use(errorFormat);
+app.use(express.json());
+const echo = (req, res) => res.json({ params: req.params, query: req.query, body: req.body });
+app.get('/task', validate(taskSchemas.listTasks), echo);
+app.post('/task', validate(taskSchemas.createTask), echo);
+app.patch('/task/:taskId', validate(taskSchemas.updateTask), echo);
+app.post('/task/bulk', validate(taskSchemas.bulkUpdate), echo);
+app.put('/folders/:id/workflow', validate(folderSchemas.setWorkflow), echo);
+app.post('/webhooks', validate(webhookSchemas.createWebhook), echo);
+app.get('/events/stream', validate(eventSchemas.stream), echo);
+app.use(errorHandler);
+
+let server;
+before(async () => {
+    server = await listen(app);
+});
+after(() => server.close());
+
+const request = async (method, path, body) => {
+    const res = await fetch(server.url + path, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+test('query values are converted to their type and defaults filled in', async () => {
+    const { status, body } = await request('GET', '/task?page=2&done=false&overdue=true&unknown=kept');
+    assert.equal(status, 200);
+    assert.deepEqual(body.query, { page: 2, limit: 20, done: false, overdue: true, unknown: 'kept' });
+});
+
+test('invalid filters answer 400 with one detail per field', async () => {
+    const { status, body } = await request('GET', '/task?limit=0&priority=high,soon&sort=-color&tags=nope');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.details.map((d) => `${d.in}.${d.field}`).sort(), ['query.limit', 'query.priority', 'query.sort', 'query.tags']);
+});
+
+test('body fields are checked, unknown ones dropped', async () => {
+    const ok = await request('POST', '/task', { type: 'task', title: 'Write tests', priority: 'high', owner: 'me' });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.body.owner, undefined);
+    assert.equal(ok.body.body.title, 'Write tests');
+
+    const bad = await request('POST', '/task', { type: 'note', title: '', tags: ['x'] });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.details.map((d) => d.field).sort(), ['tags[0]', 'title', 'type']);
+});
+
+test('path ids and empty updates are refused', async () => {
+    const bad = await request('PATCH', '/task/123', { title: 'x' });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.details, [{ in: 'params', field: 'taskId', message: 'must be an id' }]);
+
+    const empty = await request('PATCH', `/task/${ID}`, {});
+    assert.equal(empty.status, 400);
+    assert.match(empty.body.message, /at least one of title/);
+});
+
+test('a missing JSON body is refused rather than crashing the controller', async () => {
+    const res = await fetch(`${server.url}/folders/${ID}/workflow`, { method: 'PUT' });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /statuses is required/);
+});
+
+test('schemas bound list sizes', async () => {
+    const ids = Array.from({ length: 501 }, () => ID);
+    const bulk = await request('POST', '/task/bulk', { ids, action: 'delete' });
+    assert.equal(bulk.status, 400);
+    assert.match(bulk.body.message, /at most 500/);
+
+    const fine = await request('POST', '/task/bulk', { ids: [ID], action: 'delete' });
+    assert.equal(fine.body.body.atomic, false);
+
+    const folders = Array.from({ length: 51 }, () => ID).join(',');
+    assert.equal((await request('GET', `/events/stream?folders=${folders}`)).status, 400);
+});
+
+test('webhook events must be known event types', async () => {
+    const { status, body } = await request('POST', '/webhooks', { url: 'https://example.com', events: ['task.exploded'] });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, 'events[0]');
+});
+
+test('unreadable JSON answers 400 INVALID_JSON', async () => {
+    const res = await fetch(`${server.url}/task`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"title":' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'INVALID_JSON');
+});
+
+test('openApiOf describes the same schema', () => {
+    const { parameters, requestBody } = openApiOf(taskSchemas.updateTask, [{ $ref: '#/components/parameters/IfMatch' }]);
+    assert.deepEqual(parameters.map((p) => p.name || p.$ref), ['taskId', '#/components/parameters/IfMatch']);
+    assert.equal(parameters[0].in, 'path');
+    assert.equal(parameters[0].required, true);
+    assert.equal(requestBody.required, true);
+    assert.equal(requestBody.content['application/json'].schema, taskSchemas.updateTask.body);
+
+    const list = openApiOf(folderSchemas.listTasks);
+    assert.ok(!list.parameters.some((p) => p.name === 'folder'));
+    assert.ok(list.parameters.some((p) => p.name === 'sort' && p.in === 'query' && p.description));
+});
+
+// The same checks through the real app
+
+test('unknown API routes answer 404 ROUTE_NOT_FOUND', async () => {
+    const { status, body } = await api.request('GET', '/nothing-here');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'ROUTE_NOT_FOUND');
+    assert.equal(body.message, 'No route for GET /api/v1/nothing-here');
+});
+
+test('the auth routes check their body before anything else', async () => {
+    const { status, body } = await api.request('POST', '/auth/register', { body: { username: 'x' } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.ok(body.details.some((d) => d.in === 'body' && d.field === 'password'));
+
+    const res = await fetch(`${api.url}/api/v1/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'INVALID_JSON');
+});
+
+test('task routes refuse invalid input and drop unknown fields', needsDb, async () => {
+    const alice = await api.signUp('alice');
+
+    const filters = await alice.get('/task/nofolder?limit=0&sort=-color');
+    assert.equal(filters.status, 400);
+    assert.deepEqual(filters.body.details.map((d) => `${d.in}.${d.field}`).sort(), ['query.limit', 'query.sort']);
+
+    const created = await alice.post('/task', { type: 'task', title: 'Write tests', owner: 'me' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.owner, undefined);
+
+    const bad = await alice.patch('/task/123', { title: 'x' });
+    assert.deepEqual(bad.body.details, [{ in: 'params', field: 'taskId', message: 'must be an id' }]);
+    assert.equal((await alice.patch(`/task/${created.body.data._id}`, {})).status, 400);
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsDb, useApi } = require('./helpers/api');
+const {
+    DEFAULT_WORKFLOW,
+    workflowOf,
+    statusFields,
+    checkTransition,
+    mapStatus,
+    parseWorkflow
+} = require('../src/utils/workflow');
+
+const api = useApi('workflow');
+
+const review = {
+    statuses: [{ name: 'Todo', done: false }, { name: 'Review', done: false }, { name: 'Shipped', done: true }],
+    transitions: [{ from: 'Todo', to: 'Review' }, { from: 'Review', to: 'Shipped' }, { from: 'Review', to: 'Todo' }]
+};
+
+test('workflowOf falls back to the default workflow', () => {
+    assert.equal(workflowOf(null), DEFAULT_WORKFLOW);
+    assert.equal(workflowOf({ workflow: { statuses: [] } }), DEFAULT_WORKFLOW);
+    assert.equal(workflowOf({ workflow: review }), review);
+});
+
+test('statusFields keeps the completion time of a task that stays done', () => {
+    const completedAt = new Date('2026-01-01T00:00:00Z');
+    assert.deepEqual(statusFields(review, 'Todo', { done: true, completedAt }), { status: 'Todo', done: false, completedAt: null });
+    assert.deepEqual(statusFields(review, 'Shipped', { done: true, completedAt }), { status: 'Shipped', done: true, completedAt });
+    assert.ok(statusFields(review, 'Shipped').completedAt instanceof Date);
+});
+
+test('checkTransition only allows the listed transitions', () => {
+    assert.equal(checkTransition(review, 'Todo', 'Review'), null);
+    assert.equal(checkTransition(review, 'Todo', 'Todo'), null);
+    assert.match(checkTransition(review, 'Todo', 'Shipped'), /can't go from "Todo" to "Shipped"/);
+    assert.match(checkTransition(review, 'Todo', 'Pending'), /Invalid status/);
+    // tasks coming from another workflow may go anywhere
+    assert.equal(checkTransition(review, 'Pending', 'Shipped'), null);
+    // no transitions listed: anything goes
+    assert.equal(checkTransition(DEFAULT_WORKFLOW, 'Pending', 'Completed'), null);
+});
+
+test('mapStatus keeps known statuses and maps the others by done state', () => {
+    assert.equal(mapStatus(review, 'Review', false), 'Review');
+    assert.equal(mapStatus(review, 'Completed', true), 'Shipped');
+    assert.equal(mapStatus(review, 'Working', false), 'Todo');
+});
+
+test('parseWorkflow trims names and drops duplicate transitions', () => {
+    const { workflow } = parseWorkflow({
+        statuses: [{ name: ' Todo ' }, { name: 'Done', done: true }],
+        transitions: [{ from: 'Todo', to: 'Done' }, { from: 'Todo ', to: 'Done' }]
+    });
+    assert.deepEqual(workflow, {
+        statuses: [{ name: 'Todo', done: false }, { name: 'Done', done: true }],
+        transitions: [{ from: 'Todo', to: 'Done' }]
+    });
+});
+
+test('parseWorkflow refuses inconsistent workflows', () => {
+    assert.match(parseWorkflow({ statuses: [] }).error, /statuses/);
+    assert.match(parseWorkflow({ statuses: [{ name: 'A' }, { name: 'A', done: true }] }).error, /Duplicate/);
+    assert.match(parseWorkflow({ statuses: [{ name: 'A' }, { name: 'B' }] }).error, /Exactly one/);
+    assert.match(parseWorkflow({ statuses: [{ name: 'A', done: true }, { name: 'B', done: true }] }).error, /Exactly one/);
+    assert.match(
+        parseWorkflow({ statuses: [{ name: 'A' }, { name: 'B', done: true }], transitions: [{ from: 'A', to: 'C' }] }).error,
+        /transition/
+    );
+});
+
+test('a new workflow moves the tasks onto it', needsDb, async () => {
+    const alice = await api.signUp('alice');
+    const folder = (await alice.post('/folders', { name: 'Releases' })).body;
+    const task = async (title, status) => {
+        const created = (await alice.post('/task', { type: 'task', title, folder: folder._id })).body.data;
+        if (status) await alice.patch(`/task/${created._id}`, { status });
+        return created;
+    };
+    await task('waiting');
+    await task('started', 'Working');
+    await task('finished', 'Completed');
+
+    const { status, body } = await alice.put(`/folders/${folder._id}/workflow`, { ...review, remap: { Working: 'Review' } });
+    assert.equal(status, 200);
+    assert.equal(body.custom, true);
+
+    const board = (await alice.get(`/folders/${folder._id}/board`)).body;
+    assert.deepEqual(board.columns.map((column) => [column.status, column.tasks.map((t) => t.title)]),
+        [['Todo', ['waiting']], ['Review', ['started']], ['Shipped', ['finished']]]);
+    assert.equal(board.columns[2].tasks[0].done, true);
+
+    const reset = await alice.delete(`/folders/${folder._id}/workflow`);
+    assert.equal(reset.body.custom, false);
+    assert.deepEqual((await alice.get(`/folders/${folder._id}/board`)).body.columns.map((column) => column.count), [2, 0, 1]);
+});
+
+test('task status changes follow the transitions of their folder', needsDb, async () => {
+    const bob = await api.signUp('bob');
+    const folder = (await bob.post('/folders', { name: 'Reviewed' })).body;
+    await bob.put(`/folders/${folder._id}/workflow`, review);
+    const created = (await bob.post('/task', { type: 'task', title: 'change', folder: folder._id })).body.data;
+    assert.equal(created.status, 'Todo');
+
+    const skipped = await bob.patch(`/task/${created._id}`, { status: 'Shipped' });
+    assert.equal(skipped.status, 400);
+    assert.match(skipped.body.message, /can't go from "Todo" to "Shipped"/);
+    assert.equal((await bob.patch(`/task/${created._id}`, { status: 'Review' })).status, 200);
+    const shipped = await bob.patch(`/task/${created._id}`, { status: 'Shipped' });
+    assert.equal(shipped.body.data.done, true);
+});
+
+test('only owners change a workflow, and only to a consistent one', needsDb, async () => {
+    const carol = await api.signUp('carol');
+    const dave = await api.signUp('dave');
+    const folder = (await carol.post('/folders', { name: 'Team' })).body;
+    await carol.post(`/folders/${folder._id}/members`, { username: 'dave', role: 'editor' });
+
+    assert.equal((await dave.put(`/folders/${folder._id}/workflow`, review)).status, 403);
+    assert.equal((await dave.get(`/folders/${folder._id}/workflow`)).body.custom, false);
+    const bad = await carol.put(`/folders/${folder._id}/workflow`, { ...review, remap: { Working: 'Nowhere' } });
+    assert.equal(bad.status, 400);
+});